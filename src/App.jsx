@@ -15,6 +15,7 @@ import Settings from './pages/Settings';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
 import History from './pages/History';
+import SportProfileEditor from './pages/SportProfileEditor';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ToastProvider } from './contexts/ToastContext';
 import { setLanguage, getLanguage } from './i18n';
@@ -100,6 +101,14 @@ function AppRoutes() {
             }
           />
           <Route path="/settings" element={<Settings />} />
+          <Route
+            path="/settings/sport-profiles"
+            element={
+              <ProtectedRoute>
+                <SportProfileEditor />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/login" element={<Login />} />
           <Route path="/signup" element={<Signup />} />
           <Route
@@ -0,0 +1,89 @@
+/**
+ * AthleteSelector.jsx
+ * Component for choosing which detected person to analyze in a multi-person clip
+ */
+
+import { useEffect, useMemo, useRef } from 'react';
+import PoseTracker from '../core/PoseTracker';
+
+const BOX_COLORS = ['#16a34a', '#2563eb', '#9333ea', '#ea580c', '#db2777', '#0891b2'];
+
+function AthleteSelector({ video, detection, onSelect }) {
+  const canvasRef = useRef(null);
+  // Same boxes the tracker matches the selected athlete with
+  const boxes = useMemo(() => {
+    const tracker = new PoseTracker();
+    return detection.poses.map(pose => tracker.getBoundingBox(pose.keypoints));
+  }, [detection]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !video) return;
+
+    const ctx = canvas.getContext('2d');
+    canvas.width = detection.width;
+    canvas.height = detection.height;
+    ctx.drawImage(video, 0, 0, detection.width, detection.height);
+
+    boxes.forEach((box, index) => {
+      if (!box) return;
+      const color = BOX_COLORS[index % BOX_COLORS.length];
+      const padding = 10;
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 3;
+      ctx.strokeRect(
+        box.xMin - padding,
+        box.yMin - padding,
+        box.xMax - box.xMin + padding * 2,
+        box.yMax - box.yMin + padding * 2
+      );
+
+      ctx.fillStyle = color;
+      ctx.fillRect(box.xMin - padding, box.yMin - padding - 24, 28, 24);
+      ctx.fillStyle = '#ffffff';
+      ctx.font = 'bold 16px sans-serif';
+      ctx.fillText(String(index + 1), box.xMin - padding + 9, box.yMin - padding - 6);
+    });
+  }, [video, detection, boxes]);
+
+  const handleClick = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+    const y = (event.clientY - rect.top) * (canvas.height / rect.height);
+
+    // Prefer a box containing the tap, otherwise the nearest box centre
+    let selected = -1;
+    let bestDistance = Infinity;
+
+    boxes.forEach((box, index) => {
+      if (!box) return;
+      const inside = x >= box.xMin && x <= box.xMax && y >= box.yMin && y <= box.yMax;
+      const centerX = (box.xMin + box.xMax) / 2;
+      const centerY = (box.yMin + box.yMax) / 2;
+      const distance = inside ? 0 : Math.hypot(x - centerX, y - centerY);
+
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        selected = index;
+      }
+    });
+
+    if (selected >= 0) {
+      onSelect(selected);
+    }
+  };
+
+  return (
+    <div className="relative bg-black rounded-2xl overflow-hidden max-w-2xl mx-auto">
+      <canvas
+        ref={canvasRef}
+        onClick={handleClick}
+        className="w-full h-auto cursor-pointer"
+      />
+    </div>
+  );
+}
+
+export default AthleteSelector;
@@ -3,6 +3,8 @@
  * Component for displaying sports suitability scores as a bar chart
  */
 
+import { PROFILE_METRICS, METRIC_NAMES } from '../core/SportProfiles';
+
 function ChartComponent({ sports }) {
   if (!sports || sports.length === 0) {
     return (
@@ -49,18 +51,11 @@ function ChartComponent({ sports }) {
                 </div>
               </div>
               <div className="grid grid-cols-4 gap-2 text-xs text-gray-600 font-medium">
-                <div>
-                  Agility: {Math.round(sport.scoreBreakdown.agility)}
-                </div>
-                <div>
-                  Balance: {Math.round(sport.scoreBreakdown.balance)}
-                </div>
-                <div>
-                  Coordination: {Math.round(sport.scoreBreakdown.coordination)}
-                </div>
-                <div>
-                  Reaction: {Math.round(sport.scoreBreakdown.reactionTime)}
-                </div>
+                {PROFILE_METRICS.filter(metric => sport.scoreBreakdown[metric] !== undefined).map(metric => (
+                  <div key={metric}>
+                    {METRIC_NAMES[metric]}: {Math.round(sport.scoreBreakdown[metric])}
+                  </div>
+                ))}
               </div>
             </div>
           );
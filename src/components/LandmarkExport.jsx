@@ -0,0 +1,71 @@
+/**
+ * LandmarkExport.jsx
+ * Download of the per-frame keypoints behind an analysis as JSON, CSV or
+ * COCO keypoints, for use in other tools or for re-scoring later
+ */
+
+import { useState, useEffect } from 'react';
+import { useTranslation } from '../i18n';
+import LandmarkFormats, { EXPORT_FORMATS } from '../core/LandmarkFormats';
+import { getResults } from '../utils/indexedDB';
+
+function LandmarkExport({ resultId }) {
+  const { t } = useTranslation();
+  const [recording, setRecording] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getResults(resultId)
+      .then(result => {
+        if (!cancelled && result.landmarks?.state.landmarkHistory.length > 0) {
+          setRecording(result.landmarks);
+        }
+      })
+      // Results stored before keypoints were kept have nothing to export
+      .catch(error => console.warn('Landmarks not available:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resultId]);
+
+  if (!recording) {
+    return null;
+  }
+
+  const handleExport = (format) => {
+    const contents = new LandmarkFormats().export(recording, format.id);
+    const blob = new Blob([contents], { type: format.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sportify-landmarks-${resultId}.${format.extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mb-12">
+      <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">{t('results.landmarks.title')}</h2>
+        <p className="text-gray-600 mb-6">
+          {t('results.landmarks.description', { frames: recording.state.landmarkHistory.length })}
+        </p>
+        <div className="flex flex-wrap gap-4">
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              onClick={() => handleExport(format)}
+              className="px-6 py-3 bg-gray-100 text-gray-900 rounded-xl hover:bg-gray-200 transition-colors font-bold"
+            >
+              {t(`results.landmarks.formats.${format.id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LandmarkExport;
@@ -0,0 +1,90 @@
+/**
+ * PoseOverlay.jsx
+ * Canvas that draws a pose skeleton on top of a video
+ */
+
+import { useEffect, useRef } from 'react';
+
+const MIN_KEYPOINT_SCORE = 0.3;
+
+// Bones as keypoint name pairs (names shared by MoveNet and BlazePose)
+const SKELETON_EDGES = [
+  ['left_shoulder', 'right_shoulder'],
+  ['left_shoulder', 'left_elbow'],
+  ['left_elbow', 'left_wrist'],
+  ['right_shoulder', 'right_elbow'],
+  ['right_elbow', 'right_wrist'],
+  ['left_shoulder', 'left_hip'],
+  ['right_shoulder', 'right_hip'],
+  ['left_hip', 'right_hip'],
+  ['left_hip', 'left_knee'],
+  ['left_knee', 'left_ankle'],
+  ['right_hip', 'right_knee'],
+  ['right_knee', 'right_ankle']
+];
+
+const LEFT_COLOR = '#22c55e';
+const RIGHT_COLOR = '#3b82f6';
+const CENTER_COLOR = '#f8fafc';
+
+/**
+ * Color for a bone or joint by body side
+ * @param {string} name - Keypoint name (of the first joint for a bone)
+ * @param {string} otherName - Second joint name for a bone
+ * @returns {string} CSS color
+ */
+function getSideColor(name, otherName = name) {
+  if (name.startsWith('left_') && otherName.startsWith('left_')) return LEFT_COLOR;
+  if (name.startsWith('right_') && otherName.startsWith('right_')) return RIGHT_COLOR;
+  return CENTER_COLOR;
+}
+
+function PoseOverlay({ keypoints, width, height, className = '' }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width || !height) return;
+
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    if (!keypoints) return;
+
+    const byName = Object.fromEntries(
+      keypoints
+        .filter(kp => kp.score >= MIN_KEYPOINT_SCORE && !kp.outlier)
+        .map(kp => [kp.name, kp])
+    );
+    const lineWidth = Math.max(2, width / 200);
+
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    for (const [from, to] of SKELETON_EDGES) {
+      if (!byName[from] || !byName[to]) continue;
+      ctx.strokeStyle = getSideColor(from, to);
+      ctx.beginPath();
+      ctx.moveTo(byName[from].x, byName[from].y);
+      ctx.lineTo(byName[to].x, byName[to].y);
+      ctx.stroke();
+    }
+
+    for (const keypoint of Object.values(byName)) {
+      ctx.fillStyle = getSideColor(keypoint.name);
+      ctx.beginPath();
+      ctx.arc(keypoint.x, keypoint.y, lineWidth * 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }, [keypoints, width, height]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`absolute inset-0 w-full h-full pointer-events-none ${className}`}
+    />
+  );
+}
+
+export default PoseOverlay;
@@ -0,0 +1,84 @@
+/**
+ * RepSummary.jsx
+ * Repetition count, cadence and consistency for repetitive drills, with a
+ * per-rep cadence chart and counts of discrete events found in the clip
+ */
+
+import { useTranslation } from '../i18n';
+import { EVENT_TYPES } from '../core/RepSegmenter';
+
+function RepSummary({ segmentation }) {
+  const { t } = useTranslation();
+  const { repetitions, eventCounts } = segmentation;
+
+  const cadences = repetitions ? repetitions.reps.map(rep => rep.cadence).filter(Boolean) : [];
+  const maxCadence = Math.max(1, ...cadences);
+  const declineAfter = repetitions?.decline?.afterRep ?? Infinity;
+
+  return (
+    <div className="mb-12">
+      <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
+        {t('results.reps.title')}
+      </h2>
+      <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+        {repetitions ? (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+              {[
+                ['count', t('results.reps.count', { count: repetitions.count })],
+                ['cadence', t('results.reps.perMinute', { cadence: repetitions.cadence })],
+                ['consistency', `${repetitions.consistency}%`],
+                ['signal', t(`results.reps.signals.${repetitions.signal}`)]
+              ].map(([key, value]) => (
+                <div key={key} className="text-center">
+                  <p className="text-sm font-medium text-gray-600 mb-1">{t(`results.reps.${key}Label`)}</p>
+                  <p className="text-2xl font-bold text-gray-900 score-value">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {repetitions.decline && (
+              <div className="mt-6 bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-xl text-sm">
+                {t('results.reps.decline', {
+                  rep: repetitions.decline.afterRep,
+                  from: repetitions.decline.baselineCadence,
+                  to: repetitions.decline.finalCadence,
+                  drop: repetitions.decline.drop
+                })}
+              </div>
+            )}
+
+            {cadences.length > 0 && (
+              <div className="mt-6">
+                <p className="text-sm font-bold text-gray-900 mb-2">{t('results.reps.cadenceChart')}</p>
+                <div className="flex items-end gap-px h-24">
+                  {repetitions.reps.filter(rep => rep.cadence).map(rep => (
+                    <div
+                      key={rep.rep}
+                      title={`${t('results.reps.rep', { rep: rep.rep })}: ${t('results.reps.perMinute', { cadence: rep.cadence })}`}
+                      className={`flex-1 rounded-t ${rep.rep > declineAfter ? 'bg-yellow-400' : 'bg-primary-500'}`}
+                      style={{ height: `${(rep.cadence / maxCadence) * 100}%` }}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        ) : (
+          <p className="text-gray-600 text-center">{t('results.reps.none')}</p>
+        )}
+
+        <div className="mt-8 grid grid-cols-2 md:grid-cols-5 gap-4">
+          {EVENT_TYPES.map(type => (
+            <div key={type} className="bg-gray-50 rounded-xl px-4 py-3 text-center">
+              <p className="text-sm font-medium text-gray-600 mb-1">{t(`results.reps.events.${type}`)}</p>
+              <p className="text-xl font-bold text-gray-900 score-value">{eventCounts[type] ?? 0}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RepSummary;
@@ -0,0 +1,286 @@
+/**
+ * ReplayPlayer.jsx
+ * Annotated replay of an analyzed video: skeleton overlay on the stored clip
+ * and a scrubbable timeline of hip sway, joint speed and movement onset
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { useTranslation } from '../i18n';
+import { getResults, getVideo } from '../utils/indexedDB';
+import PoseOverlay from './PoseOverlay';
+
+const TIMELINE_WIDTH = 1000;
+const TIMELINE_HEIGHT = 160;
+const TIMELINE_PADDING = 8;
+
+const TRACES = [
+  { key: 'hipSway', color: '#16a34a', perSecond: false },
+  { key: 'jointSpeed', color: '#2563eb', perSecond: true }
+];
+
+/**
+ * Index of the frame closest to a time
+ * @param {Array<number>} times - Frame timestamps in ms, ascending
+ * @param {number} time - Time in ms
+ * @returns {number} Frame index, or -1 for an empty list
+ */
+function findFrameIndex(times, time) {
+  if (times.length === 0) return -1;
+
+  let low = 0;
+  let high = times.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (times[mid] < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  if (low > 0 && time - times[low - 1] < times[low] - time) {
+    return low - 1;
+  }
+  return low;
+}
+
+/**
+ * SVG path for a trace, with gaps where values are missing
+ * @param {Array<number>} times - Sample times in ms
+ * @param {Array<number|null>} values - Sample values
+ * @param {Function} toX - Time to x coordinate
+ * @returns {string} Path data
+ */
+function buildTracePath(times, values, toX) {
+  const maxValue = Math.max(...values.filter(value => value !== null), 0);
+  if (maxValue === 0) return '';
+
+  const plotHeight = TIMELINE_HEIGHT - TIMELINE_PADDING * 2;
+  let path = '';
+  let penDown = false;
+
+  values.forEach((value, i) => {
+    if (value === null) {
+      penDown = false;
+      return;
+    }
+    const x = toX(times[i]);
+    const y = TIMELINE_PADDING + plotHeight * (1 - value / maxValue);
+    path += `${penDown ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)} `;
+    penDown = true;
+  });
+
+  return path;
+}
+
+function ReplayPlayer({ resultId }) {
+  const { t } = useTranslation();
+  const [replay, setReplay] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const videoRef = useRef(null);
+  const timelineRef = useRef(null);
+
+  // Load landmarks and the original clip from IndexedDB
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+
+    const loadReplay = async () => {
+      try {
+        const result = await getResults(resultId);
+        if (!result.replay || result.replay.frames.length === 0) return;
+
+        const videoData = await getVideo(result.videoId);
+        if (cancelled) return;
+
+        url = URL.createObjectURL(videoData.blob);
+        setVideoUrl(url);
+        setReplay(result.replay);
+      } catch (error) {
+        // The clip may have been cleared from storage; the replay is optional
+        console.warn('Replay not available:', error);
+      }
+    };
+
+    loadReplay();
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [resultId]);
+
+  // Follow the video position while it plays; seeks while paused arrive via onSeeked
+  useEffect(() => {
+    if (!replay || !isPlaying) return undefined;
+
+    let frameRequest = null;
+    const tick = () => {
+      const video = videoRef.current;
+      if (video) {
+        setCurrentTime(video.currentTime * 1000);
+      }
+      frameRequest = requestAnimationFrame(tick);
+    };
+    frameRequest = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frameRequest);
+  }, [replay, isPlaying]);
+
+  if (!replay || !videoUrl) {
+    return null;
+  }
+
+  const { times } = replay.timeline;
+  const lastTimestamp = times[times.length - 1];
+  // Recorded WebM clips often report an infinite duration
+  const timelineEnd = Math.max(Number.isFinite(duration) ? duration * 1000 : 0, lastTimestamp, 1);
+  const toX = time => (time / timelineEnd) * TIMELINE_WIDTH;
+
+  const frameIndex = findFrameIndex(times, currentTime);
+  const frame = replay.frames[frameIndex];
+  // Only draw the skeleton when the nearest frame is close to the playhead
+  const showSkeleton = frame && Math.abs(frame.timestamp - currentTime) < 250;
+
+  const seekToPointer = (event) => {
+    const rect = timelineRef.current.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    const time = ratio * timelineEnd;
+
+    if (videoRef.current) {
+      videoRef.current.currentTime = time / 1000;
+    }
+    setCurrentTime(time);
+  };
+
+  const handlePointerMove = (event) => {
+    if (event.buttons === 1) {
+      seekToPointer(event);
+    }
+  };
+
+  const formatValue = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+      <div className="relative bg-black rounded-xl overflow-hidden max-w-2xl mx-auto mb-6">
+        <video
+          ref={videoRef}
+          src={videoUrl}
+          controls
+          playsInline
+          muted
+          onLoadedMetadata={(e) => setDuration(e.target.duration)}
+          onPlay={() => setIsPlaying(true)}
+          onPause={() => setIsPlaying(false)}
+          onEnded={() => setIsPlaying(false)}
+          onSeeked={(e) => setCurrentTime(e.target.currentTime * 1000)}
+          className="w-full h-auto block"
+        />
+        {showSkeleton && (
+          // Landmarks are relative to the analyzed crop region, if one was set
+          <div
+            className="absolute pointer-events-none"
+            style={{
+              left: `${(replay.crop?.x ?? 0) * 100}%`,
+              top: `${(replay.crop?.y ?? 0) * 100}%`,
+              width: `${(replay.crop?.width ?? 1) * 100}%`,
+              height: `${(replay.crop?.height ?? 1) * 100}%`
+            }}
+          >
+            <PoseOverlay
+              keypoints={frame.keypoints}
+              width={replay.frameWidth}
+              height={replay.frameHeight}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-6 justify-center text-sm mb-3">
+        {TRACES.map(trace => (
+          <span key={trace.key} className="flex items-center gap-2 text-gray-700">
+            <span className="inline-block w-4 h-1 rounded" style={{ backgroundColor: trace.color }} />
+            {t(`results.replay.${trace.key}`)}:{' '}
+            <span className="font-mono font-bold">
+              {formatValue(frameIndex >= 0 ? replay.timeline[trace.key][frameIndex] : null)}{' '}
+              {t('drills.units.torsoLengths')}{trace.perSecond ? '/s' : ''}
+            </span>
+          </span>
+        ))}
+        {replay.onsetTime !== null && (
+          <span className="flex items-center gap-2 text-gray-700">
+            <span className="inline-block w-1 h-4 bg-red-500" />
+            {t('results.replay.onset')}
+          </span>
+        )}
+        {replay.cueTimes.length > 0 && (
+          <span className="flex items-center gap-2 text-gray-700">
+            <span className="inline-block w-1 h-4 bg-yellow-500" />
+            {t('results.replay.cue')}
+          </span>
+        )}
+      </div>
+
+      <svg
+        ref={timelineRef}
+        viewBox={`0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-40 bg-gray-50 rounded-xl border border-gray-200 cursor-pointer touch-none"
+        onPointerDown={seekToPointer}
+        onPointerMove={handlePointerMove}
+      >
+        {TRACES.map(trace => (
+          <path
+            key={trace.key}
+            d={buildTracePath(times, replay.timeline[trace.key], toX)}
+            fill="none"
+            stroke={trace.color}
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        {replay.cueTimes.map(cueTime => (
+          <line
+            key={cueTime}
+            x1={toX(cueTime)}
+            x2={toX(cueTime)}
+            y1="0"
+            y2={TIMELINE_HEIGHT}
+            stroke="#eab308"
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        {replay.onsetTime !== null && (
+          <line
+            x1={toX(replay.onsetTime)}
+            x2={toX(replay.onsetTime)}
+            y1="0"
+            y2={TIMELINE_HEIGHT}
+            stroke="#ef4444"
+            strokeWidth="2"
+            strokeDasharray="6 4"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+        <line
+          x1={toX(currentTime)}
+          x2={toX(currentTime)}
+          y1="0"
+          y2={TIMELINE_HEIGHT}
+          stroke="#111827"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <p className="text-xs text-gray-500 mt-2 text-center">{t('results.replay.hint')}</p>
+    </div>
+  );
+}
+
+export default ReplayPlayer;
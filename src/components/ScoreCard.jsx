@@ -5,13 +5,16 @@
 
 import { motion } from 'framer-motion';
 
-function ScoreCard({ title, score, color = 'primary', index = 0 }) {
+function ScoreCard({ title, score, color = 'primary', index = 0, unit = '/ 100', caption = null }) {
   const colorClasses = {
     primary: 'bg-primary-500',
     green: 'bg-green-500',
     blue: 'bg-blue-500',
     purple: 'bg-purple-500',
-    orange: 'bg-orange-500'
+    orange: 'bg-orange-500',
+    red: 'bg-red-500',
+    teal: 'bg-teal-500',
+    pink: 'bg-pink-500'
   };
 
   const bgColorClass = colorClasses[color] || colorClasses.primary;
@@ -68,7 +71,7 @@ function ScoreCard({ title, score, color = 'primary', index = 0 }) {
             >
               {score}
             </motion.div>
-            <div className="text-xs text-gray-500">/ 100</div>
+            <div className="text-xs text-gray-500">{unit}</div>
           </div>
         </div>
       </div>
@@ -79,6 +82,9 @@ function ScoreCard({ title, score, color = 'primary', index = 0 }) {
             style={{ width: `${score}%` }}
           ></div>
         </div>
+        {caption && (
+          <p className="text-xs text-gray-500 text-center mt-2">{caption}</p>
+        )}
       </div>
     </motion.div>
   );
@@ -0,0 +1,86 @@
+/**
+ * SportExplanation.jsx
+ * Breakdown of a sport suitability score: what each metric contributed,
+ * which minimum scores were missed and the smallest improvement that would
+ * change the recommendation
+ */
+
+import { useTranslation } from '../i18n';
+
+function SportExplanation({ sport, isRecommended }) {
+  const { t } = useTranslation();
+  const metricLabel = metric => t(`results.scores.${metric}`);
+
+  // Reports saved before explanations were added only have the raw scores
+  if (!sport.contributions) {
+    return (
+      <div className="text-sm text-gray-600 space-y-2">
+        {Object.entries(sport.scoreBreakdown || {}).map(([metric, score]) => (
+          <div key={metric} className="font-medium">
+            {metricLabel(metric)}: <span className="font-bold score-value">{score}</span>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const failedByMetric = Object.fromEntries(
+    (sport.failedRequirements || []).map(failed => [failed.metric, failed])
+  );
+  const totalContribution = Object.values(sport.contributions).reduce((sum, value) => sum + value, 0);
+
+  return (
+    <div className="text-sm">
+      <p className="font-bold text-gray-900 mb-3">{t('results.explain.title')}</p>
+      <div className="space-y-3">
+        {Object.entries(sport.contributions).map(([metric, contribution]) => {
+          const failed = failedByMetric[metric];
+          return (
+            <div key={metric}>
+              <div className="flex justify-between text-gray-700 mb-1">
+                <span className="font-medium">
+                  {metricLabel(metric)}{' '}
+                  <span className="text-gray-500">
+                    {t('results.explain.weighted', {
+                      score: sport.scoreBreakdown?.[metric] ?? '-',
+                      weight: Math.round((sport.weight?.[metric] ?? 0) * 100)
+                    })}
+                  </span>
+                </span>
+                <span className="font-bold score-value">+{contribution.toFixed(1)}</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className={`h-2 rounded-full ${failed ? 'bg-red-400' : 'bg-primary-500'}`}
+                  style={{ width: `${totalContribution > 0 ? (contribution / totalContribution) * 100 : 0}%` }}
+                ></div>
+              </div>
+              {failed && (
+                <p className="text-xs text-red-600 mt-1">
+                  {t('results.explain.belowMinimum', { required: failed.required, shortfall: failed.shortfall })}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {sport.improvement && (
+        <div className="mt-4 bg-yellow-50 border border-yellow-300 text-yellow-900 rounded-xl px-4 py-3">
+          <p className="font-bold mb-1">
+            {isRecommended ? t('results.explain.toQualify') : t('results.explain.toRecommend')}
+          </p>
+          <ul className="space-y-1">
+            {sport.improvement.changes.map(change => (
+              <li key={change.metric}>
+                {t('results.explain.raise', { metric: metricLabel(change.metric), from: change.from, to: change.to })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SportExplanation;
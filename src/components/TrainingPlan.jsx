@@ -0,0 +1,201 @@
+/**
+ * TrainingPlan.jsx
+ * Multi-week training plan built from the exercise library for the
+ * athlete's weakest metrics and a chosen target sport, with a printable PDF
+ */
+
+import { useState, useMemo } from 'react';
+import { useTranslation } from '../i18n';
+import TrainingPlanner from '../core/TrainingPlanner';
+import { METRIC_NAMES } from '../core/SportProfiles';
+import jsPDF from 'jspdf';
+import 'jspdf-autotable';
+
+const PLAN_LENGTHS = [4, 6, 8];
+
+const trainingPlanner = new TrainingPlanner();
+
+/**
+ * Sets and reps or seconds as short text, e.g. "3 x 20s" or "3 x 8"
+ * @param {Object} item - Prescribed exercise from the plan
+ * @returns {string} Prescription
+ */
+function formatPrescription(item) {
+  return item.seconds ? `${item.sets} x ${item.seconds}s` : `${item.sets} x ${item.reps}`;
+}
+
+function TrainingPlan({ analysis }) {
+  const { t, language } = useTranslation();
+  const sports = (analysis.sportsSuitability?.length ? analysis.sportsSuitability : analysis.recommendedSports) || [];
+  const [targetSportId, setTargetSportId] = useState(analysis.recommendedSports?.[0]?.id || sports[0]?.id || '');
+  const [weeks, setWeeks] = useState(PLAN_LENGTHS[0]);
+  const [openWeek, setOpenWeek] = useState(1);
+
+  const plan = useMemo(
+    () => trainingPlanner.generatePlan(analysis, { weeks, targetSportId }),
+    [analysis, weeks, targetSportId]
+  );
+
+  const metricLabel = metric => t(`results.scores.${metric}`);
+  const localized = (item, field = 'name') => (language === 'hi' ? item[`${field}Hi`] : item[field]);
+  const targetSport = sports.find(sport => sport.id === plan.targetSportId);
+
+  const downloadPlanPDF = () => {
+    const doc = new jsPDF();
+
+    doc.setFontSize(20);
+    doc.text('Sportify - Training Plan', 14, 20);
+
+    doc.setFontSize(11);
+    doc.text(`Target sport: ${targetSport?.name || '-'}`, 14, 30);
+    doc.text(`Focus: ${plan.focusMetrics.map(metric => METRIC_NAMES[metric] || metric).join(', ')}`, 14, 37);
+    doc.text(`${weeks} weeks, ${plan.sessionsPerWeek} sessions per week`, 14, 44);
+
+    let startY = 52;
+    plan.weeks.forEach(week => {
+      doc.autoTable({
+        startY,
+        head: [[`Week ${week.week} (${week.difficulty})`, 'Exercise', 'Sets', 'Minutes', 'Equipment']],
+        body: week.sessions.flatMap(session => session.exercises.map((item, i) => {
+          const exercise = trainingPlanner.getExercise(item.id);
+          return [
+            i === 0 ? `Session ${session.session}: ${METRIC_NAMES[session.focus] || session.focus}` : '',
+            exercise.name,
+            formatPrescription(item),
+            item.durationMinutes,
+            exercise.equipment.map(id => trainingPlanner.getEquipment(id)?.name || id).join(', ')
+          ];
+        })),
+        theme: 'striped',
+        styles: { fontSize: 9 }
+      });
+      startY = doc.lastAutoTable.finalY + 8;
+    });
+
+    // Exercise descriptions for everything used in the plan
+    const usedIds = [...new Set(plan.weeks.flatMap(week =>
+      week.sessions.flatMap(session => session.exercises.map(item => item.id))))];
+    doc.autoTable({
+      startY,
+      head: [['Exercise', 'How to do it']],
+      body: usedIds.map(id => {
+        const exercise = trainingPlanner.getExercise(id);
+        return [exercise.name, exercise.description];
+      }),
+      theme: 'striped',
+      styles: { fontSize: 9 },
+      columnStyles: { 0: { cellWidth: 45 } }
+    });
+
+    doc.save(`sportify-training-plan-${new Date().toISOString().split('T')[0]}.pdf`);
+  };
+
+  return (
+    <div className="mb-12">
+      <h2 className="text-3xl font-bold text-gray-900 mb-4 text-center">
+        {t('trainingPlan.title')}
+      </h2>
+      <p className="text-gray-600 text-center mb-8">{t('trainingPlan.subtitle')}</p>
+
+      <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+        <div className="flex flex-col md:flex-row md:items-end gap-4 mb-6">
+          <label className="block flex-1">
+            <span className="block text-sm font-bold text-gray-900 mb-1">{t('trainingPlan.targetSport')}</span>
+            <select
+              value={plan.targetSportId || ''}
+              onChange={(e) => setTargetSportId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {sports.map(sport => (
+                <option key={sport.id} value={sport.id}>{localized(sport)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block text-sm font-bold text-gray-900 mb-1">{t('trainingPlan.length')}</span>
+            <select
+              value={weeks}
+              onChange={(e) => { setWeeks(Number(e.target.value)); setOpenWeek(1); }}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {PLAN_LENGTHS.map(length => (
+                <option key={length} value={length}>{t('trainingPlan.weeks', { count: length })}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={downloadPlanPDF}
+            className="px-6 py-2.5 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-all font-bold shadow-lg"
+          >
+            {t('trainingPlan.download')}
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-700 mb-6">
+          <span className="font-bold text-gray-900">{t('trainingPlan.focus')}:</span>{' '}
+          {plan.focusMetrics.map(metricLabel).join(', ')}
+          {' · '}
+          {t('trainingPlan.sessionsPerWeek', { count: plan.sessionsPerWeek })}
+        </p>
+
+        <div className="space-y-4">
+          {plan.weeks.map(week => (
+            <div key={week.week} className="border border-gray-200 rounded-xl">
+              <button
+                onClick={() => setOpenWeek(openWeek === week.week ? null : week.week)}
+                className="w-full flex justify-between items-center px-5 py-3 text-left font-bold text-gray-900"
+              >
+                <span>{t('trainingPlan.week', { week: week.week })}</span>
+                <span className="text-sm font-medium text-gray-600">
+                  {t(`trainingPlan.difficulties.${week.difficulty}`)}
+                </span>
+              </button>
+
+              {openWeek === week.week && (
+                <div className="px-5 pb-5 space-y-5">
+                  {week.sessions.map(session => (
+                    <div key={session.session}>
+                      <p className="font-bold text-gray-900 mb-2">
+                        {t('trainingPlan.session', { session: session.session, focus: metricLabel(session.focus) })}
+                        <span className="text-sm font-medium text-gray-500">
+                          {' · '}{t('trainingPlan.minutes', { minutes: session.totalMinutes })}
+                        </span>
+                      </p>
+                      <ul className="space-y-2">
+                        {session.exercises.map(item => {
+                          const exercise = trainingPlanner.getExercise(item.id);
+                          return (
+                            <li key={item.id} className="bg-gray-50 rounded-lg px-4 py-3 text-sm">
+                              <div className="flex flex-wrap justify-between gap-2">
+                                <span className="font-bold text-gray-900">{localized(exercise)}</span>
+                                <span className="text-gray-600">
+                                  {formatPrescription(item)} · {t('trainingPlan.minutes', { minutes: item.durationMinutes })}
+                                </span>
+                              </div>
+                              <p className="text-gray-700 mt-1">{localized(exercise, 'description')}</p>
+                              <p className="text-gray-500 mt-1">
+                                {t('trainingPlan.equipment')}:{' '}
+                                {exercise.equipment.map(id => {
+                                  const equipment = trainingPlanner.getEquipment(id);
+                                  return equipment ? localized(equipment) : id;
+                                }).join(', ')}
+                                {' · '}
+                                {t(`trainingPlan.difficulties.${exercise.difficulty}`)}
+                              </p>
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TrainingPlan;
@@ -0,0 +1,389 @@
+/**
+ * VideoEditor.jsx
+ * Editor step between upload and analysis: in/out points to cut the
+ * walk-in and walk-out, an optional crop rectangle around the athlete and
+ * an optional camera calibration for real-world units
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { useTranslation } from '../i18n';
+import { resolveDuration } from '../utils/videoUtils';
+import { getPreference, setPreference } from '../utils/preferences';
+import { CALIBRATION_METHODS, MARKER_PRESETS, MIN_HEIGHT_CM, MAX_HEIGHT_CM } from '../core/CameraCalibration';
+
+const MIN_CLIP_SECONDS = 3; // at least 30 frames at the default 10 fps sampling rate
+const MIN_CROP_SIZE = 0.1; // fraction of the frame
+const DEFAULT_CROP = { x: 0.1, y: 0.05, width: 0.8, height: 0.9 };
+
+function VideoEditor({ videoBlob, onConfirm, onCancel }) {
+  const { t } = useTranslation();
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const [start, setStart] = useState(0);
+  const [end, setEnd] = useState(0);
+  const [cropEnabled, setCropEnabled] = useState(false);
+  const [crop, setCrop] = useState(DEFAULT_CROP);
+  const [calibrationSettings, setCalibrationSettings] = useState(getPreference('calibration'));
+  const [markerPoints, setMarkerPoints] = useState([]);
+  const [pickingMarker, setPickingMarker] = useState(false);
+
+  const videoRef = useRef(null);
+  const frameRef = useRef(null);
+  const dragStartRef = useRef(null);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(videoBlob);
+    setVideoUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [videoBlob]);
+
+  const handleLoadedMetadata = async () => {
+    const clipDuration = await resolveDuration(videoRef.current);
+    setDuration(clipDuration);
+    setStart(0);
+    setEnd(clipDuration);
+  };
+
+  const seek = (time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+    }
+  };
+
+  // Keep preview playback inside the selected range
+  const handleTimeUpdate = () => {
+    const video = videoRef.current;
+    if (video && !video.paused && video.currentTime >= end) {
+      video.pause();
+      video.currentTime = start;
+    }
+  };
+
+  const updateStart = (value) => {
+    const next = Math.max(0, Math.min(value, end - MIN_CLIP_SECONDS));
+    setStart(next);
+    seek(next);
+  };
+
+  const updateEnd = (value) => {
+    const next = Math.min(duration, Math.max(value, start + MIN_CLIP_SECONDS));
+    setEnd(next);
+    seek(next);
+  };
+
+  /**
+   * Pointer position as a fraction of the video frame
+   * @param {PointerEvent} event - Pointer event
+   * @returns {Object} { x, y } clamped to 0-1
+   */
+  const getFramePoint = (event) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (pickingMarker) {
+      // Two clicks mark the marker ends; a third starts over
+      const point = getFramePoint(event);
+      const next = markerPoints.length >= 2 ? [point] : [...markerPoints, point];
+      setMarkerPoints(next);
+      if (next.length === 2) setPickingMarker(false);
+      return;
+    }
+    if (!cropEnabled) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragStartRef.current = getFramePoint(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!cropEnabled || !dragStartRef.current) return;
+    const origin = dragStartRef.current;
+    const point = getFramePoint(event);
+
+    setCrop({
+      x: Math.min(origin.x, point.x),
+      y: Math.min(origin.y, point.y),
+      width: Math.abs(point.x - origin.x),
+      height: Math.abs(point.y - origin.y)
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null;
+    // A stray tap should not leave a sliver selected
+    setCrop(current => (
+      current.width < MIN_CROP_SIZE || current.height < MIN_CROP_SIZE ? DEFAULT_CROP : current
+    ));
+  };
+
+  const updateCalibrationSettings = (changes) => {
+    setCalibrationSettings(current => ({ ...current, ...changes }));
+  };
+
+  const selectMarkerPreset = (markerId) => {
+    const preset = MARKER_PRESETS.find(item => item.id === markerId);
+    updateCalibrationSettings({ markerId, lengthCm: preset.lengthCm ?? calibrationSettings.lengthCm });
+  };
+
+  /**
+   * Calibration to store with the video, or null if none or incomplete
+   * @returns {Object|null} { method: 'height', heightCm } or { method: 'marker', lengthCm, points }
+   */
+  const getCalibration = () => {
+    const { method } = calibrationSettings;
+    if (method === 'height') {
+      const heightCm = Number(calibrationSettings.heightCm);
+      return heightCm >= MIN_HEIGHT_CM && heightCm <= MAX_HEIGHT_CM ? { method, heightCm } : null;
+    }
+    if (method === 'marker') {
+      const lengthCm = Number(calibrationSettings.lengthCm);
+      return lengthCm > 0 && markerPoints.length === 2 ? { method, lengthCm, points: markerPoints } : null;
+    }
+    return null;
+  };
+
+  const calibration = getCalibration();
+
+  const handleConfirm = () => {
+    const isTrimmed = start > 0 || end < duration;
+    // Marker positions depend on where the camera stood, so only the settings are remembered
+    setPreference('calibration', calibrationSettings);
+    onConfirm({
+      trim: isTrimmed ? { start, end } : null,
+      crop: cropEnabled ? crop : null,
+      calibration
+    });
+  };
+
+  const formatSeconds = (seconds) => `${seconds.toFixed(1)}s`;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-1">{t('editor.title')}</h2>
+        <p className="text-gray-600">{t('editor.subtitle')}</p>
+      </div>
+
+      <div className="bg-black rounded-2xl overflow-hidden max-w-2xl mx-auto">
+        <div
+          ref={frameRef}
+          className={`relative ${cropEnabled || pickingMarker ? 'cursor-crosshair touch-none' : ''}`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        >
+          {videoUrl && (
+            <video
+              ref={videoRef}
+              src={videoUrl}
+              controls={!cropEnabled && !pickingMarker}
+              playsInline
+              muted
+              onLoadedMetadata={handleLoadedMetadata}
+              onTimeUpdate={handleTimeUpdate}
+              className="w-full h-auto block"
+            />
+          )}
+          {cropEnabled && (
+            <div
+              className="absolute border-2 border-primary-400 pointer-events-none"
+              style={{
+                left: `${crop.x * 100}%`,
+                top: `${crop.y * 100}%`,
+                width: `${crop.width * 100}%`,
+                height: `${crop.height * 100}%`,
+                boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)'
+              }}
+            />
+          )}
+          {calibrationSettings.method === 'marker' && markerPoints.length > 0 && (
+            <>
+              {markerPoints.length === 2 && (
+                <svg className="absolute inset-0 w-full h-full pointer-events-none" viewBox="0 0 100 100" preserveAspectRatio="none">
+                  <line
+                    x1={markerPoints[0].x * 100}
+                    y1={markerPoints[0].y * 100}
+                    x2={markerPoints[1].x * 100}
+                    y2={markerPoints[1].y * 100}
+                    stroke="#facc15"
+                    strokeWidth="2"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                </svg>
+              )}
+              {markerPoints.map((point, index) => (
+                <div
+                  key={index}
+                  className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-yellow-400 border-2 border-white pointer-events-none"
+                  style={{ left: `${point.x * 100}%`, top: `${point.y * 100}%` }}
+                />
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+
+      {duration > 0 && (
+        <div className="space-y-4 max-w-2xl mx-auto">
+          <div>
+            <div className="flex justify-between text-sm font-bold text-gray-900 mb-1">
+              <span>{t('editor.start')}</span>
+              <span>{formatSeconds(start)}</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max={duration}
+              step="0.1"
+              value={start}
+              onChange={(e) => updateStart(Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <div className="flex justify-between text-sm font-bold text-gray-900 mb-1">
+              <span>{t('editor.end')}</span>
+              <span>{formatSeconds(end)}</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max={duration}
+              step="0.1"
+              value={end}
+              onChange={(e) => updateEnd(Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={() => updateStart(videoRef.current?.currentTime ?? 0)}
+              className="px-4 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-colors text-sm font-bold"
+            >
+              {t('editor.setStart')}
+            </button>
+            <button
+              onClick={() => updateEnd(videoRef.current?.currentTime ?? duration)}
+              className="px-4 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-colors text-sm font-bold"
+            >
+              {t('editor.setEnd')}
+            </button>
+            <span className="text-sm text-gray-600 self-center">
+              {t('editor.clipLength', { seconds: (end - start).toFixed(1) })}
+            </span>
+          </div>
+
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={cropEnabled}
+              onChange={(e) => setCropEnabled(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              <span className="block text-sm font-bold text-gray-900">{t('editor.crop')}</span>
+              <span className="block text-sm text-gray-600">{t('editor.cropDesc')}</span>
+            </span>
+          </label>
+
+          <div>
+            <span className="block text-sm font-bold text-gray-900">{t('editor.calibration.title')}</span>
+            <span className="block text-sm text-gray-600 mb-3">{t('editor.calibration.desc')}</span>
+            <div className="flex flex-wrap gap-3 items-end">
+              <select
+                value={calibrationSettings.method}
+                onChange={(e) => {
+                  updateCalibrationSettings({ method: e.target.value });
+                  setPickingMarker(false);
+                }}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">{t('editor.calibration.none')}</option>
+                {CALIBRATION_METHODS.map(method => (
+                  <option key={method} value={method}>{t(`editor.calibration.methods.${method}`)}</option>
+                ))}
+              </select>
+
+              {calibrationSettings.method === 'height' && (
+                <label className="block">
+                  <span className="block text-sm text-gray-600 mb-1">{t('editor.calibration.height')}</span>
+                  <input
+                    type="number"
+                    min={MIN_HEIGHT_CM}
+                    max={MAX_HEIGHT_CM}
+                    value={calibrationSettings.heightCm}
+                    onChange={(e) => updateCalibrationSettings({ heightCm: e.target.value })}
+                    className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </label>
+              )}
+
+              {calibrationSettings.method === 'marker' && (
+                <>
+                  <select
+                    value={calibrationSettings.markerId}
+                    onChange={(e) => selectMarkerPreset(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    {MARKER_PRESETS.map(preset => (
+                      <option key={preset.id} value={preset.id}>{t(`editor.calibration.markers.${preset.id}`)}</option>
+                    ))}
+                  </select>
+                  <label className="block">
+                    <span className="block text-sm text-gray-600 mb-1">{t('editor.calibration.length')}</span>
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.1"
+                      value={calibrationSettings.lengthCm}
+                      disabled={calibrationSettings.markerId !== 'custom'}
+                      onChange={(e) => updateCalibrationSettings({ lengthCm: e.target.value })}
+                      className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:bg-gray-100"
+                    />
+                  </label>
+                  <button
+                    onClick={() => {
+                      setPickingMarker(!pickingMarker);
+                      if (!pickingMarker) setMarkerPoints([]);
+                    }}
+                    className="px-4 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-colors text-sm font-bold"
+                  >
+                    {pickingMarker ? t('editor.calibration.cancelMarking') : t('editor.calibration.markEnds')}
+                  </button>
+                </>
+              )}
+            </div>
+
+            {pickingMarker && (
+              <p className="text-sm text-primary-700 mt-2">{t('editor.calibration.markHint', { point: markerPoints.length + 1 })}</p>
+            )}
+            {calibrationSettings.method && !calibration && !pickingMarker && (
+              <p className="text-sm text-yellow-700 mt-2">{t(`editor.calibration.incomplete.${calibrationSettings.method}`)}</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-center gap-4">
+        <button
+          onClick={onCancel}
+          className="px-8 py-3 bg-gray-600 text-white rounded-xl hover:bg-gray-700 transition-all font-bold shadow-lg"
+        >
+          {t('editor.back')}
+        </button>
+        <button
+          onClick={handleConfirm}
+          disabled={duration === 0}
+          className="px-8 py-3 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-all font-bold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 disabled:opacity-50"
+        >
+          {t('editor.analyze')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default VideoEditor;
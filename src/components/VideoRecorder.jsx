@@ -1,10 +1,31 @@
 /**
  * VideoRecorder.jsx
  * Component for recording video from webcam/mobile camera
+ * In reaction test mode, shows randomized "go" cues during recording and
+ * logs their times so reaction can be measured from cue to movement onset
+ * Live coaching runs pose detection on the camera feed to draw the skeleton
+ * and give framing guidance before and during recording
  */
 
 import { useState, useRef, useEffect } from 'react';
 import { useTranslation } from '../i18n';
+import PoseProcessor from '../core/PoseProcessor';
+import QualityAnalyzer from '../core/QualityAnalyzer';
+import Kinematics from '../core/Kinematics';
+import PoseOverlay from './PoseOverlay';
+import { measureFrameQuality } from '../utils/videoUtils';
+
+const REACTION_TRIALS = 3;
+const CUE_MIN_DELAY_MS = 3000; // athlete must settle before each cue
+const CUE_MAX_DELAY_MS = 6000;
+const CUE_DISPLAY_MS = 600;
+const FINAL_TRIAL_TAIL_MS = 2500; // keep recording after the last cue to catch the response
+
+// Live coaching uses the fastest model so detection keeps up with the camera
+const LIVE_MODEL_ID = 'movenet-lightning';
+const LIVE_DETECTION_INTERVAL_MS = 66; // ~15 detections per second
+const LIVE_BRIGHTNESS_INTERVAL_MS = 1000;
+const LIVE_MIN_BRIGHTNESS = 50;
 
 function VideoRecorder({ onVideoRecorded }) {
   const { t } = useTranslation();
@@ -12,12 +33,100 @@ function VideoRecorder({ onVideoRecorded }) {
   const [recordingTime, setRecordingTime] = useState(0);
   const [hasPermission, setHasPermission] = useState(false);
   const [error, setError] = useState(null);
+  const [reactionMode, setReactionMode] = useState(false);
+  const [cueVisible, setCueVisible] = useState(false);
+  const [trialNumber, setTrialNumber] = useState(0);
+  const [liveCoaching, setLiveCoaching] = useState(true);
+  const [showLiveMetrics, setShowLiveMetrics] = useState(false);
+  const [coachReady, setCoachReady] = useState(false);
+  const [livePose, setLivePose] = useState(null);
+  const [guidance, setGuidance] = useState([]);
   
   const videoRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
   const streamRef = useRef(null);
   const timerRef = useRef(null);
+  const recordingStartRef = useRef(null);
+  const cueTimesRef = useRef(null);
+  const cueTimeoutsRef = useRef([]);
+  const audioContextRef = useRef(null);
+  const livePoseProcessorRef = useRef(null);
+
+  // Live pose detection loop while the camera is on
+  useEffect(() => {
+    if (!hasPermission || !liveCoaching) {
+      setLivePose(null);
+      setGuidance([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let frameRequest = null;
+    let lastDetection = 0;
+    let lastBrightnessCheck = 0;
+    let isDark = false;
+    const qualityAnalyzer = new QualityAnalyzer();
+
+    const detect = async (now) => {
+      const video = videoRef.current;
+      const processor = livePoseProcessorRef.current;
+
+      if (video && processor && video.readyState >= 2 && now - lastDetection >= LIVE_DETECTION_INTERVAL_MS) {
+        lastDetection = now;
+
+        try {
+          if (now - lastBrightnessCheck >= LIVE_BRIGHTNESS_INTERVAL_MS) {
+            lastBrightnessCheck = now;
+            isDark = measureFrameQuality(video).brightness < LIVE_MIN_BRIGHTNESS;
+          }
+
+          const detection = await processor.detectPoses(video);
+          if (cancelled) return;
+
+          const pose = detection.poses.reduce(
+            (best, candidate) => (!best || candidate.score > best.score ? candidate : best),
+            null
+          );
+          const frameGuidance = qualityAnalyzer.checkFrame(pose?.keypoints || null, detection.width, detection.height);
+
+          setLivePose(pose ? { keypoints: pose.keypoints, width: detection.width, height: detection.height } : null);
+          setGuidance(isDark ? ['tooDark', ...frameGuidance] : frameGuidance);
+        } catch (err) {
+          console.warn('Live pose detection failed:', err);
+        }
+      }
+
+      if (!cancelled) {
+        frameRequest = requestAnimationFrame(detect);
+      }
+    };
+
+    const startCoach = async () => {
+      try {
+        if (!livePoseProcessorRef.current) {
+          const processor = new PoseProcessor();
+          await processor.initialize({ modelId: LIVE_MODEL_ID });
+          livePoseProcessorRef.current = processor;
+        }
+        if (cancelled) return;
+        setCoachReady(true);
+        frameRequest = requestAnimationFrame(detect);
+      } catch (err) {
+        console.error('Error starting live coaching:', err);
+        setLiveCoaching(false);
+      }
+    };
+
+    startCoach();
+
+    return () => {
+      cancelled = true;
+      if (frameRequest !== null) {
+        cancelAnimationFrame(frameRequest);
+      }
+    };
+  }, [hasPermission, liveCoaching]);
 
   useEffect(() => {
     return () => {
@@ -28,9 +137,79 @@ function VideoRecorder({ onVideoRecorded }) {
       if (timerRef.current) {
         clearInterval(timerRef.current);
       }
+      cueTimeoutsRef.current.forEach(clearTimeout);
+      audioContextRef.current?.close();
+      livePoseProcessorRef.current?.dispose();
     };
   }, []);
 
+  /**
+   * Joint angle readouts for the live pose
+   * @returns {Object|null} { leftKnee, rightKnee, trunkLean } in degrees (null where not visible)
+   */
+  const getLiveMetrics = () => {
+    if (!livePose || !livePoseProcessorRef.current) return null;
+
+    const kinematics = new Kinematics();
+    const frame = { keypoints: livePose.keypoints };
+    const point = name => kinematics.getPoint(livePoseProcessorRef.current, frame, name);
+    const round = value => (value === null ? null : Math.round(value));
+
+    return {
+      leftKnee: round(kinematics.getAngle(point('left_hip'), point('left_knee'), point('left_ankle'))),
+      rightKnee: round(kinematics.getAngle(point('right_hip'), point('right_knee'), point('right_ankle'))),
+      trunkLean: round(kinematics.getTrunkLean(point('shoulder_center'), point('hip_center')))
+    };
+  };
+
+  const liveMetrics = showLiveMetrics ? getLiveMetrics() : null;
+
+  const clearCues = () => {
+    cueTimeoutsRef.current.forEach(clearTimeout);
+    cueTimeoutsRef.current = [];
+    setCueVisible(false);
+  };
+
+  const playBeep = () => {
+    const audioContext = audioContextRef.current;
+    if (!audioContext) return;
+
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.value = 0.3;
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + 0.2);
+  };
+
+  /**
+   * Schedule the next "go" cue after a random delay
+   * @param {number} trial - Zero-based trial index
+   */
+  const scheduleCue = (trial) => {
+    const delay = CUE_MIN_DELAY_MS + Math.random() * (CUE_MAX_DELAY_MS - CUE_MIN_DELAY_MS);
+    setTrialNumber(trial + 1);
+
+    const cueTimeout = setTimeout(() => {
+      // Cue time relative to the recording start, i.e. media time of the clip
+      cueTimesRef.current.push(Math.round(performance.now() - recordingStartRef.current));
+      setCueVisible(true);
+      playBeep();
+
+      cueTimeoutsRef.current.push(setTimeout(() => setCueVisible(false), CUE_DISPLAY_MS));
+
+      if (trial + 1 < REACTION_TRIALS) {
+        scheduleCue(trial + 1);
+      } else {
+        cueTimeoutsRef.current.push(setTimeout(stopRecording, FINAL_TRIAL_TAIL_MS));
+      }
+    }, delay);
+
+    cueTimeoutsRef.current.push(cueTimeout);
+  };
+
   const startCamera = async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
@@ -64,7 +243,14 @@ function VideoRecorder({ onVideoRecorded }) {
 
     try {
       chunksRef.current = [];
+      cueTimesRef.current = reactionMode ? [] : null;
       const stream = streamRef.current || videoRef.current?.srcObject;
+
+      if (reactionMode && !audioContextRef.current) {
+        // Created inside the click handler so browsers allow audio playback
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContextRef.current = AudioContextClass ? new AudioContextClass() : null;
+      }
       
       const mediaRecorder = new MediaRecorder(stream, {
         mimeType: 'video/webm;codecs=vp8'
@@ -79,11 +265,18 @@ function VideoRecorder({ onVideoRecorded }) {
       mediaRecorder.onstop = () => {
         const blob = new Blob(chunksRef.current, { type: 'video/webm' });
         if (onVideoRecorded) {
-          onVideoRecorded(blob);
+          onVideoRecorded(blob, 'recorded-video.webm', cueTimesRef.current);
         }
         setRecordingTime(0);
       };
 
+      mediaRecorder.onstart = () => {
+        recordingStartRef.current = performance.now();
+        if (cueTimesRef.current) {
+          scheduleCue(0);
+        }
+      };
+
       mediaRecorderRef.current = mediaRecorder;
       mediaRecorder.start();
       setIsRecording(true);
@@ -100,7 +293,11 @@ function VideoRecorder({ onVideoRecorded }) {
   };
 
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
+    clearCues();
+    setTrialNumber(0);
+
+    // Checked on the recorder itself since the final cue stops recording from a timeout
+    if (mediaRecorderRef.current?.state === 'recording') {
       mediaRecorderRef.current.stop();
       setIsRecording(false);
       
@@ -138,6 +335,14 @@ function VideoRecorder({ onVideoRecorded }) {
           muted
           className="w-full h-full object-cover"
         />
+        {liveCoaching && livePose && (
+          <PoseOverlay
+            keypoints={livePose.keypoints}
+            width={livePose.width}
+            height={livePose.height}
+            className="object-cover"
+          />
+        )}
         {!hasPermission && (
           <div className="absolute inset-0 flex items-center justify-center bg-gray-900">
             <div className="text-center text-white">
@@ -157,8 +362,85 @@ function VideoRecorder({ onVideoRecorded }) {
             <span className="font-mono">{formatTime(recordingTime)}</span>
           </div>
         )}
+        {isRecording && trialNumber > 0 && (
+          <div className="absolute top-4 right-4 bg-gray-900/80 text-white px-3 py-1 rounded-full text-sm">
+            {t('reactionTest.trial', { current: trialNumber, total: REACTION_TRIALS })}
+          </div>
+        )}
+        {hasPermission && liveCoaching && !cueVisible && (
+          <div className="absolute bottom-4 left-1/2 -translate-x-1/2 max-w-[90%]">
+            {!coachReady ? (
+              <div className="bg-gray-900/80 text-white px-4 py-2 rounded-full text-sm">
+                {t('liveCoach.loading')}
+              </div>
+            ) : guidance.length > 0 ? (
+              <div className="bg-yellow-500/90 text-gray-900 px-4 py-2 rounded-full text-sm font-bold">
+                {t(`liveCoach.guidance.${guidance[0]}`)}
+              </div>
+            ) : (
+              <div className="bg-green-600/90 text-white px-4 py-2 rounded-full text-sm font-bold">
+                {t('liveCoach.goodFraming')}
+              </div>
+            )}
+          </div>
+        )}
+        {liveMetrics && (
+          <div className="absolute bottom-16 left-4 bg-gray-900/80 text-white px-3 py-2 rounded-xl text-xs space-y-1 font-mono">
+            {Object.entries(liveMetrics).map(([key, value]) => (
+              <div key={key} className="flex justify-between gap-4">
+                <span>{t(`liveCoach.metrics.${key}`)}</span>
+                <span>{value === null ? '-' : `${value}°`}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {cueVisible && (
+          <div className="absolute inset-0 flex items-center justify-center bg-green-500/80">
+            <span className="text-7xl font-extrabold text-white drop-shadow-lg">
+              {t('reactionTest.go')}
+            </span>
+          </div>
+        )}
       </div>
 
+      {hasPermission && (
+        <div className="flex flex-wrap justify-center gap-6 max-w-2xl mx-auto">
+          <label className="flex items-center gap-2 cursor-pointer text-sm font-bold text-gray-900">
+            <input
+              type="checkbox"
+              checked={liveCoaching}
+              onChange={(e) => setLiveCoaching(e.target.checked)}
+            />
+            {t('liveCoach.toggle')}
+          </label>
+          {liveCoaching && (
+            <label className="flex items-center gap-2 cursor-pointer text-sm font-bold text-gray-900">
+              <input
+                type="checkbox"
+                checked={showLiveMetrics}
+                onChange={(e) => setShowLiveMetrics(e.target.checked)}
+              />
+              {t('liveCoach.showMetrics')}
+            </label>
+          )}
+        </div>
+      )}
+
+      {hasPermission && !isRecording && (
+        <label className="flex items-start gap-3 cursor-pointer max-w-2xl mx-auto">
+          <input
+            type="checkbox"
+            checked={reactionMode}
+            onChange={(e) => setReactionMode(e.target.checked)}
+            className="mt-1"
+          />
+          <span>
+            <span className="block text-sm font-bold text-gray-900">{t('reactionTest.mode')}</span>
+            <span className="block text-sm text-gray-600">{t('reactionTest.modeDesc')}</span>
+          </span>
+        </label>
+      )}
+
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
           {error}
@@ -4,7 +4,7 @@
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
-import { onAuthStateChanged, getCurrentUser } from '../utils/firebase';
+import { onAuthStateChanged, getCurrentUser, isAdminUser } from '../utils/firebase';
 
 const AuthContext = createContext(null);
 
@@ -15,6 +15,7 @@ const AuthContext = createContext(null);
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [isAdmin, setIsAdmin] = useState(false);
 
   useEffect(() => {
     let unsubscribe = () => {};
@@ -86,10 +87,28 @@ export function AuthProvider({ children }) {
     };
   }, []);
 
+  // Admins are listed in the Firestore admins collection, which firestore.rules
+  // also checks, so this only decides which pages are shown
+  useEffect(() => {
+    let cancelled = false;
+    setIsAdmin(false);
+
+    if (user) {
+      isAdminUser(user.uid).then((admin) => {
+        if (!cancelled) setIsAdmin(admin);
+      });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
   const value = {
     user,
     loading,
-    isAuthenticated: !!user
+    isAuthenticated: !!user,
+    isAdmin
   };
 
   return (
@@ -0,0 +1,58 @@
+/**
+ * AnalysisPipeline.js
+ * Turns the landmark history held by PoseProcessor into a complete analysis:
+ * metrics, scores, drill measurements and the coaching details. Shared by the
+ * analysis page and the headless test harness so both run the same steps
+ */
+
+import ScoringEngine from './ScoringEngine';
+import DrillAnalyzer from './DrillAnalyzer';
+import Kinematics from './Kinematics';
+
+class AnalysisPipeline {
+  /**
+   * Analyze the landmarks collected by a processor
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @param {Object} options
+   * @param {string|null} options.drillId - Drill ID from DrillCatalog.json
+   * @param {Object|null} options.athlete - { age, sex, level } for peer percentiles
+   * @param {Array<number>|null} options.reactionCues - Reaction test cue times in ms
+   * @param {Object|null} options.calibration - Output of CameraCalibration.resolve()
+   * @param {Object|null} options.quality - QualityAnalyzer report
+   * @param {Object|null} options.sampling - FrameSampler summary
+   * @returns {Object} Analysis results (see ScoringEngine.processAnalysis)
+   */
+  run(poseProcessor, {
+    drillId = null,
+    athlete = null,
+    reactionCues = null,
+    calibration = null,
+    quality = null,
+    sampling = null
+  } = {}) {
+    poseProcessor.setReactionCues(reactionCues);
+    poseProcessor.setCalibration(calibration);
+    const metrics = poseProcessor.calculateMetrics();
+
+    // Generate scores and recommendations, as percentiles against peers when the athlete is known
+    const analysis = new ScoringEngine().processAnalysis(metrics, athlete);
+
+    // Extract drill-specific measurements for standardized tests
+    analysis.drill = new DrillAnalyzer().analyze(drillId, poseProcessor);
+    analysis.poseModel = poseProcessor.modelId;
+    analysis.quality = quality;
+    analysis.sampling = sampling;
+    analysis.reactionTest = poseProcessor.getReactionTest();
+
+    // Joint angles, centre of mass and step events for coaches
+    analysis.kinematics = new Kinematics().analyze(poseProcessor);
+    // Repetition counts and discrete events (jumps, squats, throws...)
+    analysis.segmentation = poseProcessor.getSegmentation();
+    // Metres, m/s and cm when the camera was calibrated in the editor
+    analysis.realWorld = poseProcessor.getRealWorldMeasures();
+
+    return analysis;
+  }
+}
+
+export default AnalysisPipeline;
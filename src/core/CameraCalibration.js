@@ -0,0 +1,198 @@
+/**
+ * CameraCalibration.js
+ * Converts pixel measurements from PoseProcessor into real-world units,
+ * calibrated from the athlete's height or a marker of known size in frame
+ */
+
+export const CALIBRATION_METHODS = ['height', 'marker'];
+
+// Common markers; 'custom' lets the coach enter any length (e.g. cone spacing)
+export const MARKER_PRESETS = [
+  { id: 'a4Long', lengthCm: 29.7 },
+  { id: 'a4Short', lengthCm: 21 },
+  { id: 'custom', lengthCm: null }
+];
+
+export const MIN_HEIGHT_CM = 80;
+export const MAX_HEIGHT_CM = 250;
+
+// Fractions of standing height (adult anthropometric averages)
+const NOSE_TO_ANKLE_HEIGHT = 0.88;
+const TORSO_HEIGHT = 0.29; // shoulder centre to hip centre
+
+const MIN_HEIGHT_FRAMES = 10;
+const UPRIGHT_QUANTILE = 0.9; // frames where the athlete stands tallest
+const SPRINT_WINDOW = 0.5; // seconds over which sprint speed is averaged
+
+/**
+ * Value at a quantile of a list (nearest rank)
+ * @param {Array<number>} values - Values
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} Value at the quantile
+ */
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class CameraCalibration {
+  /**
+   * Turn the editor's calibration into one PoseProcessor can use
+   * Marker ends are picked as fractions of the full video frame, but landmarks
+   * are in the pixels of the detector's input: the crop region, downscaled by
+   * the pose worker. The marker length is converted to those pixels (the crop
+   * offset does not change a length)
+   * @param {Object|null} calibration - { method: 'height', heightCm } or
+   *   { method: 'marker', lengthCm, points: [{ x, y }, { x, y }] }
+   * @param {number} frameWidth - Video width in pixels
+   * @param {number} frameHeight - Video height in pixels
+   * @param {Object} [detection] - { sourceWidth, landmarkWidth }: width in video
+   *   pixels of the region handed to the detector (default the full frame) and
+   *   width of the frames the landmarks were detected on (default the same)
+   * @returns {Object|null} { method, heightCm } or { method, lengthCm, pixelLength }
+   */
+  resolve(calibration, frameWidth, frameHeight, { sourceWidth = frameWidth, landmarkWidth } = {}) {
+    if (calibration?.method === 'height' && calibration.heightCm > 0) {
+      return { method: 'height', heightCm: calibration.heightCm };
+    }
+
+    if (calibration?.method === 'marker' && calibration.lengthCm > 0 && calibration.points?.length === 2) {
+      const [a, b] = calibration.points;
+      const scale = (landmarkWidth || sourceWidth) / sourceWidth;
+      const pixelLength = Math.hypot((b.x - a.x) * frameWidth, (b.y - a.y) * frameHeight) * scale;
+      if (pixelLength > 0) {
+        return { method: 'marker', lengthCm: calibration.lengthCm, pixelLength };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Metres per pixel in the athlete's plane of motion
+   * @param {Object} calibration - Output of resolve()
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {number|null} Metres per pixel, or null if it can't be determined
+   */
+  getMetersPerPixel(calibration, poseProcessor) {
+    if (calibration?.method === 'marker') {
+      return calibration.lengthCm / 100 / calibration.pixelLength;
+    }
+
+    if (calibration?.method === 'height') {
+      const heightPixels = this.getStandingHeightPixels(poseProcessor);
+      return heightPixels ? calibration.heightCm / 100 / heightPixels : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Estimate the athlete's standing height in pixels
+   * Uses the nose-to-ankle distance in the most upright frames, or the torso
+   * length when the head or feet are out of view
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {number|null} Height in pixels
+   */
+  getStandingHeightPixels(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+
+    const extents = history.map(frame => {
+      const nose = poseProcessor.getKeypoint(frame, 'nose');
+      const leftAnkle = poseProcessor.getKeypoint(frame, 'left_ankle');
+      const rightAnkle = poseProcessor.getKeypoint(frame, 'right_ankle');
+      if (!nose || !leftAnkle || !rightAnkle) return null;
+      return (leftAnkle.y + rightAnkle.y) / 2 - nose.y;
+    }).filter(extent => extent !== null && extent > 0);
+
+    if (extents.length >= MIN_HEIGHT_FRAMES) {
+      return quantile(extents, UPRIGHT_QUANTILE) / NOSE_TO_ANKLE_HEIGHT;
+    }
+
+    return history.length > 0 ? poseProcessor.getBodyScale() / TORSO_HEIGHT : null;
+  }
+
+  /**
+   * Real-world distances and speeds for a calibrated clip
+   * Assumes the athlete moves across the frame, side-on to the camera, at
+   * roughly the calibrated distance
+   * @param {Object} calibration - Output of resolve()
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object|null} { method, metersPerPixel, sprintSpeed (m/s), distance (m),
+   *   jumpHeight (cm), shuttleDistance (m, null without turns) }
+   */
+  measure(calibration, poseProcessor) {
+    const metersPerPixel = this.getMetersPerPixel(calibration, poseProcessor);
+    if (!metersPerPixel) return null;
+
+    const history = poseProcessor.getLandmarkHistory();
+    const metersPerTorso = poseProcessor.getBodyScale() * metersPerPixel;
+    const startTime = history.length > 0 ? history[0].timestamp : 0;
+
+    const track = history
+      .map(frame => ({ hip: poseProcessor.getHipCenter(frame), time: (frame.timestamp - startTime) / 1000 }))
+      .filter(sample => sample.hip)
+      .map(sample => ({ x: sample.hip.x * metersPerPixel, time: sample.time }));
+
+    const segmentation = poseProcessor.getSegmentation();
+    const jumps = segmentation.events.filter(event => event.type === 'jump');
+    const turns = segmentation.events.filter(event => event.type === 'directionChange');
+
+    return {
+      method: calibration.method,
+      metersPerPixel,
+      sprintSpeed: round(this.getSprintSpeed(track), 2),
+      distance: round(track.slice(1).reduce((sum, sample, i) => sum + Math.abs(sample.x - track[i].x), 0), 1),
+      jumpHeight: jumps.length > 0
+        ? round(Math.max(...jumps.map(jump => jump.height)) * metersPerTorso * 100)
+        : 0,
+      shuttleDistance: this.getShuttleDistance(track, turns, metersPerTorso)
+    };
+  }
+
+  /**
+   * Fastest horizontal hip speed held over SPRINT_WINDOW
+   * @param {Array} track - [{ x (m), time (s) }]
+   * @returns {number} Speed in m/s
+   */
+  getSprintSpeed(track) {
+    let best = 0;
+    let from = 0;
+
+    for (let to = 1; to < track.length; to++) {
+      while (track[to].time - track[from + 1].time >= SPRINT_WINDOW) from++;
+      const elapsed = track[to].time - track[from].time;
+      if (elapsed >= SPRINT_WINDOW) {
+        best = Math.max(best, Math.abs(track[to].x - track[from].x) / elapsed);
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Length of one shuttle leg: the median distance between turns, or the
+   * longer leg for a single out-and-back
+   * @param {Array} track - [{ x (m), time (s) }]
+   * @param {Array} turns - Direction change events with hip position in torso lengths
+   * @param {number} metersPerTorso - Metres per torso length
+   * @returns {number|null} Distance in metres, or null without turns
+   */
+  getShuttleDistance(track, turns, metersPerTorso) {
+    if (turns.length === 0 || track.length < 2) return null;
+
+    const turnPositions = turns.map(turn => turn.position * metersPerTorso);
+    const legs = turnPositions.length >= 2
+      ? turnPositions.slice(1).map((x, i) => Math.abs(x - turnPositions[i]))
+      : [
+        Math.abs(turnPositions[0] - track[0].x),
+        Math.abs(track[track.length - 1].x - turnPositions[0])
+      ];
+
+    return round(turnPositions.length >= 2 ? quantile(legs, 0.5) : Math.max(...legs), 1);
+  }
+}
+
+export default CameraCalibration;
@@ -0,0 +1,338 @@
+/**
+ * DrillAnalyzer.js
+ * Drill-specific measurement extraction for standardized test protocols
+ * Operates on the (filtered) landmark history collected by PoseProcessor
+ */
+
+import drillCatalog from './DrillCatalog.json';
+
+// Thresholds in torso lengths (see PoseProcessor body-scale normalization)
+const FOOT_LIFT_THRESHOLD = 0.15;
+const SHUTTLE_MOVING_SPEED = 0.5; // torso lengths/second
+const JUMP_THRESHOLD = 0.15;
+const CLAP_CLOSED_DISTANCE = 0.25;
+const CLAP_OPEN_DISTANCE = 0.5;
+
+class DrillAnalyzer {
+  constructor() {
+    this.drills = drillCatalog.drills;
+  }
+
+  /**
+   * Get a drill definition from the catalog
+   * @param {string} drillId - Drill ID
+   * @returns {Object|null} Drill definition
+   */
+  getDrill(drillId) {
+    return this.drills.find(drill => drill.id === drillId) || null;
+  }
+
+  /**
+   * Get the frame sampling settings for a drill
+   * @param {string} drillId - Drill ID
+   * @returns {Object} Sampling config ({ mode: 'fixed', fps } or { mode: 'adaptive', minFps, maxFps })
+   */
+  getSampling(drillId) {
+    return this.getDrill(drillId)?.sampling || drillCatalog.defaultSampling;
+  }
+
+  /**
+   * Get how strongly a drill informs each general metric
+   * @param {string} drillId - Drill ID
+   * @returns {Object} Relative weight per metric (1 = neutral)
+   */
+  getMetricWeights(drillId) {
+    return this.getDrill(drillId)?.metricWeights || this.getDrill('freeform').metricWeights;
+  }
+
+  /**
+   * Run the drill-specific analyzer on processed landmarks
+   * @param {string} drillId - Drill ID from DrillCatalog.json
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object|null} Drill result with measurements, or null for free-form clips
+   */
+  analyze(drillId, poseProcessor) {
+    const drill = this.getDrill(drillId);
+    if (!drill || !drill.analyzer) {
+      return null;
+    }
+
+    const analyzers = {
+      singleLegStance: () => this.analyzeSingleLegStance(poseProcessor),
+      shuttle: () => this.analyzeShuttle(poseProcessor),
+      verticalJump: () => this.analyzeVerticalJump(poseProcessor),
+      sitAndReach: () => this.analyzeSitAndReach(poseProcessor),
+      clapReaction: () => this.analyzeClapReaction(poseProcessor)
+    };
+
+    if (!analyzers[drill.analyzer]) {
+      throw new Error(`Unknown drill analyzer: ${drill.analyzer}`);
+    }
+
+    const values = analyzers[drill.analyzer]();
+    // Calibrated clips also report torso-length distances in centimetres
+    const metersPerPixel = poseProcessor.getMetersPerPixel();
+    const cmPerTorso = metersPerPixel ? poseProcessor.getBodyScale() * metersPerPixel * 100 : null;
+
+    return {
+      id: drill.id,
+      name: drill.name,
+      nameHi: drill.nameHi,
+      measurements: drill.measurements.map(measurement => {
+        const value = values[measurement.id] ?? 0;
+        return cmPerTorso && measurement.unit === 'torsoLengths'
+          ? { ...measurement, value, realValue: Math.round(value * cmPerTorso), realUnit: 'cm' }
+          : { ...measurement, value };
+      })
+    };
+  }
+
+  /**
+   * Get the hip midpoint for a frame
+   * @param {PoseProcessor} poseProcessor - Processor providing keypoint lookup
+   * @param {Object} frame - Landmark data
+   * @returns {Object|null} { x, y } or null if hips not visible
+   */
+  getHipCenter(poseProcessor, frame) {
+    const leftHip = poseProcessor.getKeypoint(frame, 'left_hip');
+    const rightHip = poseProcessor.getKeypoint(frame, 'right_hip');
+
+    if (!leftHip || !rightHip) return null;
+
+    return {
+      x: (leftHip.x + rightHip.x) / 2,
+      y: (leftHip.y + rightHip.y) / 2
+    };
+  }
+
+  /**
+   * Single-leg stance: longest continuous hold with one foot raised
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { holdDuration, sway }
+   */
+  analyzeSingleLegStance(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+
+    let bestRun = [];
+    let currentRun = [];
+
+    for (const frame of history) {
+      const leftAnkle = poseProcessor.getKeypoint(frame, 'left_ankle');
+      const rightAnkle = poseProcessor.getKeypoint(frame, 'right_ankle');
+      const isLifted = leftAnkle && rightAnkle &&
+        Math.abs(leftAnkle.y - rightAnkle.y) / bodyScale > FOOT_LIFT_THRESHOLD;
+
+      if (isLifted) {
+        currentRun.push(frame);
+        if (currentRun.length > bestRun.length) {
+          bestRun = currentRun;
+        }
+      } else {
+        currentRun = [];
+      }
+    }
+
+    if (bestRun.length < 2) {
+      return { holdDuration: 0, sway: 0 };
+    }
+
+    const holdDuration = (bestRun[bestRun.length - 1].timestamp - bestRun[0].timestamp) / 1000;
+
+    const hipPositions = bestRun
+      .map(frame => this.getHipCenter(poseProcessor, frame))
+      .filter(Boolean);
+
+    let sway = 0;
+    if (hipPositions.length > 1) {
+      const avgX = hipPositions.reduce((sum, pos) => sum + pos.x, 0) / hipPositions.length;
+      const avgY = hipPositions.reduce((sum, pos) => sum + pos.y, 0) / hipPositions.length;
+      const variance = hipPositions.reduce(
+        (sum, pos) => sum + (pos.x - avgX) ** 2 + (pos.y - avgY) ** 2, 0
+      ) / hipPositions.length;
+      sway = Math.sqrt(variance) / bodyScale;
+    }
+
+    return {
+      holdDuration: Math.round(holdDuration * 10) / 10,
+      sway: Math.round(sway * 100) / 100
+    };
+  }
+
+  /**
+   * Shuttle run: time from first to last movement and number of turns
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { shuttleTime, directionChanges }
+   */
+  analyzeShuttle(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+
+    let startTime = null;
+    let endTime = null;
+    let lastDirection = 0;
+    let directionChanges = 0;
+    let previous = null;
+
+    for (const frame of history) {
+      const hip = this.getHipCenter(poseProcessor, frame);
+      if (!hip) continue;
+
+      if (previous) {
+        const timeDelta = (frame.timestamp - previous.timestamp) / 1000;
+        if (timeDelta > 0) {
+          const velocityX = (hip.x - previous.hip.x) / bodyScale / timeDelta;
+
+          if (Math.abs(velocityX) > SHUTTLE_MOVING_SPEED) {
+            const direction = Math.sign(velocityX);
+            if (startTime === null) startTime = previous.timestamp;
+            endTime = frame.timestamp;
+
+            if (lastDirection !== 0 && direction !== lastDirection) {
+              directionChanges++;
+            }
+            lastDirection = direction;
+          }
+        }
+      }
+
+      previous = { hip, timestamp: frame.timestamp };
+    }
+
+    const shuttleTime = startTime !== null ? (endTime - startTime) / 1000 : 0;
+
+    return {
+      shuttleTime: Math.round(shuttleTime * 100) / 100,
+      directionChanges
+    };
+  }
+
+  /**
+   * Vertical jump: peak hip rise above the standing baseline and jump count
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { jumpHeight, repCount }
+   */
+  analyzeVerticalJump(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+
+    const hipHeights = history
+      .map(frame => this.getHipCenter(poseProcessor, frame))
+      .filter(Boolean)
+      .map(hip => hip.y);
+
+    if (hipHeights.length < 5) {
+      return { jumpHeight: 0, repCount: 0 };
+    }
+
+    // Standing baseline from the still period at the start of the clip
+    const baselineFrames = hipHeights
+      .slice(0, Math.max(3, Math.floor(hipHeights.length * 0.2)))
+      .sort((a, b) => a - b);
+    const baseline = baselineFrames[Math.floor(baselineFrames.length / 2)];
+
+    let jumpHeight = 0;
+    let repCount = 0;
+    let isAirborne = false;
+
+    for (const y of hipHeights) {
+      // Image y grows downwards, so a rise is baseline - y
+      const rise = (baseline - y) / bodyScale;
+      jumpHeight = Math.max(jumpHeight, rise);
+
+      if (!isAirborne && rise > JUMP_THRESHOLD) {
+        isAirborne = true;
+        repCount++;
+      } else if (isAirborne && rise < JUMP_THRESHOLD / 2) {
+        isAirborne = false;
+      }
+    }
+
+    return {
+      jumpHeight: Math.round(Math.max(0, jumpHeight) * 100) / 100,
+      repCount
+    };
+  }
+
+  /**
+   * Sit-and-reach: furthest wrist position past the ankle along the leg line
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { reachDistance }
+   */
+  analyzeSitAndReach(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+
+    let bestReach = null;
+
+    for (const frame of history) {
+      for (const side of ['left', 'right']) {
+        const hip = poseProcessor.getKeypoint(frame, `${side}_hip`);
+        const ankle = poseProcessor.getKeypoint(frame, `${side}_ankle`);
+        const wrist = poseProcessor.getKeypoint(frame, `${side}_wrist`);
+
+        if (!hip || !ankle || !wrist) continue;
+
+        const legX = ankle.x - hip.x;
+        const legY = ankle.y - hip.y;
+        const legLength = Math.sqrt(legX * legX + legY * legY);
+        if (legLength === 0) continue;
+
+        // Project wrist offset from the ankle onto the hip->ankle direction
+        const reach = ((wrist.x - ankle.x) * legX + (wrist.y - ankle.y) * legY) / legLength;
+        const normalizedReach = reach / bodyScale;
+
+        if (bestReach === null || normalizedReach > bestReach) {
+          bestReach = normalizedReach;
+        }
+      }
+    }
+
+    return {
+      reachDistance: bestReach === null ? 0 : Math.round(bestReach * 100) / 100
+    };
+  }
+
+  /**
+   * Clap reaction: number of claps and average time between them
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { repCount, averageInterval }
+   */
+  analyzeClapReaction(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+
+    const clapTimes = [];
+    let handsOpen = true;
+
+    for (const frame of history) {
+      const leftWrist = poseProcessor.getKeypoint(frame, 'left_wrist');
+      const rightWrist = poseProcessor.getKeypoint(frame, 'right_wrist');
+      if (!leftWrist || !rightWrist) continue;
+
+      const dx = leftWrist.x - rightWrist.x;
+      const dy = leftWrist.y - rightWrist.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) / bodyScale;
+
+      // Hysteresis so a single clap is not counted twice
+      if (handsOpen && distance < CLAP_CLOSED_DISTANCE) {
+        handsOpen = false;
+        clapTimes.push(frame.timestamp);
+      } else if (!handsOpen && distance > CLAP_OPEN_DISTANCE) {
+        handsOpen = true;
+      }
+    }
+
+    let averageInterval = 0;
+    if (clapTimes.length > 1) {
+      averageInterval = (clapTimes[clapTimes.length - 1] - clapTimes[0]) / 1000 / (clapTimes.length - 1);
+    }
+
+    return {
+      repCount: clapTimes.length,
+      averageInterval: Math.round(averageInterval * 100) / 100
+    };
+  }
+}
+
+export default DrillAnalyzer;
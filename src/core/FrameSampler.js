@@ -0,0 +1,105 @@
+/**
+ * FrameSampler.js
+ * Chooses which video times to analyze
+ * Fixed mode samples at a constant rate; adaptive mode samples densely while
+ * the athlete moves and sparsely while they are still
+ */
+
+// Mean absolute thumbnail difference (0-255) that counts as motion
+const MOTION_THRESHOLD = 3;
+// Dense frames without motion before dropping back to the sparse rate
+const STILL_FRAMES_BEFORE_SPARSE = 3;
+
+class FrameSampler {
+  /**
+   * @param {Object} sampling - Sampling config from DrillCatalog.json
+   *   ({ mode: 'fixed', fps } or { mode: 'adaptive', minFps, maxFps })
+   * @param {number} startTime - First time to sample in seconds
+   * @param {number} endTime - Last time to sample in seconds
+   */
+  constructor(sampling, startTime, endTime) {
+    this.sampling = sampling;
+    this.isAdaptive = sampling.mode === 'adaptive';
+    this.denseStep = 1 / (this.isAdaptive ? sampling.maxFps : sampling.fps);
+    this.sparseStep = 1 / (this.isAdaptive ? sampling.minFps : sampling.fps);
+    this.startTime = startTime;
+    this.endTime = endTime;
+
+    this.time = startTime;
+    this.previousTime = null;
+    this.isDense = false;
+    this.stillFrames = 0;
+    this.refineUntil = null;
+    this.framesSampled = 0;
+  }
+
+  /**
+   * Check whether there are times left to sample
+   * @returns {boolean} True until the end time is reached
+   */
+  hasNext() {
+    return this.time < this.endTime - 1e-6;
+  }
+
+  /**
+   * Progress through the sampled range
+   * @returns {number} Fraction (0-1)
+   */
+  getProgress() {
+    const span = this.endTime - this.startTime;
+    return span > 0 ? Math.min(1, (this.time - this.startTime) / span) : 1;
+  }
+
+  /**
+   * Report the motion measured at the current time and move to the next time
+   * @param {number} motion - Difference from the previously accepted frame (0-255)
+   * @returns {boolean} True if the frame at the current time should be analyzed;
+   *   false if the sampler stepped back to cover a motion onset densely
+   */
+  accept(motion) {
+    if (this.isAdaptive) {
+      const isMoving = motion > MOTION_THRESHOLD;
+      const skippedGap = this.previousTime !== null && this.time - this.previousTime > this.denseStep * 1.5;
+
+      if (isMoving && !this.isDense && skippedGap) {
+        // Motion started somewhere in the sparse gap: resample it densely
+        this.isDense = true;
+        this.stillFrames = 0;
+        this.refineUntil = this.time;
+        this.time = this.previousTime + this.denseStep;
+        return false;
+      }
+
+      if (isMoving) {
+        this.isDense = true;
+        this.stillFrames = 0;
+      } else if (this.isDense && this.time >= (this.refineUntil ?? -Infinity)) {
+        this.stillFrames++;
+        if (this.stillFrames >= STILL_FRAMES_BEFORE_SPARSE) {
+          this.isDense = false;
+        }
+      }
+    }
+
+    this.previousTime = this.time;
+    this.framesSampled++;
+    this.time += this.isDense ? this.denseStep : this.sparseStep;
+    return true;
+  }
+
+  /**
+   * Sampling settings and the rate actually achieved
+   * @returns {Object} { mode, fps | minFps, maxFps, framesSampled, effectiveFps }
+   */
+  getSummary() {
+    const span = this.endTime - this.startTime;
+
+    return {
+      ...this.sampling,
+      framesSampled: this.framesSampled,
+      effectiveFps: span > 0 ? Math.round(this.framesSampled / span * 10) / 10 : 0
+    };
+  }
+}
+
+export default FrameSampler;
@@ -0,0 +1,317 @@
+/**
+ * Kinematics.js
+ * Derives joint angles, angular velocities, centre of mass and step events
+ * from the landmark history collected by PoseProcessor
+ */
+
+// Joint angles as [proximal, joint, distal] keypoint triples
+const JOINT_ANGLES = {
+  leftKnee: ['left_hip', 'left_knee', 'left_ankle'],
+  rightKnee: ['right_hip', 'right_knee', 'right_ankle'],
+  leftHip: ['left_shoulder', 'left_hip', 'left_knee'],
+  rightHip: ['right_shoulder', 'right_hip', 'right_knee'],
+  leftElbow: ['left_shoulder', 'left_elbow', 'left_wrist'],
+  rightElbow: ['right_shoulder', 'right_elbow', 'right_wrist']
+};
+
+// Segment mass fractions (simplified Dempster model) for centre of mass
+const BODY_SEGMENTS = [
+  { from: 'nose', to: 'nose', mass: 0.081 },
+  { from: 'shoulder_center', to: 'hip_center', mass: 0.497 },
+  { from: 'left_shoulder', to: 'left_elbow', mass: 0.028 },
+  { from: 'right_shoulder', to: 'right_elbow', mass: 0.028 },
+  { from: 'left_elbow', to: 'left_wrist', mass: 0.022 },
+  { from: 'right_elbow', to: 'right_wrist', mass: 0.022 },
+  { from: 'left_hip', to: 'left_knee', mass: 0.1 },
+  { from: 'right_hip', to: 'right_knee', mass: 0.1 },
+  { from: 'left_knee', to: 'left_ankle', mass: 0.061 },
+  { from: 'right_knee', to: 'right_ankle', mass: 0.061 }
+];
+
+// Step detection (torso lengths / seconds)
+const GROUND_TOLERANCE = 0.2;
+const MIN_STEP_INTERVAL = 0.2;
+
+// Form feedback thresholds
+const KNEE_VALGUS_WARNING = 0.1; // medial knee offset as a fraction of leg length
+const TRUNK_LEAN_WARNING = 30; // degrees from vertical
+
+class Kinematics {
+  /**
+   * Compute kinematic time series and a summary
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { series, summary }
+   */
+  analyze(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+    const point = (frame, name) => this.getPoint(poseProcessor, frame, name);
+
+    const startTime = history.length > 0 ? history[0].timestamp : 0;
+    const times = history.map(frame => (frame.timestamp - startTime) / 1000);
+
+    const angles = {};
+    for (const [joint, [a, b, c]] of Object.entries(JOINT_ANGLES)) {
+      angles[joint] = history.map(frame =>
+        this.getAngle(point(frame, a), point(frame, b), point(frame, c))
+      );
+    }
+    angles.trunkLean = history.map(frame =>
+      this.getTrunkLean(point(frame, 'shoulder_center'), point(frame, 'hip_center'))
+    );
+
+    const angularVelocity = {};
+    for (const [joint, series] of Object.entries(angles)) {
+      angularVelocity[joint] = this.differentiate(series, times);
+    }
+
+    const centerOfMass = history.map(frame => {
+      const com = this.getCenterOfMass(frame, point);
+      return com ? { x: com.x / bodyScale, y: com.y / bodyScale } : null;
+    });
+
+    const kneeValgus = {
+      left: history.map(frame => this.getKneeValgus(frame, point, 'left', 'right')),
+      right: history.map(frame => this.getKneeValgus(frame, point, 'right', 'left'))
+    };
+
+    const steps = this.detectSteps(history, times, bodyScale, point);
+
+    const series = { times, angles, angularVelocity, centerOfMass, kneeValgus };
+
+    return {
+      series,
+      steps,
+      summary: this.summarize(series, steps)
+    };
+  }
+
+  /**
+   * Get a confident keypoint, including synthetic shoulder/hip centres
+   * @param {PoseProcessor} poseProcessor - Processor providing keypoint lookup
+   * @param {Object} frame - Landmark data
+   * @param {string} name - Keypoint name, 'shoulder_center' or 'hip_center'
+   * @returns {Object|null} { x, y }
+   */
+  getPoint(poseProcessor, frame, name) {
+    if (name === 'shoulder_center' || name === 'hip_center') {
+      const part = name === 'shoulder_center' ? 'shoulder' : 'hip';
+      const left = poseProcessor.getKeypoint(frame, `left_${part}`);
+      const right = poseProcessor.getKeypoint(frame, `right_${part}`);
+      if (!left || !right) return null;
+      return { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 };
+    }
+
+    return poseProcessor.getKeypoint(frame, name);
+  }
+
+  /**
+   * Interior angle at b formed by a-b-c
+   * @returns {number|null} Angle in degrees (180 = straight)
+   */
+  getAngle(a, b, c) {
+    if (!a || !b || !c) return null;
+
+    const v1x = a.x - b.x;
+    const v1y = a.y - b.y;
+    const v2x = c.x - b.x;
+    const v2y = c.y - b.y;
+    const magnitude = Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y);
+    if (magnitude === 0) return null;
+
+    const cosine = Math.min(1, Math.max(-1, (v1x * v2x + v1y * v2y) / magnitude));
+    return Math.acos(cosine) * 180 / Math.PI;
+  }
+
+  /**
+   * Trunk lean from vertical (hip centre to shoulder centre)
+   * @returns {number|null} Signed angle in degrees (positive = leaning to image right)
+   */
+  getTrunkLean(shoulderCenter, hipCenter) {
+    if (!shoulderCenter || !hipCenter) return null;
+
+    const dx = shoulderCenter.x - hipCenter.x;
+    const dy = hipCenter.y - shoulderCenter.y; // image y grows downwards
+    if (dx === 0 && dy === 0) return null;
+
+    return Math.atan2(dx, dy) * 180 / Math.PI;
+  }
+
+  /**
+   * Central-difference derivative of a series with gaps
+   * @param {Array} series - Values (null where missing)
+   * @param {Array} times - Sample times in seconds
+   * @returns {Array} Rate of change per second (null where not computable)
+   */
+  differentiate(series, times) {
+    return series.map((value, i) => {
+      const before = i > 0 ? i - 1 : i;
+      const after = i < series.length - 1 ? i + 1 : i;
+      const dt = times[after] - times[before];
+
+      if (value === null || series[before] === null || series[after] === null || dt <= 0) {
+        return null;
+      }
+      return (series[after] - series[before]) / dt;
+    });
+  }
+
+  /**
+   * Segment-weighted centre of mass for a frame
+   * @param {Object} frame - Landmark data
+   * @param {Function} point - Keypoint lookup
+   * @returns {Object|null} { x, y } in pixels, or null if the trunk is not visible
+   */
+  getCenterOfMass(frame, point) {
+    let totalMass = 0;
+    let x = 0;
+    let y = 0;
+    let hasTrunk = false;
+
+    for (const segment of BODY_SEGMENTS) {
+      const from = point(frame, segment.from);
+      const to = point(frame, segment.to);
+      if (!from || !to) continue;
+
+      if (segment.from === 'shoulder_center') hasTrunk = true;
+      x += ((from.x + to.x) / 2) * segment.mass;
+      y += ((from.y + to.y) / 2) * segment.mass;
+      totalMass += segment.mass;
+    }
+
+    if (!hasTrunk || totalMass === 0) return null;
+    return { x: x / totalMass, y: y / totalMass };
+  }
+
+  /**
+   * Frontal-plane knee valgus: medial offset of the knee from the hip-ankle line
+   * @param {Object} frame - Landmark data
+   * @param {Function} point - Keypoint lookup
+   * @param {string} side - 'left' or 'right'
+   * @param {string} otherSide - Opposite side, used to find the body midline
+   * @returns {number|null} Offset as a fraction of leg length (positive = knee inward)
+   */
+  getKneeValgus(frame, point, side, otherSide) {
+    const hip = point(frame, `${side}_hip`);
+    const knee = point(frame, `${side}_knee`);
+    const ankle = point(frame, `${side}_ankle`);
+    const otherHip = point(frame, `${otherSide}_hip`);
+    if (!hip || !knee || !ankle || !otherHip) return null;
+
+    const legX = ankle.x - hip.x;
+    const legY = ankle.y - hip.y;
+    const legLength = Math.hypot(legX, legY);
+    if (legLength === 0) return null;
+
+    // Signed perpendicular distance of the knee from the hip-ankle line
+    const offset = (legX * (knee.y - hip.y) - legY * (knee.x - hip.x)) / legLength;
+    const midlineSide = Math.sign(legX * (otherHip.y - hip.y) - legY * (otherHip.x - hip.x));
+
+    return (offset * midlineSide) / legLength;
+  }
+
+  /**
+   * Detect foot contacts from ankle trajectories
+   * A contact is an ankle reaching its lowest point near the ground level
+   * @returns {Object} { events, stepCount, cadence, meanStrideTime }
+   */
+  detectSteps(history, times, bodyScale, point) {
+    const events = [];
+
+    for (const side of ['left', 'right']) {
+      const heights = history.map(frame => {
+        const ankle = point(frame, `${side}_ankle`);
+        return ankle ? ankle.y / bodyScale : null;
+      });
+
+      const valid = heights.filter(h => h !== null).sort((a, b) => a - b);
+      if (valid.length < 3) continue;
+      const groundLevel = valid[Math.floor(valid.length * 0.95)];
+
+      let lastContact = -Infinity;
+      for (let i = 1; i < heights.length - 1; i++) {
+        const [previous, current, next] = [heights[i - 1], heights[i], heights[i + 1]];
+        if (previous === null || current === null || next === null) continue;
+
+        const isLowestPoint = current >= previous && current > next;
+        const nearGround = groundLevel - current < GROUND_TOLERANCE;
+
+        if (isLowestPoint && nearGround && times[i] - lastContact >= MIN_STEP_INTERVAL) {
+          events.push({ time: times[i], foot: side });
+          lastContact = times[i];
+        }
+      }
+    }
+
+    events.sort((a, b) => a.time - b.time);
+
+    const strideTimes = [];
+    for (const side of ['left', 'right']) {
+      const contacts = events.filter(event => event.foot === side);
+      for (let i = 1; i < contacts.length; i++) {
+        strideTimes.push(contacts[i].time - contacts[i - 1].time);
+      }
+    }
+
+    const duration = events.length > 1 ? events[events.length - 1].time - events[0].time : 0;
+
+    return {
+      events,
+      stepCount: events.length,
+      cadence: duration > 0 ? Math.round(((events.length - 1) / duration) * 60) : 0,
+      meanStrideTime: strideTimes.length > 0
+        ? Math.round((strideTimes.reduce((sum, t) => sum + t, 0) / strideTimes.length) * 100) / 100
+        : 0
+    };
+  }
+
+  /**
+   * Summarize series into headline numbers and form feedback
+   * @param {Object} series - Output series from analyze()
+   * @param {Object} steps - Step detection result
+   * @returns {Object} Summary values (degrees, deg/s, fractions, steps/min)
+   */
+  summarize(series, steps) {
+    const values = (list) => list.filter(value => value !== null);
+    const max = (list) => (list.length > 0 ? Math.max(...list) : 0);
+    const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+    const kneeAngles = values([...series.angles.leftKnee, ...series.angles.rightKnee]);
+    const hipAngles = values([...series.angles.leftHip, ...series.angles.rightHip]);
+    const kneeVelocities = values([
+      ...series.angularVelocity.leftKnee,
+      ...series.angularVelocity.rightKnee
+    ]).map(Math.abs);
+    const trunkLean = values(series.angles.trunkLean).map(Math.abs);
+    const kneeValgus = values([...series.kneeValgus.left, ...series.kneeValgus.right]);
+
+    const comPoints = values(series.centerOfMass);
+    const comRange = (axis) => comPoints.length > 0
+      ? max(comPoints.map(p => p[axis])) - Math.min(...comPoints.map(p => p[axis]))
+      : 0;
+
+    const summary = {
+      peakKneeFlexion: round(max(kneeAngles.map(angle => 180 - angle))),
+      peakHipFlexion: round(max(hipAngles.map(angle => 180 - angle))),
+      peakKneeAngularVelocity: round(max(kneeVelocities)),
+      maxTrunkLean: round(max(trunkLean)),
+      peakKneeValgus: round(Math.max(0, max(kneeValgus)), 2),
+      comHorizontalRange: round(comRange('x'), 2),
+      comVerticalRange: round(comRange('y'), 2),
+      stepCount: steps.stepCount,
+      cadence: steps.cadence,
+      feedback: []
+    };
+
+    if (summary.peakKneeValgus > KNEE_VALGUS_WARNING) {
+      summary.feedback.push('kneeValgus');
+    }
+    if (summary.maxTrunkLean > TRUNK_LEAN_WARNING) {
+      summary.feedback.push('trunkLean');
+    }
+
+    return summary;
+  }
+}
+
+export default Kinematics;
@@ -0,0 +1,219 @@
+/**
+ * LandmarkFilter.js
+ * Cleans landmark tracks between detection and metric calculation:
+ * outlier rejection, interpolation across short dropouts and One-Euro smoothing
+ * All distances are handled in torso lengths so parameters do not depend on resolution
+ */
+
+export const DEFAULT_FILTER_OPTIONS = {
+  enabled: true,
+  minScore: 0.5, // keypoints at or below this score count as missing
+  maxJointSpeed: 8, // torso lengths/second; faster jumps are rejected as outliers
+  maxOutlierRun: 3, // consecutive rejections before the track is re-anchored
+  maxGapMs: 300, // longest dropout that is interpolated
+  minCutoff: 1.0, // One-Euro minimum cutoff frequency (Hz)
+  beta: 0.5, // One-Euro speed coefficient
+  derivativeCutoff: 1.0 // One-Euro cutoff for the speed estimate (Hz)
+};
+
+/**
+ * Smoothing factor for a first-order low-pass filter
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @param {number} dt - Time step in seconds
+ * @returns {number} Alpha (0-1)
+ */
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+class LandmarkFilter {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_FILTER_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_FILTER_OPTIONS, ...options };
+  }
+
+  /**
+   * Filter a landmark history
+   * @param {Array} landmarkHistory - Raw frames from PoseProcessor
+   * @param {number} bodyScale - Torso length in pixels
+   * @param {Array<number>} missedFrames - Timestamps of sampled frames where no
+   *   pose was detected; short dropouts come back as interpolated frames
+   * @returns {Array} New frames with cleaned keypoints; the input is not modified
+   */
+  filter(landmarkHistory, bodyScale, missedFrames = []) {
+    const frames = landmarkHistory.map(frame => ({
+      ...frame,
+      keypoints: frame.keypoints.map(kp => ({ ...kp }))
+    }));
+
+    if (!this.options.enabled || frames.length === 0 || !(bodyScale > 0)) {
+      return frames;
+    }
+
+    const jointNames = [...new Set(frames.flatMap(frame => frame.keypoints.map(kp => kp.name)))];
+
+    // Missed frames start with every joint missing (score 0) so fillGaps() can fill them
+    const missed = missedFrames.map(timestamp => ({
+      timestamp,
+      interpolated: true,
+      keypoints: jointNames.map(name => ({ name, x: 0, y: 0, score: 0 }))
+    }));
+    const allFrames = [...frames, ...missed].sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const jointName of jointNames) {
+      const track = allFrames
+        .map(frame => ({
+          timestamp: frame.timestamp,
+          keypoint: frame.keypoints.find(kp => kp.name === jointName)
+        }))
+        .filter(sample => sample.keypoint);
+
+      this.rejectOutliers(track, bodyScale);
+      this.fillGaps(track);
+      this.smooth(track, bodyScale);
+    }
+
+    // Missed frames are kept only where some joint could be filled in
+    return allFrames
+      .map(frame => (frame.interpolated
+        ? { ...frame, keypoints: frame.keypoints.filter(kp => kp.interpolated) }
+        : frame))
+      .filter(frame => frame.keypoints.length > 0);
+  }
+
+  /**
+   * Check whether a keypoint sample is usable
+   * @param {Object} keypoint - Keypoint
+   * @returns {boolean} True if confident and not rejected
+   */
+  isValid(keypoint) {
+    return keypoint.score > this.options.minScore && !keypoint.outlier;
+  }
+
+  /**
+   * Mark keypoints that move implausibly fast as outliers
+   * @param {Array} track - Samples for one joint ({ timestamp, keypoint })
+   * @param {number} bodyScale - Torso length in pixels
+   */
+  rejectOutliers(track, bodyScale) {
+    const { maxJointSpeed, maxOutlierRun } = this.options;
+    let anchor = null;
+    let rejected = [];
+
+    for (const sample of track) {
+      if (!this.isValid(sample.keypoint)) continue;
+
+      if (anchor) {
+        const dt = (sample.timestamp - anchor.timestamp) / 1000;
+        const distance = Math.hypot(
+          sample.keypoint.x - anchor.keypoint.x,
+          sample.keypoint.y - anchor.keypoint.y
+        ) / bodyScale;
+
+        if (dt > 0 && distance / dt > maxJointSpeed) {
+          if (rejected.length < maxOutlierRun) {
+            sample.keypoint.outlier = true;
+            rejected.push(sample);
+            continue;
+          }
+
+          // The joint keeps "teleporting", so the anchor was the outlier:
+          // restore the rejected run and re-anchor on this sample
+          anchor.keypoint.outlier = true;
+          rejected.forEach(({ keypoint }) => delete keypoint.outlier);
+        }
+      }
+
+      anchor = sample;
+      rejected = [];
+    }
+  }
+
+  /**
+   * Linearly interpolate short dropouts between two valid samples
+   * @param {Array} track - Samples for one joint ({ timestamp, keypoint })
+   */
+  fillGaps(track) {
+    let previousValid = -1;
+
+    for (let i = 0; i < track.length; i++) {
+      if (!this.isValid(track[i].keypoint)) continue;
+
+      const gapStart = previousValid + 1;
+      const hasGap = previousValid >= 0 && i - gapStart > 0;
+      const gapDuration = hasGap ? track[i].timestamp - track[previousValid].timestamp : 0;
+
+      if (hasGap && gapDuration <= this.options.maxGapMs) {
+        const before = track[previousValid];
+        const after = track[i];
+
+        for (let j = gapStart; j < i; j++) {
+          const ratio = (track[j].timestamp - before.timestamp) / gapDuration;
+          const keypoint = track[j].keypoint;
+
+          keypoint.x = before.keypoint.x + (after.keypoint.x - before.keypoint.x) * ratio;
+          keypoint.y = before.keypoint.y + (after.keypoint.y - before.keypoint.y) * ratio;
+          keypoint.score = Math.min(before.keypoint.score, after.keypoint.score);
+          keypoint.interpolated = true;
+          delete keypoint.outlier;
+        }
+      }
+
+      previousValid = i;
+    }
+  }
+
+  /**
+   * Apply a One-Euro filter to the valid samples of a joint
+   * The filter restarts after any gap that could not be filled
+   * @param {Array} track - Samples for one joint ({ timestamp, keypoint })
+   * @param {number} bodyScale - Torso length in pixels
+   */
+  smooth(track, bodyScale) {
+    const { minCutoff, beta, derivativeCutoff } = this.options;
+    let state = null;
+
+    for (const sample of track) {
+      const keypoint = sample.keypoint;
+
+      if (!this.isValid(keypoint)) {
+        state = null;
+        continue;
+      }
+
+      const x = keypoint.x / bodyScale;
+      const y = keypoint.y / bodyScale;
+
+      if (!state) {
+        state = { x, y, dx: 0, dy: 0, timestamp: sample.timestamp };
+        continue;
+      }
+
+      const dt = (sample.timestamp - state.timestamp) / 1000;
+      if (dt <= 0) continue;
+
+      const derivativeAlpha = smoothingFactor(derivativeCutoff, dt);
+      const dx = derivativeAlpha * ((x - state.x) / dt) + (1 - derivativeAlpha) * state.dx;
+      const dy = derivativeAlpha * ((y - state.y) / dt) + (1 - derivativeAlpha) * state.dy;
+
+      const cutoff = minCutoff + beta * Math.hypot(dx, dy);
+      const alpha = smoothingFactor(cutoff, dt);
+
+      state = {
+        x: alpha * x + (1 - alpha) * state.x,
+        y: alpha * y + (1 - alpha) * state.y,
+        dx,
+        dy,
+        timestamp: sample.timestamp
+      };
+
+      keypoint.x = state.x * bodyScale;
+      keypoint.y = state.y * bodyScale;
+    }
+  }
+}
+
+export default LandmarkFilter;
@@ -0,0 +1,379 @@
+/**
+ * LandmarkFormats.js
+ * Export of per-frame keypoints as JSON, CSV or COCO keypoints, and import of
+ * those files back into a recording that can be analyzed again
+ */
+
+export const RECORDING_FORMAT = 'sportify-landmarks';
+const RECORDING_VERSION = 1;
+
+export const EXPORT_FORMATS = [
+  { id: 'json', extension: 'json', mimeType: 'application/json' },
+  { id: 'csv', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'coco', extension: 'coco.json', mimeType: 'application/json' }
+];
+
+// COCO person keypoints, in the order the format defines
+export const COCO_KEYPOINTS = ['nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow', 'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_ankle', 'right_ankle'];
+
+// 1-based keypoint index pairs, as in the COCO annotations
+const COCO_SKELETON = [[16, 14], [14, 12], [17, 15], [15, 13], [12, 13], [6, 12], [7, 13], [6, 7],
+  [6, 8], [7, 9], [8, 10], [9, 11], [2, 3], [1, 2], [1, 3], [2, 4], [3, 5], [4, 6], [5, 7]];
+
+const MIN_KEYPOINT_SCORE = 0.5; // same as PoseProcessor
+const DEFAULT_IMPORT_FPS = 10; // for files without timestamps (default drill sampling rate)
+
+// Recording fields and processor state written as '# key: json' lines above
+// the CSV header, so a CSV export is analyzed with the same options again
+const CSV_OPTIONS = ['drillId', 'athlete', 'reactionCues', 'calibration', 'frameStats', 'sampling'];
+const CSV_STATE = ['modelId', 'frameWidth', 'frameHeight', 'startTime', 'missedFrames'];
+const CSV_COMMENT = /^#\s*(\w+):\s*(.*)$/;
+
+// Confidence given to COCO keypoints that only carry a visibility flag
+const VISIBLE_SCORE = 0.9;
+const OCCLUDED_SCORE = 0.3;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class LandmarkFormats {
+  /**
+   * Bundle the raw landmarks with everything needed to analyze them again
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @param {Object} options - Analysis options (see AnalysisPipeline.run) plus frameStats
+   * @returns {Object} Recording; the test fixtures in tests/fixtures use the same shape
+   */
+  createRecording(poseProcessor, {
+    drillId = null,
+    athlete = null,
+    reactionCues = null,
+    calibration = null,
+    frameStats = null,
+    sampling = null
+  } = {}) {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      drillId,
+      athlete,
+      reactionCues,
+      calibration,
+      frameStats,
+      sampling,
+      state: poseProcessor.getState()
+    };
+  }
+
+  /**
+   * Serialize a recording in an export format
+   * @param {Object} recording - Output of createRecording()
+   * @param {string} formatId - Format ID from EXPORT_FORMATS
+   * @returns {string} File contents
+   */
+  export(recording, formatId) {
+    const exporters = {
+      json: () => JSON.stringify(recording),
+      csv: () => this.toCSV(recording),
+      coco: () => JSON.stringify(this.toCOCO(recording))
+    };
+
+    if (!exporters[formatId]) {
+      throw new Error(`Unknown landmark export format: ${formatId}`);
+    }
+    return exporters[formatId]();
+  }
+
+  /**
+   * Keypoint names used in a recording, COCO keypoints first
+   * @param {Array} history - Landmark history
+   * @returns {Array<string>} Names
+   */
+  getKeypointNames(history) {
+    const names = new Set();
+    history.forEach(frame => frame.keypoints.forEach(kp => names.add(kp.name)));
+    return [
+      ...COCO_KEYPOINTS.filter(name => names.has(name)),
+      ...[...names].filter(name => !COCO_KEYPOINTS.includes(name))
+    ];
+  }
+
+  /**
+   * One row per frame: timestamp_ms, then x, y and score for every keypoint
+   * Keypoints missing from a frame are left empty. The analysis options, model
+   * and frame size come first as '# key: json' comment lines
+   * @param {Object} recording - Output of createRecording()
+   * @returns {string} CSV text
+   */
+  toCSV(recording) {
+    const history = recording.state.landmarkHistory;
+    const names = this.getKeypointNames(history);
+    const header = ['timestamp_ms', ...names.flatMap(name => [`${name}_x`, `${name}_y`, `${name}_score`])];
+
+    const rows = history.map(frame => {
+      const byName = Object.fromEntries(frame.keypoints.map(kp => [kp.name, kp]));
+      return [
+        frame.timestamp,
+        ...names.flatMap(name => {
+          const kp = byName[name];
+          return kp ? [round(kp.x, 2), round(kp.y, 2), round(kp.score, 3)] : ['', '', ''];
+        })
+      ].join(',');
+    });
+
+    const comments = [
+      ...CSV_OPTIONS.map(key => [key, recording[key]]),
+      ...CSV_STATE.map(key => [key, recording.state[key]])
+    ]
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `# ${key}: ${JSON.stringify(value)}`);
+
+    return [...comments, header.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * COCO keypoints dataset with one image and one person annotation per frame
+   * Visibility is 2 for confident keypoints, 1 for low-confidence ones and 0
+   * for missing ones; exact confidences are kept in keypoint_scores. The
+   * analysis options travel in info.sportify so the file can be re-scored
+   * @param {Object} recording - Output of createRecording()
+   * @returns {Object} COCO dataset
+   */
+  toCOCO(recording) {
+    const { landmarkHistory, frameWidth, frameHeight, modelId } = recording.state;
+    const startTime = landmarkHistory.length > 0 ? landmarkHistory[0].timestamp : 0;
+
+    const images = landmarkHistory.map((frame, index) => ({
+      id: index + 1,
+      file_name: `frame_${String(index).padStart(5, '0')}.jpg`,
+      width: frameWidth,
+      height: frameHeight,
+      frame_index: index,
+      timestamp: frame.timestamp - startTime
+    }));
+
+    const annotations = landmarkHistory.map((frame, index) => {
+      const byName = Object.fromEntries(frame.keypoints.map(kp => [kp.name, kp]));
+      const present = COCO_KEYPOINTS.map(name => byName[name]).filter(Boolean);
+      const xs = present.map(kp => kp.x);
+      const ys = present.map(kp => kp.y);
+      const bbox = present.length > 0
+        ? [Math.min(...xs), Math.min(...ys), Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)]
+          .map(value => round(value, 2))
+        : [0, 0, 0, 0];
+
+      return {
+        id: index + 1,
+        image_id: index + 1,
+        category_id: 1,
+        keypoints: COCO_KEYPOINTS.flatMap(name => {
+          const kp = byName[name];
+          if (!kp) return [0, 0, 0];
+          return [round(kp.x, 2), round(kp.y, 2), kp.score > MIN_KEYPOINT_SCORE ? 2 : 1];
+        }),
+        keypoint_scores: COCO_KEYPOINTS.map(name => (byName[name] ? round(byName[name].score, 3) : 0)),
+        num_keypoints: present.filter(kp => kp.score > MIN_KEYPOINT_SCORE).length,
+        bbox,
+        area: round(bbox[2] * bbox[3], 2),
+        iscrowd: 0
+      };
+    });
+
+    return {
+      info: {
+        description: 'Sportify pose landmarks',
+        version: String(RECORDING_VERSION),
+        date_created: new Date().toISOString(),
+        sportify: {
+          modelId,
+          drillId: recording.drillId,
+          athlete: recording.athlete,
+          reactionCues: recording.reactionCues,
+          calibration: recording.calibration,
+          startTime
+        }
+      },
+      images,
+      annotations,
+      categories: [{
+        id: 1,
+        name: 'person',
+        supercategory: 'person',
+        keypoints: COCO_KEYPOINTS,
+        skeleton: COCO_SKELETON
+      }]
+    };
+  }
+
+  /**
+   * Read an exported or hand-made keypoint file
+   * @param {string} text - File contents
+   * @returns {Object} Recording (see createRecording); options missing from
+   *   the file are null
+   */
+  parse(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{')) {
+      return this.fromCSV(trimmed);
+    }
+
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data.state?.landmarkHistory)) {
+      return { ...this.emptyRecording(), ...data, format: RECORDING_FORMAT, version: RECORDING_VERSION };
+    }
+    if (Array.isArray(data.annotations) && Array.isArray(data.images)) {
+      return this.fromCOCO(data);
+    }
+
+    throw new Error('Unrecognized keypoint file');
+  }
+
+  /**
+   * Recording with no landmarks and no analysis options
+   * @returns {Object} Recording
+   */
+  emptyRecording() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      drillId: null,
+      athlete: null,
+      reactionCues: null,
+      calibration: null,
+      frameStats: null,
+      sampling: null,
+      state: { modelId: null, frameWidth: null, frameHeight: null, landmarkHistory: [] }
+    };
+  }
+
+  /**
+   * Read the CSV layout written by toCSV()
+   * Frames are spaced at DEFAULT_IMPORT_FPS where the timestamp_ms column or
+   * cell is missing; comment lines that are not toCSV() options are ignored
+   * @param {string} text - CSV text
+   * @returns {Object} Recording
+   */
+  fromCSV(text) {
+    const allLines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const metadata = this.parseCSVComments(allLines.filter(line => line.startsWith('#')));
+    const [headerLine, ...lines] = allLines.filter(line => !line.startsWith('#'));
+    const header = (headerLine || '').split(',').map(column => column.trim());
+    const timeColumn = header.indexOf('timestamp_ms');
+
+    const keypointColumns = header
+      .map((column, index) => ({ column, index }))
+      .filter(({ column }) => column.endsWith('_x'))
+      .map(({ column, index }) => {
+        const name = column.slice(0, -2);
+        return { name, x: index, y: header.indexOf(`${name}_y`), score: header.indexOf(`${name}_score`) };
+      })
+      .filter(columns => columns.y !== -1);
+
+    if (keypointColumns.length === 0) {
+      throw new Error('Unrecognized keypoint file');
+    }
+
+    const landmarkHistory = lines.map((line, frameIndex) => {
+      const cells = line.split(',');
+      const value = index => (index >= 0 && cells[index] !== undefined && cells[index].trim() !== ''
+        ? Number(cells[index])
+        : null);
+
+      return {
+        timestamp: value(timeColumn) ?? Math.round(frameIndex * 1000 / DEFAULT_IMPORT_FPS),
+        keypoints: keypointColumns
+          .filter(columns => value(columns.x) !== null && value(columns.y) !== null)
+          .map(columns => ({
+            name: columns.name,
+            x: value(columns.x),
+            y: value(columns.y),
+            score: value(columns.score) ?? VISIBLE_SCORE
+          }))
+      };
+    });
+
+    const recording = this.emptyRecording();
+    const pick = keys => Object.fromEntries(keys.filter(key => key in metadata).map(key => [key, metadata[key]]));
+    return {
+      ...recording,
+      ...pick(CSV_OPTIONS),
+      state: { ...recording.state, ...pick(CSV_STATE), landmarkHistory }
+    };
+  }
+
+  /**
+   * Values from the '# key: json' lines written by toCSV()
+   * @param {Array<string>} lines - Comment lines
+   * @returns {Object} Values keyed by option or state field
+   */
+  parseCSVComments(lines) {
+    const metadata = {};
+
+    for (const line of lines) {
+      const match = line.trim().match(CSV_COMMENT);
+      if (!match || ![...CSV_OPTIONS, ...CSV_STATE].includes(match[1])) continue;
+      try {
+        metadata[match[1]] = JSON.parse(match[2]);
+      } catch (error) {
+        // A comment from another tool that happens to use the same key
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Read a COCO keypoints dataset, one athlete per image
+   * Images with several people keep the annotation with the most visible keypoints
+   * @param {Object} data - COCO dataset
+   * @returns {Object} Recording
+   */
+  fromCOCO(data) {
+    const category = data.categories?.find(item => Array.isArray(item.keypoints)) || { keypoints: COCO_KEYPOINTS };
+    const options = data.info?.sportify || {};
+
+    const bestByImage = new Map();
+    for (const annotation of data.annotations) {
+      const current = bestByImage.get(annotation.image_id);
+      if (!current || (annotation.num_keypoints ?? 0) > (current.num_keypoints ?? 0)) {
+        bestByImage.set(annotation.image_id, annotation);
+      }
+    }
+
+    const images = [...data.images].sort((a, b) => (a.frame_index ?? a.id) - (b.frame_index ?? b.id));
+    const fps = data.info?.fps || DEFAULT_IMPORT_FPS;
+    const startTime = options.startTime ?? 0;
+
+    const landmarkHistory = images
+      .filter(image => bestByImage.has(image.id))
+      .map((image, index) => {
+        const annotation = bestByImage.get(image.id);
+        const keypoints = [];
+        category.keypoints.forEach((name, k) => {
+          const [x, y, visibility] = annotation.keypoints.slice(k * 3, k * 3 + 3);
+          if (!visibility) return;
+          const score = annotation.keypoint_scores?.[k] ?? (visibility === 2 ? VISIBLE_SCORE : OCCLUDED_SCORE);
+          keypoints.push({ name, x, y, score });
+        });
+
+        const time = image.timestamp ?? Math.round(index * 1000 / fps);
+        return { timestamp: startTime + time, keypoints };
+      });
+
+    return {
+      ...this.emptyRecording(),
+      drillId: options.drillId ?? null,
+      athlete: options.athlete ?? null,
+      reactionCues: options.reactionCues ?? null,
+      calibration: options.calibration ?? null,
+      state: {
+        modelId: options.modelId ?? null,
+        frameWidth: images[0]?.width ?? null,
+        frameHeight: images[0]?.height ?? null,
+        landmarkHistory
+      }
+    };
+  }
+}
+
+export default LandmarkFormats;
@@ -0,0 +1,146 @@
+/**
+ * ModelRecommender.js
+ * Recommender backed by a TensorFlow.js model trained offline on labelled
+ * trial outcomes. The model and its metadata are served as local files from
+ * public/models/recommender; without them the rule-based ScoringEngine is used
+ *
+ * Recommenders share one contract:
+ *   id       - 'rules' or 'model'
+ *   version  - Version recorded with each analysis
+ *   recommend(analysis) - Sport suitability as [{ id, suitabilityScore }], best first
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+export const MODEL_BASE_URL = '/models/recommender';
+
+// Number of top sports compared when measuring agreement with the rules
+const TOP_SPORTS = 3;
+
+/**
+ * Read a value from an analysis by dotted path (e.g. "kinematics.summary.cadence")
+ * @param {Object} analysis - Analysis result
+ * @param {string} path - Dotted path
+ * @returns {number|null} Value, or null if missing or not a number
+ */
+function getFeatureValue(analysis, path) {
+  const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), analysis);
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+class ModelRecommender {
+  constructor(baseUrl = MODEL_BASE_URL) {
+    this.id = 'model';
+    this.baseUrl = baseUrl;
+    this.model = null;
+    this.metadata = null;
+    this.version = null;
+  }
+
+  /**
+   * Load the model and its metadata
+   * metadata.json: { version, sports: [sportId], features: [{ path, mean, std }] }
+   * @returns {Promise<boolean>} True if the model is ready; false if it is absent or unusable
+   */
+  async load() {
+    if (this.model) return true;
+
+    try {
+      const response = await fetch(`${this.baseUrl}/metadata.json`);
+      if (!response.ok) return false;
+      const metadata = await response.json();
+
+      if (!Array.isArray(metadata.sports) || !Array.isArray(metadata.features)) {
+        console.warn('Recommender metadata is missing sports or features');
+        return false;
+      }
+
+      const model = await tf.loadLayersModel(`${this.baseUrl}/model.json`);
+      const outputSize = model.outputs[0].shape[model.outputs[0].shape.length - 1];
+      if (outputSize !== metadata.sports.length) {
+        console.warn('Recommender model output does not match its sport list');
+        model.dispose();
+        return false;
+      }
+
+      this.model = model;
+      this.metadata = metadata;
+      this.version = metadata.version;
+      return true;
+    } catch (error) {
+      console.warn('Recommender model not available:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Standardized feature vector for an analysis
+   * Missing features are set to their training mean (0 after standardization)
+   * @param {Object} analysis - Analysis from the ScoringEngine with kinematics attached
+   * @returns {Array<number>} Feature vector in metadata order
+   */
+  getFeatureVector(analysis) {
+    return this.metadata.features.map(({ path, mean = 0, std = 1 }) => {
+      const value = getFeatureValue(analysis, path);
+      return value === null || std === 0 ? 0 : (value - mean) / std;
+    });
+  }
+
+  /**
+   * Sport suitability predicted by the model
+   * @param {Object} analysis - Analysis from the ScoringEngine with kinematics attached
+   * @returns {Array} [{ id, suitabilityScore }] sorted by score
+   */
+  recommend(analysis) {
+    if (!this.model) {
+      throw new Error('Recommender model is not loaded');
+    }
+
+    const output = tf.tidy(() => {
+      const input = tf.tensor2d([this.getFeatureVector(analysis)]);
+      return this.model.predict(input).dataSync();
+    });
+
+    return this.metadata.sports
+      .map((id, i) => ({ id, suitabilityScore: Math.round(Math.min(1, Math.max(0, output[i])) * 100) }))
+      .sort((a, b) => b.suitabilityScore - a.suitabilityScore);
+  }
+
+  /**
+   * Side-by-side comparison of rule and model suitability
+   * @param {Array} ruleSports - sportsSuitability from the ScoringEngine
+   * @param {Array} modelSports - Output of recommend()
+   * @returns {Object} { sports: [{ id, name, nameHi, ruleScore, modelScore, difference }], topAgreement }
+   */
+  compare(ruleSports, modelSports) {
+    const modelScores = Object.fromEntries(modelSports.map(sport => [sport.id, sport.suitabilityScore]));
+
+    const sports = ruleSports.map(sport => {
+      const modelScore = modelScores[sport.id] ?? null;
+      return {
+        id: sport.id,
+        name: sport.name,
+        nameHi: sport.nameHi,
+        ruleScore: sport.suitabilityScore,
+        modelScore,
+        difference: modelScore === null ? null : modelScore - sport.suitabilityScore
+      };
+    });
+
+    // Sports in both top lists
+    const ruleTop = new Set(ruleSports.slice(0, TOP_SPORTS).map(sport => sport.id));
+    const topAgreement = modelSports.slice(0, TOP_SPORTS).filter(sport => ruleTop.has(sport.id)).length;
+
+    return { sports, topAgreement };
+  }
+
+  /**
+   * Release the model
+   */
+  dispose() {
+    this.model?.dispose();
+    this.model = null;
+  }
+}
+
+export default ModelRecommender;
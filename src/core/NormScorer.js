@@ -0,0 +1,112 @@
+/**
+ * NormScorer.js
+ * Converts metric scores into percentiles against peers of the same age band,
+ * sex and competitive level, using the reference values in NormTables.json
+ */
+
+import normTables from './NormTables.json';
+
+export const ATHLETE_SEXES = ['male', 'female'];
+
+// Percentiles are capped so a single clip never claims the extremes
+const MIN_PERCENTILE = 1;
+const MAX_PERCENTILE = 99;
+
+/**
+ * Standard normal cumulative distribution
+ * Abramowitz and Stegun 7.1.26 approximation of erf (error below 1.5e-7)
+ * @param {number} z - Standard score
+ * @returns {number} Probability (0-1)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+class NormScorer {
+  constructor(tables = normTables) {
+    this.tables = tables;
+  }
+
+  /**
+   * Competitive levels that shift the peer reference upwards
+   * @returns {Array} Levels as { id, name, nameHi, meanOffset }
+   */
+  getLevels() {
+    return this.tables.levels;
+  }
+
+  /**
+   * Age band covering an age
+   * Bands are in completed years, so 10.5 falls in the 8-10 band
+   * @param {number} age - Age in years
+   * @returns {Object|null} Age band, or null if the age is outside the tables
+   */
+  getAgeBand(age) {
+    if (!Number.isFinite(age)) return null;
+    const years = Math.floor(age);
+    return this.tables.ageBands.find(band => years >= band.minAge && years <= band.maxAge) || null;
+  }
+
+  /**
+   * Peer group for an athlete
+   * @param {Object} athlete - { age, sex, level }, or { ageBand, sex, level } for a stored cohort
+   * @returns {Object|null} { ageBand, sex, level, norms }, or null if the tables do not cover the athlete
+   */
+  getCohort(athlete) {
+    const ageBand = athlete?.ageBand
+      ? this.tables.ageBands.find(band => band.id === athlete.ageBand) || null
+      : this.getAgeBand(Number(athlete?.age));
+    const norms = ageBand?.norms[athlete?.sex];
+    if (!norms) return null;
+
+    const level = this.tables.levels.find(item => item.id === athlete.level) || this.tables.levels[0];
+    return { ageBand: ageBand.id, sex: athlete.sex, level: level.id, meanOffset: level.meanOffset, norms };
+  }
+
+  /**
+   * Percentile of a score within a peer group
+   * @param {number} score - Metric score (0-100)
+   * @param {Object} norm - { mean, sd } for the metric
+   * @param {number} meanOffset - Level adjustment added to the mean
+   * @returns {number} Percentile (1-99)
+   */
+  getPercentile(score, norm, meanOffset = 0) {
+    const percentile = Math.round(normalCdf((score - norm.mean - meanOffset) / norm.sd) * 100);
+    return Math.min(MAX_PERCENTILE, Math.max(MIN_PERCENTILE, percentile));
+  }
+
+  /**
+   * Convert metric scores into peer percentiles
+   * @param {Object} scores - Metric scores (0-100) keyed by metric
+   * @param {Object} athlete - { age, sex, level } (or a stored cohort, see getCohort)
+   * @returns {Object|null} { percentiles, cohort: { ageBand, sex, level, version } },
+   *   or null if the athlete is not covered by the tables
+   */
+  normalize(scores, athlete) {
+    const cohort = this.getCohort(athlete);
+    if (!cohort) return null;
+
+    const percentiles = {};
+    for (const [metric, score] of Object.entries(scores)) {
+      const norm = cohort.norms[metric];
+      // Metrics without reference values keep their raw score
+      percentiles[metric] = norm ? this.getPercentile(score, norm, cohort.meanOffset) : score;
+    }
+
+    return {
+      percentiles,
+      cohort: {
+        ageBand: cohort.ageBand,
+        sex: cohort.sex,
+        level: cohort.level,
+        version: this.tables.version
+      }
+    };
+  }
+}
+
+export default NormScorer;
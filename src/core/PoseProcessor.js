@@ -8,22 +8,97 @@ import * as tf from '@tensorflow/tfjs';
 import * as poseDetection from '@tensorflow-models/pose-detection';
 import '@tensorflow/tfjs-core';
 import '@tensorflow/tfjs-backend-webgl';
+import poseModels from './PoseModels.json';
+import PoseTracker from './PoseTracker';
+import LandmarkFilter from './LandmarkFilter';
+import ReactionTest from './ReactionTest';
+import RepSegmenter from './RepSegmenter';
+import CameraCalibration from './CameraCalibration';
+import Kinematics from './Kinematics';
+
+// Metric thresholds are expressed in body-relative units (torso lengths,
+// i.e. shoulder midpoint to hip midpoint) so the same movement scores the
+// same regardless of video resolution or distance from the camera.
+const MIN_KEYPOINT_SCORE = 0.5;
+const MOVEMENT_THRESHOLD = 0.08; // torso lengths between frames 5 apart
+const AGILITY_MAX_SPEED = 1.5; // torso lengths/second that maps to 100
+const BALANCE_MAX_SWAY = 0.3; // hip stdDev in torso lengths that maps to 0
+const EXPLOSIVE_MAX_RISE = 0.8; // hip rise above standing height in torso lengths that maps to 100
+const EXPLOSIVE_MAX_VELOCITY = 4; // upward hip speed in torso lengths/second that maps to 100
+const ENDURANCE_ACTIVE_SPEED = 0.3; // joint speed in torso lengths/second that counts as moving
+const ENDURANCE_MIN_RETENTION = 0.5; // late/early speed ratio that maps to 0
+const ENDURANCE_MIN_REPS = 6; // repetitions needed to judge endurance rep by rep
+const SYMMETRY_MAX_INDEX = 0.5; // mean left-right symmetry index that maps to 0
+const MIN_METRIC_FRAMES = 15;
+
+// Joints whose average speed drives the agility score
+const AGILITY_JOINTS = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip',
+  'left_elbow', 'right_elbow', 'left_knee', 'right_knee'];
+
+// Joint angles behind range of motion, as [proximal, joint, distal] keypoints
+// and the range in degrees that counts as full mobility
+const MOBILITY_JOINTS = {
+  knee: { points: ['hip', 'knee', 'ankle'], fullRange: 140 },
+  hip: { points: ['shoulder', 'hip', 'knee'], fullRange: 110 },
+  elbow: { points: ['shoulder', 'elbow', 'wrist'], fullRange: 140 },
+  shoulder: { points: ['hip', 'shoulder', 'elbow'], fullRange: 160 }
+};
+const MIN_SYMMETRY_RANGE = 10; // degrees moved by a joint pair before its symmetry counts
+
+// Limbs whose left and right path lengths are compared for symmetry
+const SYMMETRY_LIMBS = ['elbow', 'wrist', 'knee', 'ankle'];
+const MIN_SYMMETRY_PATH = 0.5; // torso lengths travelled by a limb pair before its symmetry counts
+
+// Fallback ratios used when the torso is not visible in a frame
+const SHOULDER_WIDTH_TO_TORSO = 1.5;
+const FRAME_HEIGHT_TO_TORSO = 0.3;
+
+// Backend benchmark (ms per 256x256 matMul) below which 'auto' picks each tier
+const AUTO_TIER_THRESHOLDS = {
+  accurate: 3,
+  balanced: 10
+};
+
+/**
+ * Value at a quantile of a list (nearest rank)
+ * @param {Array<number>} values - Values
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} Value at the quantile
+ */
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
 
 class PoseProcessor {
   constructor() {
     this.detector = null;
     this.isInitialized = false;
+    this.modelId = null;
+    this.tracker = new PoseTracker();
     this.landmarkHistory = [];
+    this.filteredHistory = null;
+    this.filterOptions = {};
+    this.missedFrames = [];
     this.frameCount = 0;
     this.startTime = null;
     this.firstMovementTime = null;
+    this.reactionCues = null;
+    this.calibration = null;
+    this.frameWidth = null;
+    this.frameHeight = null;
   }
 
   /**
    * Initialize the pose detection model
    * Ensures TensorFlow.js backend is ready before creating the detector
+   * @param {Object} options
+   * @param {string} options.modelId - Model ID from PoseModels.json, or 'auto'
+   *   to pick a tier from the measured backend speed
+   * @param {boolean} options.multiPerson - Use a multi-pose model so the
+   *   athlete can be told apart from other people in the clip
    */
-  async initialize() {
+  async initialize({ modelId = 'auto', multiPerson = false } = {}) {
     try {
       // Wait for TensorFlow.js backend to be ready
       // This is critical to prevent "Backend 'undefined' has not yet been initialized" error
@@ -66,17 +141,13 @@ class PoseProcessor {
       await new Promise(resolve => setTimeout(resolve, 100));
 
       // Now create the pose detector
-      const detectorConfig = {
-        modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING,
-        enableSmoothing: true,
-        minPoseScore: 0.25,
-      };
-
-      console.log('Creating pose detector with MoveNet...');
-      this.detector = await poseDetection.createDetector(
-        poseDetection.SupportedModels.MoveNet,
-        detectorConfig
-      );
+      let model = await this.resolveModel(modelId);
+      if (multiPerson && !model.multiPose) {
+        model = await this.resolveModel(poseModels.multiPerson);
+      }
+      console.log(`Creating pose detector with ${model.name}...`);
+      this.detector = await this.createDetector(model);
+      this.modelId = model.id;
 
       if (!this.detector) {
         throw new Error('Failed to create pose detector');
@@ -92,27 +163,127 @@ class PoseProcessor {
     }
   }
 
+  /**
+   * Resolve a model ID (or 'auto') to a registry entry
+   * @param {string} modelId - Model ID from PoseModels.json, or 'auto'
+   * @returns {Promise<Object>} Model definition
+   */
+  async resolveModel(modelId) {
+    let resolvedId = modelId;
+
+    if (!modelId || modelId === 'auto') {
+      const tier = await this.selectAutoTier();
+      resolvedId = poseModels.auto[tier];
+    }
+
+    const model = poseModels.models.find(m => m.id === resolvedId);
+    if (!model) {
+      console.warn(`Unknown pose model "${resolvedId}", using ${poseModels.auto.fast}`);
+      return poseModels.models.find(m => m.id === poseModels.auto.fast);
+    }
+
+    return model;
+  }
+
+  /**
+   * Pick an accuracy tier by benchmarking the active TensorFlow.js backend
+   * @returns {Promise<string>} 'fast', 'balanced' or 'accurate'
+   */
+  async selectAutoTier() {
+    const benchmarkMs = await this.measureBackendSpeed();
+    let tier = 'fast';
+
+    if (benchmarkMs < AUTO_TIER_THRESHOLDS.accurate) {
+      tier = 'accurate';
+    } else if (benchmarkMs < AUTO_TIER_THRESHOLDS.balanced) {
+      tier = 'balanced';
+    }
+
+    console.log(`Backend benchmark: ${benchmarkMs.toFixed(1)}ms, auto-selected ${tier} tier`);
+    return tier;
+  }
+
+  /**
+   * Measure average time of a small matrix multiplication on the backend
+   * @returns {Promise<number>} Milliseconds per run
+   */
+  async measureBackendSpeed() {
+    const runs = 5;
+    const matrix = tf.randomNormal([256, 256]);
+
+    try {
+      // Warm-up run compiles shaders so it is not counted
+      const warmup = tf.matMul(matrix, matrix);
+      await warmup.data();
+      warmup.dispose();
+
+      const start = performance.now();
+      for (let i = 0; i < runs; i++) {
+        const result = tf.matMul(matrix, matrix);
+        await result.data();
+        result.dispose();
+      }
+      return (performance.now() - start) / runs;
+    } finally {
+      matrix.dispose();
+    }
+  }
+
+  /**
+   * Create a detector for a registry model
+   * @param {Object} model - Model definition from PoseModels.json
+   * @returns {Promise<Object>} Pose detector
+   */
+  async createDetector(model) {
+    if (model.family === 'BlazePose') {
+      return poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+        runtime: 'tfjs',
+        modelType: model.modelType,
+        enableSmoothing: true
+      });
+    }
+
+    return poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+      modelType: model.modelType,
+      enableSmoothing: true,
+      minPoseScore: 0.25,
+      // Identity is kept by PoseTracker so it also works for single-pose models
+      enableTracking: false
+    });
+  }
+
   /**
    * Process a single video frame
-   * @param {HTMLVideoElement|HTMLImageElement|ImageData} input - Video frame
+   * Pass the frame's media time so time-based metrics follow the video
+   * timeline rather than processing speed; wall-clock time is only used
+   * for live input where no media time is available
+   * @param {HTMLVideoElement|HTMLImageElement|ImageData|ImageBitmap} input - Video frame
+   * @param {number} [mediaTime] - Frame time in seconds (video.currentTime or
+   *   requestVideoFrameCallback metadata.mediaTime)
    * @returns {Promise<Object>} Detection result with landmarks
    */
-  async processFrame(input) {
+  async processFrame(input, mediaTime) {
     if (!this.isInitialized || !this.detector) {
       throw new Error('PoseProcessor not initialized');
     }
 
     try {
-      const pose = await this.detector.estimatePoses(input);
+      // Timestamps are stored in milliseconds
+      const timestamp = Number.isFinite(mediaTime) ? mediaTime * 1000 : Date.now();
+      const poses = await this.detector.estimatePoses(input, undefined, timestamp);
+      const pose = this.selectTrackedPose(poses || []);
       
-      if (pose && pose.length > 0 && pose[0].keypoints) {
-        const keypoints = pose[0].keypoints;
-        const timestamp = Date.now();
+      if (pose && pose.keypoints) {
+        const keypoints = pose.keypoints;
 
         if (this.startTime === null) {
           this.startTime = timestamp;
         }
 
+        if (this.frameWidth === null) {
+          this.setFrameSize(input);
+        }
+
         // Store landmark data with timestamp
         const landmarkData = {
           timestamp,
@@ -125,19 +296,29 @@ class PoseProcessor {
           }))
         };
 
-        this.landmarkHistory.push(landmarkData);
-
-        // Detect first significant movement
-        if (this.firstMovementTime === null && this.landmarkHistory.length > 5) {
-          const hasMovement = this.detectFirstMovement();
-          if (hasMovement) {
-            this.firstMovementTime = timestamp;
-          }
+        // BlazePose models also provide metric 3D keypoints (hip-centred)
+        if (pose.keypoints3D) {
+          landmarkData.keypoints3D = pose.keypoints3D.map(kp => ({
+            name: kp.name,
+            x: kp.x,
+            y: kp.y,
+            z: kp.z,
+            score: kp.score
+          }));
         }
 
+        this.landmarkHistory.push(landmarkData);
+        this.filteredHistory = null;
+
         return landmarkData;
       }
 
+      // Dropouts inside the clip are filled by the landmark filter when short
+      if (this.startTime !== null) {
+        this.missedFrames.push(timestamp);
+        this.filteredHistory = null;
+      }
+
       return null;
     } catch (error) {
       console.error('Error processing frame:', error);
@@ -146,53 +327,252 @@ class PoseProcessor {
   }
 
   /**
-   * Detect first significant movement
-   * @returns {boolean} True if movement detected
+   * Detect every person in a frame without recording landmarks
+   * Used to let the user pick which athlete to track
+   * @param {HTMLVideoElement|HTMLImageElement|ImageData|ImageBitmap} input - Video frame
+   * @param {number} [mediaTime] - Frame time in seconds
+   * @returns {Promise<Object>} { width, height, poses: [{ keypoints, score }] }
+   */
+  async detectPoses(input, mediaTime) {
+    if (!this.isInitialized || !this.detector) {
+      throw new Error('PoseProcessor not initialized');
+    }
+
+    const timestamp = Number.isFinite(mediaTime) ? mediaTime * 1000 : Date.now();
+    const poses = await this.detector.estimatePoses(input, undefined, timestamp);
+    const { width, height } = this.getInputSize(input);
+
+    return {
+      width,
+      height,
+      poses: (poses || []).map(pose => ({
+        score: pose.score,
+        keypoints: pose.keypoints.map(kp => ({
+          name: kp.name,
+          x: kp.x,
+          y: kp.y,
+          score: kp.score
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Choose which athlete to follow
+   * @param {Array} keypoints - Keypoints of the selected pose (from detectPoses)
+   */
+  setTrackedPose(keypoints) {
+    this.tracker.setTarget(keypoints);
+  }
+
+  /**
+   * Pick the tracked athlete's pose from a frame's detections
+   * Without a selection, the most confident pose becomes the tracked athlete
+   * @param {Array} poses - Poses returned by the detector
+   * @returns {Object|null} Selected pose or null if the athlete is not visible
+   */
+  selectTrackedPose(poses) {
+    const candidates = poses.filter(pose => pose.keypoints);
+    if (candidates.length === 0) {
+      this.tracker.match([]);
+      return null;
+    }
+
+    if (!this.tracker.hasTarget()) {
+      const mostConfident = candidates.reduce((best, pose) =>
+        (pose.score ?? 0) > (best.score ?? 0) ? pose : best
+      );
+      this.tracker.setTarget(mostConfident.keypoints);
+      return mostConfident;
+    }
+
+    const index = this.tracker.match(candidates);
+    return index >= 0 ? candidates[index] : null;
+  }
+
+  /**
+   * Get the pixel dimensions of a frame
+   * @param {HTMLVideoElement|HTMLImageElement|ImageData|ImageBitmap} input - Video frame
+   * @returns {Object} { width, height }
+   */
+  getInputSize(input) {
+    return {
+      width: input?.videoWidth || input?.naturalWidth || input?.width || 0,
+      height: input?.videoHeight || input?.naturalHeight || input?.height || 0
+    };
+  }
+
+  /**
+   * Record the pixel dimensions of the analyzed video
+   * @param {HTMLVideoElement|HTMLImageElement|ImageData|ImageBitmap} input - Video frame
+   */
+  setFrameSize(input) {
+    const { width, height } = this.getInputSize(input);
+
+    if (width > 0 && height > 0) {
+      this.frameWidth = width;
+      this.frameHeight = height;
+    }
+  }
+
+  /**
+   * Find a keypoint by name if it is confidently detected
+   * @param {Object} frame - Landmark data from landmarkHistory
+   * @param {string} jointName - Keypoint name (e.g. 'left_hip')
+   * @returns {Object|null} Keypoint or null if missing, low confidence or
+   *   rejected as an outlier by the landmark filter
+   */
+  getKeypoint(frame, jointName) {
+    const keypoint = frame.keypoints.find(kp => kp.name === jointName);
+    return keypoint && keypoint.score > MIN_KEYPOINT_SCORE && !keypoint.outlier ? keypoint : null;
+  }
+
+  /**
+   * Measure the body scale (torso length in pixels) in a single frame
+   * Falls back to shoulder width when the hips are not visible
+   * @param {Object} frame - Landmark data from landmarkHistory
+   * @returns {number|null} Torso length in pixels or null if not measurable
+   */
+  getFrameBodyScale(frame) {
+    const distance = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+
+    const leftShoulder = this.getKeypoint(frame, 'left_shoulder');
+    const rightShoulder = this.getKeypoint(frame, 'right_shoulder');
+    const leftHip = this.getKeypoint(frame, 'left_hip');
+    const rightHip = this.getKeypoint(frame, 'right_hip');
+
+    const torsoLengths = [];
+    if (leftShoulder && leftHip) torsoLengths.push(distance(leftShoulder, leftHip));
+    if (rightShoulder && rightHip) torsoLengths.push(distance(rightShoulder, rightHip));
+
+    if (torsoLengths.length > 0) {
+      return torsoLengths.reduce((sum, length) => sum + length, 0) / torsoLengths.length;
+    }
+
+    if (leftShoulder && rightShoulder) {
+      return distance(leftShoulder, rightShoulder) * SHOULDER_WIDTH_TO_TORSO;
+    }
+
+    return null;
+  }
+
+  /**
+   * Measure the body scale for the whole clip
+   * Uses the median per-frame torso length so brief mis-detections are ignored,
+   * falling back to a fraction of the video height when no torso is visible
+   * @returns {number} Torso length in pixels
+   */
+  getBodyScale() {
+    const scales = this.landmarkHistory
+      .map(frame => this.getFrameBodyScale(frame))
+      .filter(scale => scale !== null && scale > 0)
+      .sort((a, b) => a - b);
+
+    if (scales.length > 0) {
+      return scales[Math.floor(scales.length / 2)];
+    }
+
+    if (this.frameHeight) {
+      return this.frameHeight * FRAME_HEIGHT_TO_TORSO;
+    }
+
+    return 1;
+  }
+
+  /**
+   * Configure the smoothing/gap-filling stage
+   * @param {Object} options - Overrides for LandmarkFilter DEFAULT_FILTER_OPTIONS
+   */
+  setFilterOptions(options) {
+    this.filterOptions = { ...this.filterOptions, ...options };
+    this.filteredHistory = null;
+  }
+
+  /**
+   * Run the landmark filter over the recorded history
+   * @returns {Array} Filtered landmark history
    */
-  detectFirstMovement() {
-    if (this.landmarkHistory.length < 6) return false;
+  applyFilter() {
+    const filter = new LandmarkFilter(this.filterOptions);
+    this.filteredHistory = filter.filter(this.landmarkHistory, this.getBodyScale(), this.missedFrames);
+    return this.filteredHistory;
+  }
 
-    const recent = this.landmarkHistory.slice(-6);
-    const current = recent[recent.length - 1];
-    const previous = recent[0];
+  /**
+   * Get the landmark track used for metrics
+   * @param {Object} options
+   * @param {boolean} options.raw - Return the unfiltered detections
+   * @returns {Array} Landmark history (filtered once applyFilter() has run)
+   */
+  getLandmarkHistory({ raw = false } = {}) {
+    if (raw || !this.filteredHistory) {
+      return this.landmarkHistory;
+    }
+    return this.filteredHistory;
+  }
 
+  /**
+   * Find the first significant movement
+   * Compares each frame with the one 5 frames earlier, on the filtered track
+   * so single-frame jitter does not count as movement
+   * @param {Array} history - Landmark history
+   * @returns {number|null} Timestamp of the first movement in ms, or null
+   */
+  findMovementOnset(history) {
     // Check movement in major joints (shoulders, hips, knees)
     const majorJoints = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip', 
                          'left_knee', 'right_knee'];
 
-    for (const jointName of majorJoints) {
-      const currentJoint = current.keypoints.find(kp => kp.name === jointName);
-      const previousJoint = previous.keypoints.find(kp => kp.name === jointName);
+    for (let i = 5; i < history.length; i++) {
+      const current = history[i];
+      const previous = history[i - 5];
+
+      // Scale by the frames being compared, as a moving athlete's distance to the camera changes
+      const bodyScale = this.getFrameBodyScale(current) || this.getFrameBodyScale(previous);
+      if (!bodyScale) continue;
 
-      if (currentJoint && previousJoint && currentJoint.score > 0.5 && previousJoint.score > 0.5) {
-        const dx = currentJoint.x - previousJoint.x;
-        const dy = currentJoint.y - previousJoint.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+      for (const jointName of majorJoints) {
+        const currentJoint = this.getKeypoint(current, jointName);
+        const previousJoint = this.getKeypoint(previous, jointName);
+
+        if (currentJoint && previousJoint) {
+          const dx = currentJoint.x - previousJoint.x;
+          const dy = currentJoint.y - previousJoint.y;
+          const distance = Math.sqrt(dx * dx + dy * dy) / bodyScale;
 
-        // Threshold for significant movement (adjust based on video dimensions)
-        if (distance > 10) {
-          return true;
+          // Threshold for significant movement in torso lengths
+          if (distance > MOVEMENT_THRESHOLD) {
+            return current.timestamp;
+          }
         }
       }
     }
 
-    return false;
+    return null;
   }
 
   /**
    * Calculate movement metrics from landmark history
-   * @returns {Object} Metrics including agility, balance, coordination, reaction time
+   * @returns {Object} Metrics including agility, balance, coordination, reaction time,
+   *   explosiveness, flexibility (range of motion), endurance and symmetry
    */
   calculateMetrics() {
     if (this.landmarkHistory.length < 30) {
       throw new Error('Insufficient frames for analysis. Need at least 30 frames.');
     }
 
+    this.applyFilter();
+    this.firstMovementTime = this.findMovementOnset(this.getLandmarkHistory());
+
     const metrics = {
       agility: this.calculateAgility(),
       balance: this.calculateBalance(),
       coordination: this.calculateCoordination(),
-      reactionTime: this.calculateReactionTime()
+      reactionTime: this.calculateReactionTime(),
+      explosiveness: this.calculateExplosiveness(),
+      flexibility: this.calculateFlexibility(),
+      endurance: this.calculateEndurance(),
+      symmetry: this.calculateSymmetry()
     };
 
     return metrics;
@@ -203,18 +583,17 @@ class PoseProcessor {
    * @returns {number} Agility score (0-100)
    */
   calculateAgility() {
-    if (this.landmarkHistory.length < 10) return 0;
+    const history = this.getLandmarkHistory();
+    if (history.length < 10) return 0;
 
+    const bodyScale = this.getBodyScale();
     let totalSpeed = 0;
     let validPairs = 0;
 
     // Calculate average speed of major joints across frames
-    const trackedJoints = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip',
-                          'left_elbow', 'right_elbow', 'left_knee', 'right_knee'];
-
-    for (let i = 1; i < this.landmarkHistory.length; i++) {
-      const current = this.landmarkHistory[i];
-      const previous = this.landmarkHistory[i - 1];
+    for (let i = 1; i < history.length; i++) {
+      const current = history[i];
+      const previous = history[i - 1];
       const timeDelta = (current.timestamp - previous.timestamp) / 1000; // seconds
 
       if (timeDelta <= 0) continue;
@@ -222,15 +601,14 @@ class PoseProcessor {
       let frameSpeed = 0;
       let jointCount = 0;
 
-      for (const jointName of trackedJoints) {
-        const currentJoint = current.keypoints.find(kp => kp.name === jointName);
-        const previousJoint = previous.keypoints.find(kp => kp.name === jointName);
+      for (const jointName of AGILITY_JOINTS) {
+        const currentJoint = this.getKeypoint(current, jointName);
+        const previousJoint = this.getKeypoint(previous, jointName);
 
-        if (currentJoint && previousJoint && 
-            currentJoint.score > 0.5 && previousJoint.score > 0.5) {
+        if (currentJoint && previousJoint) {
           const dx = currentJoint.x - previousJoint.x;
           const dy = currentJoint.y - previousJoint.y;
-          const distance = Math.sqrt(dx * dx + dy * dy);
+          const distance = Math.sqrt(dx * dx + dy * dy) / bodyScale;
           const speed = distance / timeDelta;
           frameSpeed += speed;
           jointCount++;
@@ -247,9 +625,8 @@ class PoseProcessor {
 
     const avgSpeed = totalSpeed / validPairs;
     
-    // Normalize speed to 0-100 scale (adjust thresholds based on typical values)
-    // Assuming avgSpeed ranges from 0 to ~200 pixels/second
-    const normalized = Math.min(100, (avgSpeed / 2) * 100);
+    // Normalize speed (torso lengths/second) to 0-100 scale
+    const normalized = Math.min(100, (avgSpeed / AGILITY_MAX_SPEED) * 100);
     return Math.round(Math.max(0, normalized));
   }
 
@@ -258,16 +635,18 @@ class PoseProcessor {
    * @returns {number} Balance score (0-100)
    */
   calculateBalance() {
-    if (this.landmarkHistory.length < 20) return 0;
+    const history = this.getLandmarkHistory();
+    if (history.length < 20) return 0;
 
     // Analyze stability of center of mass (approximated by hip position)
+    const bodyScale = this.getBodyScale();
     const hipPositions = [];
     
-    for (const frame of this.landmarkHistory) {
-      const leftHip = frame.keypoints.find(kp => kp.name === 'left_hip');
-      const rightHip = frame.keypoints.find(kp => kp.name === 'right_hip');
+    for (const frame of history) {
+      const leftHip = this.getKeypoint(frame, 'left_hip');
+      const rightHip = this.getKeypoint(frame, 'right_hip');
 
-      if (leftHip && rightHip && leftHip.score > 0.5 && rightHip.score > 0.5) {
+      if (leftHip && rightHip) {
         const centerX = (leftHip.x + rightHip.x) / 2;
         const centerY = (leftHip.y + rightHip.y) / 2;
         hipPositions.push({ x: centerX, y: centerY });
@@ -288,11 +667,11 @@ class PoseProcessor {
     }
     variance /= hipPositions.length;
 
-    const stdDev = Math.sqrt(variance);
+    const stdDev = Math.sqrt(variance) / bodyScale;
 
     // Lower standard deviation = better balance
-    // Normalize: 0-50 pixels stdDev maps to 100-0 score
-    const normalized = Math.max(0, 100 - (stdDev / 50) * 100);
+    // Normalize: 0 to BALANCE_MAX_SWAY torso lengths maps to 100-0 score
+    const normalized = Math.max(0, 100 - (stdDev / BALANCE_MAX_SWAY) * 100);
     return Math.round(Math.min(100, normalized));
   }
 
@@ -301,7 +680,8 @@ class PoseProcessor {
    * @returns {number} Coordination score (0-100)
    */
   calculateCoordination() {
-    if (this.landmarkHistory.length < 15) return 0;
+    const history = this.getLandmarkHistory();
+    if (history.length < 15) return 0;
 
     // Analyze synchronization between left and right body parts
     const leftRightPairs = [
@@ -318,18 +698,16 @@ class PoseProcessor {
     for (const [leftJoint, rightJoint] of leftRightPairs) {
       const movements = [];
 
-      for (let i = 1; i < this.landmarkHistory.length; i++) {
-        const current = this.landmarkHistory[i];
-        const previous = this.landmarkHistory[i - 1];
+      for (let i = 1; i < history.length; i++) {
+        const current = history[i];
+        const previous = history[i - 1];
 
-        const leftCurrent = current.keypoints.find(kp => kp.name === leftJoint);
-        const leftPrevious = previous.keypoints.find(kp => kp.name === leftJoint);
-        const rightCurrent = current.keypoints.find(kp => kp.name === rightJoint);
-        const rightPrevious = previous.keypoints.find(kp => kp.name === rightJoint);
+        const leftCurrent = this.getKeypoint(current, leftJoint);
+        const leftPrevious = this.getKeypoint(previous, leftJoint);
+        const rightCurrent = this.getKeypoint(current, rightJoint);
+        const rightPrevious = this.getKeypoint(previous, rightJoint);
 
-        if (leftCurrent && leftPrevious && rightCurrent && rightPrevious &&
-            leftCurrent.score > 0.5 && leftPrevious.score > 0.5 &&
-            rightCurrent.score > 0.5 && rightPrevious.score > 0.5) {
+        if (leftCurrent && leftPrevious && rightCurrent && rightPrevious) {
           
           const leftDx = leftCurrent.x - leftPrevious.x;
           const leftDy = leftCurrent.y - leftPrevious.y;
@@ -380,31 +758,381 @@ class PoseProcessor {
     return Math.round(Math.min(100, Math.max(0, avgCoordination)));
   }
 
+  /**
+   * Get the hip midpoint for a frame
+   * @param {Object} frame - Landmark data
+   * @returns {Object|null} { x, y } or null if the hips are not visible
+   */
+  getHipCenter(frame) {
+    const leftHip = this.getKeypoint(frame, 'left_hip');
+    const rightHip = this.getKeypoint(frame, 'right_hip');
+    return leftHip && rightHip
+      ? { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 }
+      : null;
+  }
+
+  /**
+   * Mean speed of the agility joints between each frame and the one before
+   * @param {Array} history - Landmark history
+   * @param {number} bodyScale - Torso length in pixels
+   * @returns {Array} Speed in torso lengths/second per frame (null where not measurable)
+   */
+  getJointSpeeds(history, bodyScale) {
+    return history.map((frame, i) => {
+      if (i === 0) return null;
+      const previous = history[i - 1];
+      const timeDelta = (frame.timestamp - previous.timestamp) / 1000;
+      if (timeDelta <= 0) return null;
+
+      const speeds = AGILITY_JOINTS
+        .map(jointName => {
+          const current = this.getKeypoint(frame, jointName);
+          const before = this.getKeypoint(previous, jointName);
+          return current && before
+            ? Math.hypot(current.x - before.x, current.y - before.y) / bodyScale / timeDelta
+            : null;
+        })
+        .filter(speed => speed !== null);
+
+      return speeds.length > 0 ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length : null;
+    });
+  }
+
+  /**
+   * Calculate explosiveness from how high and how fast the hips rise
+   * The hip midpoint stands in for the centre of mass; the rise is measured
+   * from the median hip height, which is the standing height in most clips
+   * @returns {number} Explosiveness score (0-100)
+   */
+  calculateExplosiveness() {
+    const history = this.getLandmarkHistory();
+    if (history.length < MIN_METRIC_FRAMES) return 0;
+
+    const bodyScale = this.getBodyScale();
+    const hips = history
+      .map(frame => ({ hip: this.getHipCenter(frame), time: frame.timestamp / 1000 }))
+      .filter(sample => sample.hip);
+    if (hips.length < MIN_METRIC_FRAMES) return 0;
+
+    // Image y grows downwards, so a rise is baseline - y
+    const baseline = quantile(hips.map(sample => sample.hip.y), 0.5);
+    const peakRise = Math.max(...hips.map(sample => (baseline - sample.hip.y) / bodyScale));
+
+    const upwardVelocities = [];
+    for (let i = 1; i < hips.length - 1; i++) {
+      const dt = hips[i + 1].time - hips[i - 1].time;
+      if (dt > 0) {
+        upwardVelocities.push((hips[i - 1].hip.y - hips[i + 1].hip.y) / bodyScale / dt);
+      }
+    }
+    // 95th percentile so a single mis-detected frame does not count as a jump
+    const peakVelocity = upwardVelocities.length > 0 ? Math.max(0, quantile(upwardVelocities, 0.95)) : 0;
+
+    const riseScore = Math.min(1, Math.max(0, peakRise) / EXPLOSIVE_MAX_RISE);
+    const velocityScore = Math.min(1, peakVelocity / EXPLOSIVE_MAX_VELOCITY);
+    return Math.round(((riseScore + velocityScore) / 2) * 100);
+  }
+
+  /**
+   * Range of motion of each mobility joint on each side
+   * Uses the 5th to 95th percentile of the joint angle so brief
+   * mis-detections do not widen the range
+   * @returns {Object} Range in degrees keyed by side and joint (e.g. leftKnee),
+   *   null where the joint was not visible often enough
+   */
+  getRangesOfMotion() {
+    const history = this.getLandmarkHistory();
+    const kinematics = new Kinematics();
+    const ranges = {};
+
+    for (const side of ['left', 'right']) {
+      for (const [joint, { points }] of Object.entries(MOBILITY_JOINTS)) {
+        const angles = history
+          .map(frame => kinematics.getAngle(
+            ...points.map(point => kinematics.getPoint(this, frame, `${side}_${point}`))
+          ))
+          .filter(angle => angle !== null);
+        const key = `${side}${joint[0].toUpperCase()}${joint.slice(1)}`;
+
+        ranges[key] = angles.length >= MIN_METRIC_FRAMES
+          ? quantile(angles, 0.95) - quantile(angles, 0.05)
+          : null;
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Calculate flexibility from the range of motion used at the knees, hips,
+   * elbows and shoulders, relative to a full athletic range
+   * @returns {number} Flexibility score (0-100)
+   */
+  calculateFlexibility() {
+    const ranges = this.getRangesOfMotion();
+    const fractions = Object.entries(ranges)
+      .filter(([, range]) => range !== null)
+      .map(([key, range]) => {
+        const joint = key.replace(/^(left|right)/, '').toLowerCase();
+        return Math.min(1, range / MOBILITY_JOINTS[joint].fullRange);
+      });
+
+    if (fractions.length === 0) return 0;
+    return Math.round((fractions.reduce((sum, fraction) => sum + fraction, 0) / fractions.length) * 100);
+  }
+
+  /**
+   * Calculate endurance from how well movement speed is held
+   * Compares the first and last thirds of the repetitions (amplitude per
+   * second of each rep) when the clip is repetitive, otherwise the mean joint
+   * speed over the time spent moving; no slowdown scores 100
+   * @returns {number} Endurance score (0-100)
+   */
+  calculateEndurance() {
+    const repetitions = this.getSegmentation().repetitions;
+    let rates;
+
+    if (repetitions && repetitions.count >= ENDURANCE_MIN_REPS) {
+      rates = repetitions.reps.filter(rep => rep.duration > 0).map(rep => rep.amplitude / rep.duration);
+    } else {
+      rates = this.getJointSpeeds(this.getLandmarkHistory(), this.getBodyScale())
+        .filter(speed => speed !== null && speed > ENDURANCE_ACTIVE_SPEED);
+      if (rates.length < MIN_METRIC_FRAMES) return 0;
+    }
+
+    // Too few reps with a duration to compare thirds
+    const third = Math.floor(rates.length / 3);
+    if (third === 0) return 0;
+
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const early = mean(rates.slice(0, third));
+    const late = mean(rates.slice(-third));
+
+    const retention = Math.min(1, late / early);
+    const normalized = (retention - ENDURANCE_MIN_RETENTION) / (1 - ENDURANCE_MIN_RETENTION);
+    return Math.round(Math.min(1, Math.max(0, normalized)) * 100);
+  }
+
+  /**
+   * Calculate left-right symmetry from joint ranges of motion and limb path lengths
+   * Each pair is compared with the symmetry index |L - R| / mean(L, R);
+   * pairs that barely moved are skipped
+   * @returns {number} Symmetry score (0-100, 100 = identical sides)
+   */
+  calculateSymmetry() {
+    const history = this.getLandmarkHistory();
+    if (history.length < MIN_METRIC_FRAMES) return 0;
+
+    const bodyScale = this.getBodyScale();
+    const pairs = [];
+
+    const ranges = this.getRangesOfMotion();
+    for (const joint of Object.keys(MOBILITY_JOINTS)) {
+      const suffix = `${joint[0].toUpperCase()}${joint.slice(1)}`;
+      const left = ranges[`left${suffix}`];
+      const right = ranges[`right${suffix}`];
+      if (left !== null && right !== null && left + right >= MIN_SYMMETRY_RANGE * 2) {
+        pairs.push([left, right]);
+      }
+    }
+
+    for (const limb of SYMMETRY_LIMBS) {
+      const path = { left: 0, right: 0 };
+      for (let i = 1; i < history.length; i++) {
+        for (const side of ['left', 'right']) {
+          const current = this.getKeypoint(history[i], `${side}_${limb}`);
+          const previous = this.getKeypoint(history[i - 1], `${side}_${limb}`);
+          if (current && previous) {
+            path[side] += Math.hypot(current.x - previous.x, current.y - previous.y) / bodyScale;
+          }
+        }
+      }
+      if (path.left + path.right >= MIN_SYMMETRY_PATH * 2) {
+        pairs.push([path.left, path.right]);
+      }
+    }
+
+    if (pairs.length === 0) return 0;
+
+    const meanIndex = pairs.reduce(
+      (sum, [left, right]) => sum + Math.abs(left - right) / ((left + right) / 2), 0
+    ) / pairs.length;
+    return Math.round(Math.max(0, 1 - meanIndex / SYMMETRY_MAX_INDEX) * 100);
+  }
+
+  /**
+   * Set the "go" cue times logged during a reaction test recording
+   * @param {Array<number>|null} cueTimes - Cue times in ms of media time
+   */
+  setReactionCues(cueTimes) {
+    this.reactionCues = cueTimes?.length ? cueTimes : null;
+  }
+
+  /**
+   * Per-trial reaction test results
+   * @returns {Object|null} ReactionTest result, or null if no cues were logged
+   */
+  getReactionTest() {
+    if (!this.reactionCues) return null;
+    return new ReactionTest().analyze(this.reactionCues, this);
+  }
+
+  /**
+   * Repetitions and discrete events in the clip
+   * @returns {Object} RepSegmenter result
+   */
+  getSegmentation() {
+    return new RepSegmenter().analyze(this);
+  }
+
+  /**
+   * Set the camera calibration used for real-world units
+   * @param {Object|null} calibration - Output of CameraCalibration.resolve()
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration || null;
+  }
+
+  /**
+   * Metres per pixel in the athlete's plane of motion
+   * @returns {number|null} Scale, or null if the clip is not calibrated
+   */
+  getMetersPerPixel() {
+    if (!this.calibration) return null;
+    return new CameraCalibration().getMetersPerPixel(this.calibration, this);
+  }
+
+  /**
+   * Sprint speed, distance, jump height and shuttle distance in real-world units
+   * @returns {Object|null} CameraCalibration measurements, or null if not calibrated
+   */
+  getRealWorldMeasures() {
+    if (!this.calibration) return null;
+    return new CameraCalibration().measure(this.calibration, this);
+  }
+
   /**
    * Calculate reaction time in milliseconds
+   * Uses the cue-to-onset mean when the clip was recorded as a reaction test,
+   * otherwise the time from the first pose to the first movement
    * @returns {number} Reaction time in ms (lower is better, converted to 0-100 score)
    */
   calculateReactionTime() {
-    if (this.firstMovementTime === null || this.startTime === null) {
+    let reactionTimeMs;
+
+    if (this.reactionCues) {
+      reactionTimeMs = this.getReactionTest().meanReactionTime;
+      if (reactionTimeMs === null) return 0;
+    } else if (this.firstMovementTime === null) {
       return 0;
+    } else {
+      // Landmarks restored from a file may not carry the start time
+      const startTime = this.startTime ?? this.landmarkHistory[0].timestamp;
+      reactionTimeMs = this.firstMovementTime - startTime;
     }
 
-    const reactionTimeMs = this.firstMovementTime - this.startTime;
-
     // Convert to score: 0ms = 100, 1000ms = 0, 2000ms+ = 0
     // Better reaction time = higher score
     const score = Math.max(0, 100 - (reactionTimeMs / 10));
     return Math.round(Math.min(100, score));
   }
 
+  /**
+   * Per-frame landmarks and metric traces for the annotated replay
+   * Hip sway and joint speed are the per-frame quantities behind the
+   * balance and agility scores
+   * @returns {Object} { frames, frameWidth, frameHeight, timeline, onsetTime, cueTimes }
+   */
+  getReplayData() {
+    const history = this.getLandmarkHistory();
+    const bodyScale = this.getBodyScale();
+
+    const hipCenters = history.map(frame => this.getHipCenter(frame));
+    const visibleHips = hipCenters.filter(Boolean);
+    const meanHip = visibleHips.length > 0
+      ? {
+          x: visibleHips.reduce((sum, pos) => sum + pos.x, 0) / visibleHips.length,
+          y: visibleHips.reduce((sum, pos) => sum + pos.y, 0) / visibleHips.length
+        }
+      : null;
+
+    const hipSway = hipCenters.map(hip => (hip && meanHip
+      ? Math.hypot(hip.x - meanHip.x, hip.y - meanHip.y) / bodyScale
+      : null));
+
+    const jointSpeed = this.getJointSpeeds(history, bodyScale);
+
+    return {
+      frames: history.map(frame => ({
+        timestamp: frame.timestamp,
+        keypoints: frame.keypoints.map(({ name, x, y, score, outlier }) => (
+          outlier ? { name, x, y, score, outlier } : { name, x, y, score }
+        ))
+      })),
+      frameWidth: this.frameWidth,
+      frameHeight: this.frameHeight,
+      timeline: {
+        times: history.map(frame => frame.timestamp),
+        hipSway,
+        jointSpeed
+      },
+      onsetTime: this.firstMovementTime,
+      cueTimes: this.reactionCues || []
+    };
+  }
+
+  /**
+   * Export the collected landmark state
+   * Used to hand results from the analysis worker back to the main thread
+   * @returns {Object} Serializable processor state
+   */
+  getState() {
+    return {
+      modelId: this.modelId,
+      landmarkHistory: this.landmarkHistory,
+      missedFrames: this.missedFrames,
+      frameCount: this.frameCount,
+      startTime: this.startTime,
+      firstMovementTime: this.firstMovementTime,
+      calibration: this.calibration,
+      frameWidth: this.frameWidth,
+      frameHeight: this.frameHeight
+    };
+  }
+
+  /**
+   * Restore landmark state exported by getState()
+   * Metrics can be calculated afterwards without initializing a detector
+   * @param {Object} state - Processor state
+   */
+  loadState(state) {
+    this.modelId = state.modelId ?? null;
+    this.landmarkHistory = state.landmarkHistory || [];
+    this.missedFrames = state.missedFrames || [];
+    this.filteredHistory = null;
+    this.frameCount = state.frameCount || this.landmarkHistory.length;
+    this.startTime = state.startTime ?? null;
+    this.firstMovementTime = state.firstMovementTime ?? null;
+    this.calibration = state.calibration ?? null;
+    this.frameWidth = state.frameWidth ?? null;
+    this.frameHeight = state.frameHeight ?? null;
+  }
+
   /**
    * Reset processor state
    */
   reset() {
     this.landmarkHistory = [];
+    this.missedFrames = [];
+    this.filteredHistory = null;
     this.frameCount = 0;
     this.startTime = null;
     this.firstMovementTime = null;
+    this.reactionCues = null;
+    this.calibration = null;
+    this.frameWidth = null;
+    this.frameHeight = null;
+    this.tracker.reset();
   }
 
   /**
@@ -416,6 +1144,7 @@ class PoseProcessor {
       this.detector = null;
     }
     this.isInitialized = false;
+    this.modelId = null;
     this.reset();
   }
 }
@@ -0,0 +1,163 @@
+/**
+ * PoseTracker.js
+ * Keeps a stable identity for one athlete across frames when several people
+ * are detected, using bounding-box IoU and keypoint similarity
+ */
+
+const MIN_KEYPOINT_SCORE = 0.3;
+const MIN_SIMILARITY = 0.2;
+// Keypoint similarity falloff as a fraction of the athlete's bounding-box size
+const KEYPOINT_FALLOFF = 0.1;
+// Frames the target may be missing before a lone person is re-acquired
+const MAX_MISSED_FRAMES = 15;
+
+class PoseTracker {
+  constructor() {
+    this.target = null;
+    this.missedFrames = 0;
+  }
+
+  /**
+   * Check whether an athlete is being tracked
+   * @returns {boolean} True if a target has been set
+   */
+  hasTarget() {
+    return this.target !== null;
+  }
+
+  /**
+   * Set the athlete to follow
+   * @param {Array} keypoints - Keypoints of the selected pose
+   */
+  setTarget(keypoints) {
+    this.target = {
+      keypoints,
+      box: this.getBoundingBox(keypoints)
+    };
+    this.missedFrames = 0;
+  }
+
+  /**
+   * Find the tracked athlete among the poses detected in a frame
+   * Updates the target when matched
+   * @param {Array} poses - Detected poses ({ keypoints, score })
+   * @returns {number} Index of the matching pose, or -1 if not found
+   */
+  match(poses) {
+    if (!this.target || poses.length === 0) {
+      this.missedFrames++;
+      return -1;
+    }
+
+    let bestIndex = -1;
+    let bestSimilarity = MIN_SIMILARITY;
+
+    poses.forEach((pose, index) => {
+      const similarity = this.getSimilarity(pose.keypoints);
+      if (similarity > bestSimilarity) {
+        bestSimilarity = similarity;
+        bestIndex = index;
+      }
+    });
+
+    // After a long dropout, re-acquire only when nobody else is in frame
+    if (bestIndex === -1 && this.missedFrames >= MAX_MISSED_FRAMES && poses.length === 1) {
+      bestIndex = 0;
+    }
+
+    if (bestIndex === -1) {
+      this.missedFrames++;
+      return -1;
+    }
+
+    this.setTarget(poses[bestIndex].keypoints);
+    return bestIndex;
+  }
+
+  /**
+   * Similarity between a candidate pose and the tracked athlete
+   * @param {Array} keypoints - Candidate keypoints
+   * @returns {number} Similarity (0-1), the higher of box IoU and keypoint similarity
+   */
+  getSimilarity(keypoints) {
+    const box = this.getBoundingBox(keypoints);
+    if (!box || !this.target.box) return 0;
+
+    return Math.max(
+      this.getIoU(box, this.target.box),
+      this.getKeypointSimilarity(keypoints)
+    );
+  }
+
+  /**
+   * Object keypoint similarity (OKS) against the tracked athlete
+   * @param {Array} keypoints - Candidate keypoints
+   * @returns {number} Mean per-keypoint similarity (0-1)
+   */
+  getKeypointSimilarity(keypoints) {
+    const { box } = this.target;
+    const scale = Math.sqrt(box.width * box.height) * KEYPOINT_FALLOFF;
+    if (scale === 0) return 0;
+
+    let total = 0;
+    let count = 0;
+
+    for (const targetPoint of this.target.keypoints) {
+      if (targetPoint.score < MIN_KEYPOINT_SCORE) continue;
+
+      const candidatePoint = keypoints.find(kp => kp.name === targetPoint.name);
+      if (!candidatePoint || candidatePoint.score < MIN_KEYPOINT_SCORE) continue;
+
+      const distanceSquared = (candidatePoint.x - targetPoint.x) ** 2 +
+        (candidatePoint.y - targetPoint.y) ** 2;
+      total += Math.exp(-distanceSquared / (2 * scale * scale));
+      count++;
+    }
+
+    return count > 0 ? total / count : 0;
+  }
+
+  /**
+   * Bounding box of the confident keypoints
+   * @param {Array} keypoints - Pose keypoints
+   * @returns {Object|null} { xMin, yMin, xMax, yMax, width, height }
+   */
+  getBoundingBox(keypoints) {
+    const confident = keypoints.filter(kp => kp.score >= MIN_KEYPOINT_SCORE);
+    if (confident.length === 0) return null;
+
+    const xs = confident.map(kp => kp.x);
+    const ys = confident.map(kp => kp.y);
+    const xMin = Math.min(...xs);
+    const yMin = Math.min(...ys);
+    const xMax = Math.max(...xs);
+    const yMax = Math.max(...ys);
+
+    return { xMin, yMin, xMax, yMax, width: xMax - xMin, height: yMax - yMin };
+  }
+
+  /**
+   * Intersection over union of two boxes
+   * @param {Object} a - Bounding box
+   * @param {Object} b - Bounding box
+   * @returns {number} IoU (0-1)
+   */
+  getIoU(a, b) {
+    const overlapWidth = Math.max(0, Math.min(a.xMax, b.xMax) - Math.max(a.xMin, b.xMin));
+    const overlapHeight = Math.max(0, Math.min(a.yMax, b.yMax) - Math.max(a.yMin, b.yMin));
+    const intersection = overlapWidth * overlapHeight;
+    const union = a.width * a.height + b.width * b.height - intersection;
+
+    return union > 0 ? intersection / union : 0;
+  }
+
+  /**
+   * Stop tracking
+   */
+  reset() {
+    this.target = null;
+    this.missedFrames = 0;
+  }
+}
+
+export default PoseTracker;
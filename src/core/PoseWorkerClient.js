@@ -0,0 +1,152 @@
+/**
+ * PoseWorkerClient.js
+ * Promise-based wrapper around the pose detection worker
+ * Mirrors the PoseProcessor frame API so AnalysisLoader can switch between
+ * the worker pipeline and the main-thread fallback. Only detection moves to
+ * the worker; seeking and frame capture stay on the page
+ */
+
+class PoseWorkerClient {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with the number of frames processed
+   */
+  constructor({ onProgress } = {}) {
+    this.worker = null;
+    this.onProgress = onProgress;
+    this.nextId = 0;
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Check whether the browser can run detection in a worker
+   * @returns {boolean} True if Worker, OffscreenCanvas and createImageBitmap are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+
+  /**
+   * Start the worker and load the pose model inside it
+   * @param {Object} options - Passed to PoseProcessor.initialize()
+   * @returns {Promise<boolean>} Resolves once the model is ready
+   */
+  async initialize(options = {}) {
+    this.worker = new Worker(new URL('../workers/poseWorker.js', import.meta.url), {
+      type: 'module'
+    });
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault?.();
+      this.rejectAll(new Error(event.message || 'Pose worker failed'));
+    };
+
+    return this.send('init', options);
+  }
+
+  /**
+   * Send a frame to the worker for detection
+   * The frame is transferred and must not be used by the caller afterwards
+   * @param {VideoFrame|ImageBitmap} frame - Captured video frame
+   * @param {number} mediaTime - Frame time in seconds on the video timeline
+   * @returns {Promise<boolean>} True if a pose was detected
+   */
+  processFrame(frame, mediaTime) {
+    return this.send('frame', { frame, mediaTime }, [frame]);
+  }
+
+  /**
+   * Detect every person in a frame without recording landmarks
+   * @param {VideoFrame|ImageBitmap} frame - Captured video frame (transferred)
+   * @param {number} mediaTime - Frame time in seconds on the video timeline
+   * @returns {Promise<Object>} { width, height, poses }
+   */
+  detectPoses(frame, mediaTime) {
+    return this.send('detect', { frame, mediaTime }, [frame]);
+  }
+
+  /**
+   * Choose which athlete the worker should follow
+   * @param {Array} keypoints - Keypoints of the selected pose
+   * @returns {Promise<boolean>} Resolves once the tracker is updated
+   */
+  setTrackedPose(keypoints) {
+    return this.send('track', { keypoints });
+  }
+
+  /**
+   * Collect the landmark state accumulated in the worker
+   * @returns {Promise<Object>} State for PoseProcessor.loadState()
+   */
+  finish() {
+    return this.send('finish');
+  }
+
+  /**
+   * Release the model and terminate the worker
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.postMessage({ id: this.nextId++, type: 'dispose' });
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectAll(new Error('Pose worker disposed'));
+  }
+
+  /**
+   * Post a request to the worker
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @param {Array} transfer - Transferable objects
+   * @returns {Promise<*>} Worker response
+   */
+  send(type, payload = {}, transfer = []) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Pose worker not initialized'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  /**
+   * Route a worker message to its pending request or progress callback
+   * @param {Object} message - Message from the worker
+   */
+  handleMessage(message) {
+    if (message.type === 'progress') {
+      this.onProgress?.(message.framesProcessed);
+      return;
+    }
+
+    const request = this.pendingRequests.get(message.id);
+    if (!request) return;
+
+    this.pendingRequests.delete(message.id);
+    if (message.type === 'error') {
+      request.reject(new Error(message.message));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  /**
+   * Reject all outstanding requests
+   * @param {Error} error - Rejection reason
+   */
+  rejectAll(error) {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+}
+
+export default PoseWorkerClient;
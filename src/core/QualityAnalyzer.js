@@ -0,0 +1,247 @@
+/**
+ * QualityAnalyzer.js
+ * Assesses how trustworthy an analysis is: keypoint visibility, framing,
+ * sampling rate and image quality, combined into an overall confidence value
+ */
+
+// Results below this confidence (0-100) are not published to the cloud
+export const MIN_PUBLISH_CONFIDENCE = 50;
+
+const MIN_FRAMES = 30; // same minimum as PoseProcessor.calculateMetrics
+const MIN_KEYPOINT_SCORE = 0.5;
+const EDGE_MARGIN = 0.03; // fraction of the frame treated as the border
+const MIN_FRAME_RATE = 8; // effective frames/second
+const MIN_BRIGHTNESS = 50; // mean luma (0-255)
+const BLUR_SHARPNESS = 20; // Laplacian variance below which a frame is blurred
+
+// Torso length as a fraction of frame height
+const MIN_BODY_SIZE = 0.08;
+const MAX_BODY_SIZE = 0.45;
+
+// Joints shared by every supported model (see PoseModels.json)
+const REPORTED_JOINTS = ['nose', 'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist', 'left_hip', 'right_hip', 'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle'];
+const FULL_BODY_JOINTS = REPORTED_JOINTS.filter(name => name !== 'nose');
+
+// Confidence multipliers applied for each warning
+const WARNING_PENALTIES = {
+  tooDark: 0.8,
+  motionBlur: 0.85,
+  cropped: 0.85,
+  tooFar: 0.85,
+  tooClose: 0.9,
+  lowFrameRate: 0.9
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+class QualityAnalyzer {
+  /**
+   * Build the quality report for an analysis
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @param {Object} frameStats
+   * @param {number} frameStats.framesSampled - Frames sent to the detector
+   * @param {Array} frameStats.imageStats - { brightness, sharpness } of sampled frames
+   * @returns {Object} Quality report with confidence (0-100), level and warnings
+   */
+  analyze(poseProcessor, { framesSampled = 0, imageStats = [] } = {}) {
+    const history = poseProcessor.getLandmarkHistory({ raw: true });
+    const isVisible = (frame, name) => {
+      const keypoint = frame.keypoints.find(kp => kp.name === name);
+      return Boolean(keypoint && keypoint.score > MIN_KEYPOINT_SCORE);
+    };
+
+    const jointVisibility = {};
+    for (const name of REPORTED_JOINTS) {
+      const visibleFrames = history.filter(frame => isVisible(frame, name)).length;
+      jointVisibility[name] = history.length > 0 ? Math.round(visibleFrames / history.length * 100) : 0;
+    }
+
+    const fullBodyFrames = history.filter(
+      frame => FULL_BODY_JOINTS.every(name => isVisible(frame, name))
+    ).length;
+    const fullBodyRate = history.length > 0 ? fullBodyFrames / history.length : 0;
+    const detectionRate = framesSampled > 0 ? Math.min(1, history.length / framesSampled) : 0;
+    const meanVisibility = REPORTED_JOINTS.reduce(
+      (sum, name) => sum + jointVisibility[name], 0
+    ) / REPORTED_JOINTS.length / 100;
+
+    const frameRate = this.getFrameRate(history);
+    const brightness = median(imageStats.map(stats => stats.brightness));
+    const blurRate = imageStats.length > 0
+      ? imageStats.filter(stats => stats.sharpness < BLUR_SHARPNESS).length / imageStats.length
+      : 0;
+
+    const warnings = [];
+    if (history.length < MIN_FRAMES) warnings.push('insufficientFrames');
+    if (detectionRate < 0.6) warnings.push('lowDetection');
+    if (fullBodyRate < 0.5) warnings.push('partialBody');
+    if (this.isCropped(history, poseProcessor, jointVisibility)) warnings.push('cropped');
+
+    const bodySize = this.getBodySize(history, poseProcessor);
+    if (bodySize !== null && bodySize < MIN_BODY_SIZE) warnings.push('tooFar');
+    if (bodySize !== null && bodySize > MAX_BODY_SIZE) warnings.push('tooClose');
+    const peakFrameRate = this.getPeakFrameRate(history);
+    if (peakFrameRate !== null && peakFrameRate < MIN_FRAME_RATE) warnings.push('lowFrameRate');
+    if (brightness !== null && brightness < MIN_BRIGHTNESS) warnings.push('tooDark');
+    if (blurRate > 0.3) warnings.push('motionBlur');
+
+    let confidence = 0.35 * detectionRate + 0.35 * meanVisibility + 0.3 * fullBodyRate;
+    for (const warning of warnings) {
+      confidence *= WARNING_PENALTIES[warning] ?? 1;
+    }
+    confidence = Math.round(confidence * 100);
+    if (warnings.includes('insufficientFrames')) {
+      confidence = Math.min(confidence, 20);
+    }
+
+    return {
+      confidence,
+      level: confidence >= 70 ? 'high' : confidence >= MIN_PUBLISH_CONFIDENCE ? 'medium' : 'low',
+      warnings,
+      framesSampled,
+      framesWithPose: history.length,
+      detectionRate: Math.round(detectionRate * 100),
+      fullBodyRate: Math.round(fullBodyRate * 100),
+      jointVisibility,
+      frameRate: frameRate === null ? null : Math.round(frameRate * 10) / 10,
+      brightness: brightness === null ? null : Math.round(brightness),
+      motionBlurRate: Math.round(blurRate * 100)
+    };
+  }
+
+  /**
+   * Framing guidance for a single live camera frame
+   * @param {Array|null} keypoints - Keypoints of the athlete, or null if nobody was detected
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @returns {Array<string>} Guidance codes, most important first; empty when framing is good
+   */
+  checkFrame(keypoints, width, height) {
+    const visible = name => keypoints?.find(kp => kp.name === name && kp.score > MIN_KEYPOINT_SCORE);
+    const visibleCount = FULL_BODY_JOINTS.filter(visible).length;
+
+    if (!keypoints || visibleCount < 4) {
+      return ['noAthlete'];
+    }
+
+    const guidance = [];
+    const leftAnkle = visible('left_ankle');
+    const rightAnkle = visible('right_ankle');
+    const nose = visible('nose');
+    const nearBottom = point => point.y > height * (1 - EDGE_MARGIN);
+
+    if (!leftAnkle || !rightAnkle || nearBottom(leftAnkle) || nearBottom(rightAnkle)) {
+      guidance.push('feetNotVisible');
+    }
+    if (!nose || nose.y < height * EDGE_MARGIN) {
+      guidance.push('headNotVisible');
+    }
+
+    const leftShoulder = visible('left_shoulder');
+    const rightShoulder = visible('right_shoulder');
+    const leftHip = visible('left_hip');
+    const rightHip = visible('right_hip');
+
+    if (leftShoulder && rightShoulder && leftHip && rightHip) {
+      const shoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+      const hipX = (leftHip.x + rightHip.x) / 2;
+      const hipY = (leftHip.y + rightHip.y) / 2;
+      const bodySize = Math.abs(hipY - shoulderY) / height;
+
+      if (bodySize > MAX_BODY_SIZE) guidance.push('tooClose');
+      if (bodySize < MIN_BODY_SIZE) guidance.push('tooFar');
+      if (hipX < width * 0.25 || hipX > width * 0.75) guidance.push('offCenter');
+    }
+
+    // Feet and head both cut off almost always means the camera is too close
+    if (guidance.includes('feetNotVisible') && guidance.includes('headNotVisible') &&
+        !guidance.includes('tooClose')) {
+      guidance.unshift('tooClose');
+    }
+
+    return guidance;
+  }
+
+  /**
+   * Effective sampling rate of the landmark history
+   * @param {Array} history - Landmark history
+   * @returns {number|null} Frames per second
+   */
+  getFrameRate(history) {
+    if (history.length < 2) return null;
+    const span = (history[history.length - 1].timestamp - history[0].timestamp) / 1000;
+    return span > 0 ? (history.length - 1) / span : null;
+  }
+
+  /**
+   * Densest sampling rate reached anywhere in the history
+   * Adaptive sampling is sparse during stillness, so the average rate alone
+   * would flag clips that were sampled densely where it mattered
+   * @param {Array} history - Landmark history
+   * @returns {number|null} Frames per second
+   */
+  getPeakFrameRate(history) {
+    let shortestInterval = Infinity;
+    for (let i = 1; i < history.length; i++) {
+      const interval = history[i].timestamp - history[i - 1].timestamp;
+      if (interval > 0) shortestInterval = Math.min(shortestInterval, interval);
+    }
+    return Number.isFinite(shortestInterval) ? 1000 / shortestInterval : null;
+  }
+
+  /**
+   * Median torso length relative to frame height
+   * @param {Array} history - Landmark history
+   * @param {PoseProcessor} poseProcessor - Processor providing body scale lookup
+   * @returns {number|null} Body size, or null if the frame size is unknown
+   */
+  getBodySize(history, poseProcessor) {
+    if (!poseProcessor.frameHeight) return null;
+    const scales = history
+      .map(frame => poseProcessor.getFrameBodyScale(frame))
+      .filter(Boolean);
+    const scale = median(scales);
+    return scale === null ? null : scale / poseProcessor.frameHeight;
+  }
+
+  /**
+   * Check whether the athlete is regularly cut off by the frame edge
+   * @param {Array} history - Landmark history
+   * @param {PoseProcessor} poseProcessor - Processor providing the frame size
+   * @param {Object} jointVisibility - Visibility percentage per joint
+   * @returns {boolean} True if the framing crops the body
+   */
+  isCropped(history, poseProcessor, jointVisibility) {
+    // Hips seen but feet missing means the legs leave the bottom of the frame
+    const hipVisibility = (jointVisibility.left_hip + jointVisibility.right_hip) / 2;
+    const ankleVisibility = (jointVisibility.left_ankle + jointVisibility.right_ankle) / 2;
+    if (hipVisibility > 70 && ankleVisibility < 30) return true;
+
+    const { frameWidth, frameHeight } = poseProcessor;
+    if (!frameWidth || !frameHeight || history.length === 0) return false;
+
+    const marginX = frameWidth * EDGE_MARGIN;
+    const marginY = frameHeight * EDGE_MARGIN;
+    const edgeFrames = history.filter(frame => frame.keypoints.some(kp =>
+      kp.score > MIN_KEYPOINT_SCORE && (
+        kp.x < marginX || kp.x > frameWidth - marginX ||
+        kp.y < marginY || kp.y > frameHeight - marginY
+      )
+    )).length;
+
+    return edgeFrames / history.length > 0.3;
+  }
+}
+
+export default QualityAnalyzer;
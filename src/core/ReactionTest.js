@@ -0,0 +1,152 @@
+/**
+ * ReactionTest.js
+ * Stimulus-driven reaction time measurement
+ * Compares movement onset after each logged "go" cue against the athlete's
+ * still position just before the cue, and flags anticipation as false starts
+ */
+
+// Distances in torso lengths (see PoseProcessor body-scale normalization)
+const ONSET_THRESHOLD = 0.08; // displacement from the pre-cue position
+const BASELINE_WINDOW_MS = 500; // still period sampled before each cue
+const MIN_REACTION_MS = 100; // faster responses are anticipation, not reaction
+const MAX_REACTION_MS = 1500; // no movement within this window counts as a miss
+
+const ONSET_JOINTS = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip',
+  'left_wrist', 'right_wrist', 'left_knee', 'right_knee'];
+
+class ReactionTest {
+  /**
+   * Measure reaction time for every cue
+   * @param {Array<number>} cueTimes - Cue times in ms of media time
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { trials, meanReactionTime, bestReactionTime, validTrials, falseStarts, missed }
+   */
+  analyze(cueTimes, poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+
+    const trials = cueTimes.map(cueTime =>
+      this.analyzeTrial(cueTime, history, bodyScale, poseProcessor)
+    );
+
+    const reactionTimes = trials
+      .filter(trial => trial.status === 'valid')
+      .map(trial => trial.reactionTime);
+
+    const meanReactionTime = reactionTimes.length > 0
+      ? Math.round(reactionTimes.reduce((sum, time) => sum + time, 0) / reactionTimes.length)
+      : null;
+
+    return {
+      trials,
+      meanReactionTime,
+      bestReactionTime: reactionTimes.length > 0 ? Math.min(...reactionTimes) : null,
+      validTrials: reactionTimes.length,
+      falseStarts: trials.filter(trial => trial.status === 'falseStart').length,
+      missed: trials.filter(trial => trial.status === 'missed').length
+    };
+  }
+
+  /**
+   * Measure a single trial
+   * @param {number} cueTime - Cue time in ms
+   * @param {Array} history - Landmark history
+   * @param {number} bodyScale - Torso length in pixels
+   * @param {PoseProcessor} poseProcessor - Processor providing keypoint lookup
+   * @returns {Object} { cueTime, reactionTime, status } where status is
+   *   'valid', 'falseStart', 'missed' or 'noData'
+   */
+  analyzeTrial(cueTime, history, bodyScale, poseProcessor) {
+    const baselineFrames = history.filter(
+      frame => frame.timestamp >= cueTime - BASELINE_WINDOW_MS && frame.timestamp < cueTime
+    );
+    const baseline = this.getBaseline(baselineFrames, poseProcessor);
+
+    if (!baseline) {
+      return { cueTime, reactionTime: null, status: 'noData' };
+    }
+
+    const displacement = frame => this.getDisplacement(frame, baseline, bodyScale, poseProcessor);
+
+    // Already moving when the cue appeared
+    if (baselineFrames.some(frame => displacement(frame) > ONSET_THRESHOLD)) {
+      return { cueTime, reactionTime: null, status: 'falseStart' };
+    }
+
+    let previous = { timestamp: cueTime, displacement: 0 };
+
+    for (const frame of history) {
+      if (frame.timestamp < cueTime) continue;
+      if (frame.timestamp > cueTime + MAX_REACTION_MS) break;
+
+      const current = { timestamp: frame.timestamp, displacement: displacement(frame) };
+
+      if (current.displacement > ONSET_THRESHOLD) {
+        // Interpolate the threshold crossing between samples
+        const ratio = (ONSET_THRESHOLD - previous.displacement) /
+          (current.displacement - previous.displacement);
+        const onsetTime = previous.timestamp + ratio * (current.timestamp - previous.timestamp);
+        const reactionTime = Math.round(onsetTime - cueTime);
+
+        if (reactionTime < MIN_REACTION_MS) {
+          return { cueTime, reactionTime, status: 'falseStart' };
+        }
+
+        return { cueTime, reactionTime, status: 'valid' };
+      }
+
+      previous = current;
+    }
+
+    return { cueTime, reactionTime: null, status: 'missed' };
+  }
+
+  /**
+   * Average joint positions over the pre-cue window
+   * @param {Array} frames - Frames before the cue
+   * @param {PoseProcessor} poseProcessor - Processor providing keypoint lookup
+   * @returns {Object|null} Map of joint name to { x, y }, or null if nothing visible
+   */
+  getBaseline(frames, poseProcessor) {
+    const baseline = {};
+
+    for (const jointName of ONSET_JOINTS) {
+      const points = frames
+        .map(frame => poseProcessor.getKeypoint(frame, jointName))
+        .filter(Boolean);
+
+      if (points.length > 0) {
+        baseline[jointName] = {
+          x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+          y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+        };
+      }
+    }
+
+    return Object.keys(baseline).length > 0 ? baseline : null;
+  }
+
+  /**
+   * Largest joint displacement from the baseline
+   * @param {Object} frame - Landmark data
+   * @param {Object} baseline - Joint positions from getBaseline()
+   * @param {number} bodyScale - Torso length in pixels
+   * @param {PoseProcessor} poseProcessor - Processor providing keypoint lookup
+   * @returns {number} Displacement in torso lengths
+   */
+  getDisplacement(frame, baseline, bodyScale, poseProcessor) {
+    let maxDisplacement = 0;
+
+    for (const [jointName, position] of Object.entries(baseline)) {
+      const joint = poseProcessor.getKeypoint(frame, jointName);
+      if (!joint) continue;
+
+      const distance = Math.hypot(joint.x - position.x, joint.y - position.y) / bodyScale;
+      maxDisplacement = Math.max(maxDisplacement, distance);
+    }
+
+    return maxDisplacement;
+  }
+}
+
+export default ReactionTest;
@@ -0,0 +1,457 @@
+/**
+ * RepSegmenter.js
+ * Splits repetitive drills into repetitions and finds discrete events
+ * (jumps, squats, direction changes, foot contacts, throws) in the landmark
+ * history collected by PoseProcessor
+ */
+
+import Kinematics from './Kinematics';
+
+// Distances in torso lengths (see PoseProcessor body-scale normalization)
+const MIN_REPS = 3;
+const MIN_REP_INTERVAL = 0.25; // seconds between repetition peaks
+const UPPER_CROSSING = 0.65; // fraction of the signal range that starts a repetition peak
+const LOWER_CROSSING = 0.35; // fraction of the signal range that ends it
+
+// Cadence decline: repetitions slower than the opening cadence by this fraction
+const MIN_DECLINE_REPS = 6;
+const DECLINE_THRESHOLD = 0.15;
+const DECLINE_WINDOW = 3;
+
+const JUMP_THRESHOLD = 0.15; // hip rise above standing height
+const SQUAT_DEPTH = 0.25; // hip drop below standing height
+const SQUAT_KNEE_ANGLE = 130; // degrees; knees must bend at least this much at the bottom
+const DIRECTION_SPEED = 0.5; // torso lengths/second of sideways hip travel
+const THROW_SPEED = 8; // torso lengths/second of the wrist above shoulder height
+const THROW_ARM_RATIO = 1.5; // throwing wrist speed relative to the other wrist
+const MIN_THROW_INTERVAL = 0.5; // seconds
+
+// English labels for reports (the UI uses the results.reps translations)
+export const EVENT_NAMES = {
+  jump: 'Jumps',
+  squat: 'Squats',
+  directionChange: 'Direction changes',
+  footContact: 'Foot contacts',
+  throw: 'Throws'
+};
+
+export const EVENT_TYPES = Object.keys(EVENT_NAMES);
+
+export const SIGNAL_NAMES = {
+  hipVertical: 'Hip up-down',
+  hipHorizontal: 'Hip side-to-side',
+  armSpread: 'Arm opening',
+  legSpread: 'Leg opening',
+  kneeBend: 'Knee bend'
+};
+
+// Time series that can carry a repetition, with the smallest swing that counts
+const REP_SIGNALS = [
+  { id: 'hipVertical', unit: 'torsoLengths', minAmplitude: 0.1 },
+  { id: 'hipHorizontal', unit: 'torsoLengths', minAmplitude: 0.3 },
+  { id: 'armSpread', unit: 'torsoLengths', minAmplitude: 0.5 },
+  { id: 'legSpread', unit: 'torsoLengths', minAmplitude: 0.2 },
+  { id: 'kneeBend', unit: 'degrees', minAmplitude: 20 }
+];
+
+/**
+ * Value at a quantile of a list (nearest rank)
+ * @param {Array<number>} values - Values
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} Value at the quantile
+ */
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Coefficient of variation turned into a 0-100 consistency score
+ * @param {Array<number>} values - Values
+ * @returns {number} 100 when every value is identical
+ */
+function consistencyOf(values) {
+  const average = mean(values);
+  if (average === 0) return 0;
+  const sd = Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+  return Math.round(Math.max(0, 1 - sd / Math.abs(average)) * 100);
+}
+
+class RepSegmenter {
+  /**
+   * Segment a clip into repetitions and events
+   * @param {PoseProcessor} poseProcessor - Processor holding the landmark history
+   * @returns {Object} { repetitions, events, eventCounts } where repetitions is
+   *   { signal, unit, count, cadence, consistency, reps: [{ rep, start, end, duration,
+   *   amplitude, peakSpeed, cadence }], decline } or null if no repeated movement was found
+   */
+  analyze(poseProcessor) {
+    const history = poseProcessor.getLandmarkHistory();
+    const bodyScale = poseProcessor.getBodyScale();
+    const startTime = history.length > 0 ? history[0].timestamp : 0;
+    const times = history.map(frame => (frame.timestamp - startTime) / 1000);
+
+    const signals = this.getSignals(poseProcessor, history, bodyScale);
+    const repetitions = this.findRepetitions(signals, times);
+
+    const events = [
+      ...this.detectJumps(signals.hipVertical, times),
+      ...this.detectSquats(signals.hipVertical, signals.kneeBend, times),
+      ...this.detectDirectionChanges(signals.hipHorizontal, times),
+      ...this.detectFootContacts(poseProcessor, history, times, bodyScale),
+      ...this.detectThrows(poseProcessor, history, times, bodyScale)
+    ].sort((a, b) => a.time - b.time);
+
+    return {
+      repetitions,
+      events,
+      eventCounts: Object.fromEntries(EVENT_TYPES.map(
+        type => [type, events.filter(event => event.type === type).length]
+      ))
+    };
+  }
+
+  /**
+   * Per-frame time series used for segmentation
+   * Image y grows downwards, so hipVertical is negated to make up positive
+   * @returns {Object} Series keyed by REP_SIGNALS id (null where not measurable)
+   */
+  getSignals(poseProcessor, history, bodyScale) {
+    const kinematics = new Kinematics();
+    const point = (frame, name) => kinematics.getPoint(poseProcessor, frame, name);
+    const distance = (frame, a, b) => {
+      const first = poseProcessor.getKeypoint(frame, a);
+      const second = poseProcessor.getKeypoint(frame, b);
+      return first && second ? Math.hypot(first.x - second.x, first.y - second.y) / bodyScale : null;
+    };
+
+    const hips = history.map(frame => poseProcessor.getHipCenter(frame));
+
+    return {
+      hipVertical: hips.map(hip => (hip ? -hip.y / bodyScale : null)),
+      hipHorizontal: hips.map(hip => (hip ? hip.x / bodyScale : null)),
+      armSpread: history.map(frame => distance(frame, 'left_wrist', 'right_wrist')),
+      legSpread: history.map(frame => distance(frame, 'left_ankle', 'right_ankle')),
+      kneeBend: history.map(frame => {
+        const angles = ['left', 'right']
+          .map(side => kinematics.getAngle(
+            point(frame, `${side}_hip`), point(frame, `${side}_knee`), point(frame, `${side}_ankle`)
+          ))
+          .filter(angle => angle !== null);
+        // Flexion, so a deeper bend is a higher value
+        return angles.length > 0 ? 180 - mean(angles) : null;
+      })
+    };
+  }
+
+  /**
+   * Pick the signal with the most regular repetitions and measure each one
+   * @param {Object} signals - Output of getSignals()
+   * @param {Array<number>} times - Frame times in seconds
+   * @returns {Object|null} Repetition summary (see analyze())
+   */
+  findRepetitions(signals, times) {
+    let best = null;
+
+    for (const signal of REP_SIGNALS) {
+      const samples = signals[signal.id]
+        .map((value, i) => ({ value, time: times[i] }))
+        .filter(sample => sample.value !== null);
+      const reps = this.segmentSignal(samples, signal.minAmplitude);
+      if (reps.length < MIN_REPS) continue;
+
+      // Many evenly spaced, clearly visible cycles beat a few irregular ones
+      const intervals = reps.slice(1).map((rep, i) => rep.peakTime - reps[i].peakTime);
+      const regularity = consistencyOf(intervals) / 100;
+      const visibility = Math.min(1, mean(reps.map(rep => rep.amplitude)) / (signal.minAmplitude * 2));
+      const score = reps.length * regularity * visibility;
+
+      if (!best || score > best.score) {
+        best = { signal, reps, score };
+      }
+    }
+
+    if (!best) return null;
+
+    const { signal, reps } = best;
+    const span = reps[reps.length - 1].peakTime - reps[0].peakTime;
+    const items = reps.map((rep, i) => ({
+      rep: i + 1,
+      start: round(rep.start, 2),
+      end: round(rep.end, 2),
+      duration: round(rep.end - rep.start, 2),
+      amplitude: round(rep.amplitude, signal.unit === 'degrees' ? 0 : 2),
+      peakSpeed: round(rep.peakSpeed, 2),
+      // Cadence between this repetition's peak and the previous one
+      cadence: i > 0 ? round(60 / (rep.peakTime - reps[i - 1].peakTime)) : null
+    }));
+
+    return {
+      signal: signal.id,
+      unit: signal.unit,
+      count: items.length,
+      cadence: span > 0 ? round(((items.length - 1) / span) * 60) : 0,
+      // Peak-to-peak intervals, since the first and last reps are cut by the clip edges
+      consistency: Math.round((consistencyOf(items.slice(1).map(item => 60 / item.cadence)) +
+        consistencyOf(items.map(item => item.amplitude))) / 2),
+      reps: items,
+      decline: this.findCadenceDecline(items)
+    };
+  }
+
+  /**
+   * Split a signal into repetitions with a two-threshold (hysteresis) detector
+   * A repetition peaks while the signal is above the upper threshold and is
+   * bounded by the lowest points before and after the peak
+   * @param {Array} samples - [{ value, time }] without gaps
+   * @param {number} minAmplitude - Smallest signal range that can hold repetitions
+   * @returns {Array} [{ start, end, peakTime, amplitude, peakSpeed }]
+   */
+  segmentSignal(samples, minAmplitude) {
+    if (samples.length < MIN_REPS * 2) return [];
+
+    const values = samples.map(sample => sample.value);
+    const low = quantile(values, 0.1);
+    const range = quantile(values, 0.9) - low;
+    if (range < minAmplitude) return [];
+
+    const upper = low + range * UPPER_CROSSING;
+    const lower = low + range * LOWER_CROSSING;
+
+    // Index of the highest sample in each excursion above the upper threshold
+    const peaks = [];
+    let peak = null;
+    for (let i = 0; i < samples.length; i++) {
+      if (peak === null && values[i] > upper) {
+        peak = i;
+      } else if (peak !== null && values[i] > values[peak]) {
+        peak = i;
+      } else if (peak !== null && values[i] < lower) {
+        const previous = peaks[peaks.length - 1];
+        if (previous !== undefined && samples[peak].time - samples[previous].time < MIN_REP_INTERVAL) {
+          if (values[peak] > values[previous]) peaks[peaks.length - 1] = peak;
+        } else {
+          peaks.push(peak);
+        }
+        peak = null;
+      }
+    }
+
+    const lowestBetween = (from, to) => {
+      let lowest = from;
+      for (let i = from; i <= to; i++) {
+        if (values[i] < values[lowest]) lowest = i;
+      }
+      return lowest;
+    };
+
+    const valleys = [lowestBetween(0, peaks[0] ?? 0)];
+    for (let k = 0; k < peaks.length; k++) {
+      valleys.push(lowestBetween(peaks[k], k + 1 < peaks.length ? peaks[k + 1] : samples.length - 1));
+    }
+
+    return peaks.map((peakIndex, k) => {
+      const [from, to] = [valleys[k], valleys[k + 1]];
+      let peakSpeed = 0;
+      for (let i = from + 1; i <= to; i++) {
+        const dt = samples[i].time - samples[i - 1].time;
+        if (dt > 0) peakSpeed = Math.max(peakSpeed, Math.abs(values[i] - values[i - 1]) / dt);
+      }
+
+      return {
+        start: samples[from].time,
+        end: samples[to].time,
+        peakTime: samples[peakIndex].time,
+        amplitude: values[peakIndex] - (values[from] + values[to]) / 2,
+        peakSpeed
+      };
+    });
+  }
+
+  /**
+   * Find where the cadence falls clearly below the opening cadence and stays there
+   * @param {Array} reps - Repetitions with per-rep cadence
+   * @returns {Object|null} { afterRep, baselineCadence, finalCadence, drop (%) },
+   *   or null if the cadence was held
+   */
+  findCadenceDecline(reps) {
+    if (reps.length < MIN_DECLINE_REPS) return null;
+
+    const cadences = reps.slice(1).map(rep => rep.cadence);
+    const baseline = quantile(cadences.slice(0, Math.max(2, Math.floor(cadences.length / 3))), 0.5);
+    const threshold = baseline * (1 - DECLINE_THRESHOLD);
+
+    for (let i = 0; i + DECLINE_WINDOW <= cadences.length; i++) {
+      const windowSlower = mean(cadences.slice(i, i + DECLINE_WINDOW)) < threshold;
+      const restSlower = mean(cadences.slice(i)) < threshold;
+      if (windowSlower && restSlower) {
+        const finalCadence = mean(cadences.slice(-DECLINE_WINDOW));
+        return {
+          // cadences[i] belongs to rep i + 2, so the last rep at full pace is rep i + 1
+          afterRep: i + 1,
+          baselineCadence: round(baseline),
+          finalCadence: round(finalCadence),
+          drop: Math.round((1 - finalCadence / baseline) * 100)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hip height while standing
+   * Upper quartile, so squats don't lower it and short flight phases don't raise it
+   * @param {Array} hipVertical - Hip height series (null where missing)
+   * @returns {number|null} Standing height
+   */
+  getStandingHeight(hipVertical) {
+    const valid = hipVertical.filter(value => value !== null);
+    return valid.length >= MIN_REPS ? quantile(valid, 0.75) : null;
+  }
+
+  /**
+   * Jumps: hip rising clearly above its standing height
+   * @returns {Array} [{ type: 'jump', time, height }]
+   */
+  detectJumps(hipVertical, times) {
+    const standing = this.getStandingHeight(hipVertical);
+    if (standing === null) return [];
+
+    return this.findExcursions(hipVertical.map(value => (value === null ? null : value - standing)), JUMP_THRESHOLD)
+      .map(({ index, value }) => ({ type: 'jump', time: round(times[index], 2), height: round(value, 2) }));
+  }
+
+  /**
+   * Squats: hip dropping well below its standing height with bent knees
+   * @returns {Array} [{ type: 'squat', time, depth, kneeFlexion }]
+   */
+  detectSquats(hipVertical, kneeBend, times) {
+    const standing = this.getStandingHeight(hipVertical);
+    if (standing === null) return [];
+
+    return this.findExcursions(hipVertical.map(value => (value === null ? null : standing - value)), SQUAT_DEPTH)
+      .filter(({ index }) => kneeBend[index] !== null && kneeBend[index] >= 180 - SQUAT_KNEE_ANGLE)
+      .map(({ index, value }) => ({
+        type: 'squat',
+        time: round(times[index], 2),
+        depth: round(value, 2),
+        kneeFlexion: Math.round(kneeBend[index])
+      }));
+  }
+
+  /**
+   * Find each excursion of a series above a threshold and its highest point
+   * The excursion ends once the series falls below half the threshold
+   * @param {Array} series - Values (null where missing)
+   * @param {number} threshold - Value that starts an excursion
+   * @returns {Array} [{ index, value }]
+   */
+  findExcursions(series, threshold) {
+    const excursions = [];
+    let current = null;
+
+    series.forEach((value, index) => {
+      if (value === null) return;
+      if (current === null && value > threshold) {
+        current = { index, value };
+      } else if (current !== null && value > current.value) {
+        current = { index, value };
+      } else if (current !== null && value < threshold / 2) {
+        excursions.push(current);
+        current = null;
+      }
+    });
+
+    if (current !== null) excursions.push(current);
+    return excursions;
+  }
+
+  /**
+   * Direction changes: sideways hip travel reversing while moving
+   * @returns {Array} [{ type: 'directionChange', time, position }] with the hip
+   *   position in torso lengths from the left edge of the frame
+   */
+  detectDirectionChanges(hipHorizontal, times) {
+    const events = [];
+    let lastDirection = 0;
+
+    for (let i = 1; i < hipHorizontal.length - 1; i++) {
+      const [before, after] = [hipHorizontal[i - 1], hipHorizontal[i + 1]];
+      const dt = times[i + 1] - times[i - 1];
+      if (before === null || after === null || dt <= 0) continue;
+
+      const velocity = (after - before) / dt;
+      if (Math.abs(velocity) < DIRECTION_SPEED) continue;
+
+      const direction = Math.sign(velocity);
+      if (lastDirection !== 0 && direction !== lastDirection) {
+        events.push({ type: 'directionChange', time: round(times[i], 2), position: round(hipHorizontal[i], 2) });
+      }
+      lastDirection = direction;
+    }
+
+    return events;
+  }
+
+  /**
+   * Foot contacts from the step detector in Kinematics
+   * @returns {Array} [{ type: 'footContact', time, foot }]
+   */
+  detectFootContacts(poseProcessor, history, times, bodyScale) {
+    const kinematics = new Kinematics();
+    const point = (frame, name) => kinematics.getPoint(poseProcessor, frame, name);
+
+    return kinematics.detectSteps(history, times, bodyScale, point).events
+      .map(event => ({ type: 'footContact', time: round(event.time, 2), foot: event.foot }));
+  }
+
+  /**
+   * Throws: one wrist moving fast above shoulder height
+   * Both arms swinging together (e.g. jumping jacks) is not counted
+   * @returns {Array} [{ type: 'throw', time, side, speed }]
+   */
+  detectThrows(poseProcessor, history, times, bodyScale) {
+    const events = [];
+    const wristSpeed = (i, side) => {
+      const wrist = poseProcessor.getKeypoint(history[i], `${side}_wrist`);
+      const before = poseProcessor.getKeypoint(history[i - 1], `${side}_wrist`);
+      const dt = times[i] - times[i - 1];
+      return wrist && before && dt > 0
+        ? Math.hypot(wrist.x - before.x, wrist.y - before.y) / bodyScale / dt
+        : 0;
+    };
+
+    for (const side of ['left', 'right']) {
+      const otherSide = side === 'left' ? 'right' : 'left';
+      let lastThrow = -Infinity;
+      let candidate = null;
+
+      for (let i = 1; i < history.length; i++) {
+        const wrist = poseProcessor.getKeypoint(history[i], `${side}_wrist`);
+        const shoulder = poseProcessor.getKeypoint(history[i], `${side}_shoulder`);
+        const speed = wristSpeed(i, side);
+
+        const isThrowing = speed > THROW_SPEED && speed > wristSpeed(i, otherSide) * THROW_ARM_RATIO &&
+          shoulder && wrist.y < shoulder.y;
+
+        if (isThrowing && (!candidate || speed > candidate.speed)) {
+          candidate = { time: times[i], speed };
+        } else if (!isThrowing && candidate) {
+          if (candidate.time - lastThrow >= MIN_THROW_INTERVAL) {
+            events.push({ type: 'throw', time: round(candidate.time, 2), side, speed: round(candidate.speed, 1) });
+            lastThrow = candidate.time;
+          }
+          candidate = null;
+        }
+      }
+    }
+
+    return events;
+  }
+}
+
+export default RepSegmenter;
@@ -2,60 +2,89 @@
  * ScoringEngine.js
  * Rule-based scoring engine that calculates sports suitability scores
  * based on pose detection metrics
+ * Also the default recommender (see ModelRecommender.js for the shared contract)
  */
 
-import sportsMapping from './SportsMapping.json';
+import SportProfiles, { PROFILE_METRICS } from './SportProfiles';
+import NormScorer from './NormScorer';
+import DrillAnalyzer from './DrillAnalyzer';
+import TrainingPlanner from './TrainingPlanner';
+
+export const COMBINE_METHODS = ['best', 'mean', 'drillWeighted'];
+
+// Between-session standard deviation (score points) at which a metric counts as fully inconsistent
+const INCONSISTENT_SD = 20;
+// Re-scoring rounds allowed while rival sports keep pace with an improvement
+const MAX_IMPROVEMENT_STEPS = 20;
+// Weak-area cutoff and target for suggestions: peer percentiles when the
+// athlete's cohort is known, otherwise the raw 0-100 scores
+const SUGGESTION_CUTOFFS = {
+  percentile: { weakBelow: 40, target: 60 },
+  raw: { weakBelow: 60, target: 70 }
+};
 
 class ScoringEngine {
-  constructor() {
-    this.sportsMapping = sportsMapping.sports;
+  /**
+   * @param {Object} profiles - Sport profile dataset ({ version, sports });
+   *   defaults to the active profiles on this device
+   */
+  constructor(profiles = new SportProfiles().getActive()) {
+    this.id = 'rules';
+    this.sportsMapping = profiles.sports;
+    this.profileVersion = profiles.version;
+    this.version = profiles.version;
+    this.normScorer = new NormScorer();
+    this.trainingPlanner = new TrainingPlanner();
   }
 
   /**
    * Calculate scores for all metrics
    * @param {Object} metrics - Metrics from PoseProcessor
-   * @returns {Object} Scores object with agility, balance, coordination, reactionTime
+   * @returns {Object} Score (0-100) for every profile metric
    */
   calculateScores(metrics) {
-    return {
-      agility: Math.round(Math.min(100, Math.max(0, metrics.agility))),
-      balance: Math.round(Math.min(100, Math.max(0, metrics.balance))),
-      coordination: Math.round(Math.min(100, Math.max(0, metrics.coordination))),
-      reactionTime: Math.round(Math.min(100, Math.max(0, metrics.reactionTime)))
-    };
+    return Object.fromEntries(PROFILE_METRICS.map(
+      metric => [metric, Math.round(Math.min(100, Math.max(0, metrics[metric] ?? 0)))]
+    ));
   }
 
   /**
    * Calculate sports suitability scores for each sport
    * @param {Object} scores - Individual metric scores
-   * @returns {Array} Array of sports with suitability scores, sorted by score
+   * @returns {Array} Array of sports with suitability scores, sorted by score.
+   *   Each sport also lists the points each metric contributed and the
+   *   minimum requirements it failed ({ metric, score, required, shortfall })
    */
   calculateSportsSuitability(scores) {
     const results = this.sportsMapping.map(sport => {
       // Weighted score calculation
-      const weightedScore = 
-        (scores.agility * sport.weight.agility) +
-        (scores.balance * sport.weight.balance) +
-        (scores.coordination * sport.weight.coordination) +
-        (scores.reactionTime * sport.weight.reactionTime);
+      const weightedScore = PROFILE_METRICS.reduce(
+        (sum, metric) => sum + scores[metric] * sport.weight[metric], 0
+      );
+
+      // Points each metric adds to the weighted score
+      const contributions = Object.fromEntries(PROFILE_METRICS.map(
+        metric => [metric, Math.round(scores[metric] * sport.weight[metric] * 10) / 10]
+      ));
 
       // Check if minimum requirements are met
-      const meetsRequirements = 
-        scores.agility >= sport.minScores.agility &&
-        scores.balance >= sport.minScores.balance &&
-        scores.coordination >= sport.minScores.coordination &&
-        scores.reactionTime >= sport.minScores.reactionTime;
+      const failedRequirements = PROFILE_METRICS
+        .filter(metric => scores[metric] < sport.minScores[metric])
+        .map(metric => ({
+          metric,
+          score: scores[metric],
+          required: sport.minScores[metric],
+          shortfall: sport.minScores[metric] - scores[metric]
+        }));
+      const meetsRequirements = failedRequirements.length === 0;
 
       return {
         ...sport,
         suitabilityScore: Math.round(weightedScore),
         meetsRequirements,
-        scoreBreakdown: {
-          agility: scores.agility,
-          balance: scores.balance,
-          coordination: scores.coordination,
-          reactionTime: scores.reactionTime
-        }
+        contributions,
+        failedRequirements,
+        scoreBreakdown: Object.fromEntries(PROFILE_METRICS.map(metric => [metric, scores[metric]]))
       };
     });
 
@@ -81,52 +110,139 @@ class ScoringEngine {
     return recommended;
   }
 
+  /**
+   * Recommended sports in the order a recommender ranks them
+   * Minimum scores apply whichever recommender produced the ranking
+   * @param {Array} sportsSuitability - Array from calculateSportsSuitability
+   * @param {Array} ranking - Output of any recommender's recommend()
+   * @returns {Array} Recommended sports
+   */
+  rankRecommendations(sportsSuitability, ranking) {
+    const sports = Object.fromEntries(sportsSuitability.map(sport => [sport.id, sport]));
+    return this.getRecommendedSports(ranking.filter(({ id }) => sports[id]).map(({ id }) => sports[id]));
+  }
+
+  /**
+   * Attach to every sport that is not yet a qualified recommendation the
+   * smallest score improvement that would make it one
+   * @param {Array} sportsSuitability - Array from calculateSportsSuitability
+   * @param {Object} scores - Individual metric scores
+   * @returns {Array} Sports with `improvement` set to
+   *   { changes: [{ metric, from, to }], totalPoints }, or null when the sport
+   *   is already recommended or cannot be reached
+   */
+  explainRecommendations(sportsSuitability, scores) {
+    const recommendedIds = new Set(this.getRecommendedSports(sportsSuitability).map(sport => sport.id));
+
+    return sportsSuitability.map(sport => {
+      if (sport.meetsRequirements && recommendedIds.has(sport.id)) {
+        return { ...sport, improvement: null };
+      }
+      return { ...sport, improvement: this.findSmallestImprovement(sport, scores) };
+    });
+  }
+
+  /**
+   * Check whether a sport is a qualified recommendation for a set of scores
+   * @param {string} sportId - Sport ID
+   * @param {Object} scores - Individual metric scores
+   * @returns {boolean} True if the sport meets its minimums and is recommended
+   */
+  isRecommended(sportId, scores) {
+    return this.getRecommendedSports(this.calculateSportsSuitability(scores))
+      .some(sport => sport.id === sportId && sport.meetsRequirements);
+  }
+
+  /**
+   * Smallest set of score increases that makes a sport a qualified recommendation
+   * Failed minimums are raised first; the sport is then lifted above the
+   * third-best qualified rival through its most heavily weighted metrics,
+   * which need the fewest points. Raising a metric also lifts the rivals that
+   * weight it, so every sport is re-scored after each step until the sport
+   * is recommended
+   * @param {Object} sport - Sport from calculateSportsSuitability
+   * @param {Object} scores - Individual metric scores
+   * @returns {Object|null} { changes: [{ metric, from, to }], totalPoints }, or null if unreachable
+   */
+  findSmallestImprovement(sport, scores) {
+    const target = { ...scores };
+    for (const failed of sport.failedRequirements) {
+      target[failed.metric] = failed.required;
+    }
+
+    const byWeight = [...PROFILE_METRICS]
+      .filter(metric => sport.weight[metric] > 0)
+      .sort((a, b) => sport.weight[b] - sport.weight[a]);
+
+    for (let step = 0; step < MAX_IMPROVEMENT_STEPS && !this.isRecommended(sport.id, target); step++) {
+      // Qualified sports this one has to outrank to enter the top 3
+      const rivals = this.calculateSportsSuitability(target)
+        .filter(other => other.id !== sport.id && other.meetsRequirements)
+        .map(other => other.suitabilityScore);
+
+      const weightedScore = PROFILE_METRICS.reduce(
+        (sum, metric) => sum + target[metric] * sport.weight[metric], 0
+      );
+      // Suitability is rounded, so the weighted score must reach cutoff + 0.5
+      let gap = rivals[2] + 0.5 - weightedScore;
+      let raised = 0;
+
+      for (const metric of byWeight) {
+        if (gap <= 0) break;
+        const points = Math.min(100 - target[metric], Math.ceil(gap / sport.weight[metric] - 1e-9));
+        target[metric] += points;
+        gap -= points * sport.weight[metric];
+        raised += points;
+      }
+      if (gap > 0 || raised === 0) return null;
+    }
+
+    if (!this.isRecommended(sport.id, target)) return null;
+
+    const changes = PROFILE_METRICS
+      .filter(metric => target[metric] > scores[metric])
+      .map(metric => ({ metric, from: scores[metric], to: target[metric] }));
+    if (changes.length === 0) return null;
+
+    return {
+      changes,
+      totalPoints: changes.reduce((sum, change) => sum + change.to - change.from, 0)
+    };
+  }
+
   /**
    * Generate improvement suggestions based on scores
    * @param {Object} scores - Individual metric scores
    * @param {Array} recommendedSports - Recommended sports
-   * @returns {Array} Array of improvement suggestions
+   * @param {Object|null} norms - Peer cohort the scores are percentiles in, or
+   *   null for raw scores
+   * @returns {Array} Array of improvement suggestions; metric suggestions say
+   *   in `scale` whether the cutoff was a percentile or the raw-score fallback
    */
-  generateImprovementSuggestions(scores, recommendedSports) {
+  generateImprovementSuggestions(scores, recommendedSports, norms = null) {
     const suggestions = [];
+    const scale = norms ? 'percentile' : 'raw';
+    const { weakBelow, target } = SUGGESTION_CUTOFFS[scale];
 
     // Analyze weak areas
-    const weakAreas = [];
-    if (scores.agility < 60) weakAreas.push({ metric: 'agility', score: scores.agility });
-    if (scores.balance < 60) weakAreas.push({ metric: 'balance', score: scores.balance });
-    if (scores.coordination < 60) weakAreas.push({ metric: 'coordination', score: scores.coordination });
-    if (scores.reactionTime < 60) weakAreas.push({ metric: 'reactionTime', score: scores.reactionTime });
+    const weakAreas = PROFILE_METRICS
+      .filter(metric => scores[metric] < weakBelow)
+      .map(metric => ({ metric, score: scores[metric] }));
 
     // Sort by score (lowest first)
     weakAreas.sort((a, b) => a.score - b.score);
 
-    // Generate suggestions for weak areas
-    const suggestionMap = {
-      agility: {
-        en: 'Practice quick direction changes, ladder drills, and agility cone exercises to improve movement speed and responsiveness.',
-        hi: 'गति और प्रतिक्रिया में सुधार के लिए त्वरित दिशा परिवर्तन, सीढ़ी अभ्यास और चपलता शंकु अभ्यास करें।'
-      },
-      balance: {
-        en: 'Focus on single-leg exercises, yoga poses, and stability training to enhance body control and balance.',
-        hi: 'शरीर नियंत्रण और संतुलन बढ़ाने के लिए एकल-पैर अभ्यास, योग मुद्राएं और स्थिरता प्रशिक्षण पर ध्यान दें।'
-      },
-      coordination: {
-        en: 'Practice bilateral exercises, juggling, and synchronized movements to improve coordination between body parts.',
-        hi: 'शरीर के अंगों के बीच समन्वय में सुधार के लिए द्विपक्षीय अभ्यास, जगलिंग और समकालिक गतिविधियों का अभ्यास करें।'
-      },
-      reactionTime: {
-        en: 'Train with reaction drills, quick response exercises, and sports-specific drills to improve reaction speed.',
-        hi: 'प्रतिक्रिया गति में सुधार के लिए प्रतिक्रिया अभ्यास, त्वरित प्रतिक्रिया अभ्यास और खेल-विशिष्ट अभ्यास के साथ प्रशिक्षण लें।'
-      }
-    };
-
+    // Advice text and starter exercises come from the exercise library
     weakAreas.slice(0, 3).forEach(area => {
-      if (suggestionMap[area.metric]) {
+      const advice = this.trainingPlanner.getMetricAdvice(area.metric);
+      if (advice) {
         suggestions.push({
           metric: area.metric,
           currentScore: area.score,
-          targetScore: 70,
-          suggestion: suggestionMap[area.metric]
+          targetScore: target,
+          scale,
+          suggestion: advice,
+          exercises: this.trainingPlanner.getExercisesForMetric(area.metric, 'beginner').map(exercise => exercise.id)
         });
       }
     });
@@ -138,10 +254,7 @@ class ScoringEngine {
         metric: 'general',
         currentScore: topSport.suitabilityScore,
         targetScore: 75,
-        suggestion: {
-          en: `Focus on improving ${topSport.name.toLowerCase()} specific skills. Work on the metrics where you're below the minimum requirements.`,
-          hi: `${topSport.nameHi} विशिष्ट कौशल में सुधार पर ध्यान दें। उन मीट्रिक्स पर काम करें जहाँ आप न्यूनतम आवश्यकताओं से नीचे हैं।`
-        }
+        suggestion: this.trainingPlanner.getSportFocus(topSport)
       });
     }
 
@@ -154,37 +267,171 @@ class ScoringEngine {
    * @returns {number} Overall score (0-100)
    */
   calculateOverallScore(scores) {
-    const avgScore = (
-      scores.agility + 
-      scores.balance + 
-      scores.coordination + 
-      scores.reactionTime
-    ) / 4;
+    const avgScore = PROFILE_METRICS.reduce((sum, metric) => sum + scores[metric], 0) / PROFILE_METRICS.length;
 
     return Math.round(avgScore);
   }
 
+  /**
+   * Sport suitability in the shared recommender format
+   * @param {Object} analysis - Analysis with scores
+   * @returns {Array} [{ id, suitabilityScore }] sorted by score
+   */
+  recommend(analysis) {
+    return this.calculateSportsSuitability(analysis.scores)
+      .map(sport => ({ id: sport.id, suitabilityScore: sport.suitabilityScore }));
+  }
+
   /**
    * Process complete analysis
+   * When the athlete's age and sex are known, scores are percentiles against
+   * peers and every later step (suitability, minimum scores, suggestions)
+   * works on those percentiles; otherwise the raw scores are used
    * @param {Object} metrics - Raw metrics from PoseProcessor
+   * @param {Object} athlete - Optional { age, sex, level }
    * @returns {Object} Complete analysis results
    */
-  processAnalysis(metrics) {
-    const scores = this.calculateScores(metrics);
-    const sportsSuitability = this.calculateSportsSuitability(scores);
+  processAnalysis(metrics, athlete = null) {
+    return this.scoreAnalysis(this.calculateScores(metrics), athlete);
+  }
+
+  /**
+   * Score already clamped metric scores (shared by single and combined assessments)
+   * @param {Object} rawScores - Metric scores (0-100)
+   * @param {Object} athlete - Optional { age, sex, level } or stored cohort
+   * @returns {Object} Complete analysis results
+   */
+  scoreAnalysis(rawScores, athlete = null) {
+    const normalized = athlete ? this.normScorer.normalize(rawScores, athlete) : null;
+    const scores = normalized ? normalized.percentiles : rawScores;
+    const sportsSuitability = this.explainRecommendations(this.calculateSportsSuitability(scores), scores);
     const recommendedSports = this.getRecommendedSports(sportsSuitability);
-    const suggestions = this.generateImprovementSuggestions(scores, recommendedSports);
+    const suggestions = this.generateImprovementSuggestions(scores, recommendedSports, normalized?.cohort ?? null);
     const overallScore = this.calculateOverallScore(scores);
 
     return {
       scores,
+      rawScores,
+      norms: normalized ? normalized.cohort : null,
       sportsSuitability,
       recommendedSports,
       suggestions,
       overallScore,
+      profileVersion: this.profileVersion,
       timestamp: new Date().toISOString()
     };
   }
+
+  /**
+   * Combine several analyses of one athlete into a single assessment
+   * Raw scores are combined and then scored as usual, as percentiles if every
+   * session was scored against the same peer group
+   * @param {Array} sessions - Analyses with rawScores (or scores), drill and norms
+   * @param {string} method - 'best', 'mean' or 'drillWeighted'
+   * @returns {Object} Analysis results plus `aggregate` with per-metric
+   *   statistics and a reliability estimate
+   */
+  combineSessions(sessions, method = 'mean') {
+    if (sessions.length === 0) {
+      throw new Error('No sessions to combine');
+    }
+    if (!COMBINE_METHODS.includes(method)) {
+      throw new Error(`Unknown combine method: ${method}`);
+    }
+
+    const drillAnalyzer = new DrillAnalyzer();
+    const sessionScores = sessions.map(session => session.rawScores || session.scores);
+    const sessionWeights = sessions.map(session => drillAnalyzer.getMetricWeights(session.drill?.id));
+
+    const rawScores = {};
+    const metrics = {};
+    for (const metric of PROFILE_METRICS) {
+      // Sessions recorded before a metric existed do not count towards it
+      const measured = sessionScores
+        .map((scores, i) => ({ value: scores[metric], weight: sessionWeights[i][metric] ?? 1 }))
+        .filter(session => typeof session.value === 'number');
+      const values = measured.length > 0 ? measured.map(session => session.value) : [0];
+      const weights = measured.length > 0 ? measured.map(session => session.weight) : [1];
+      const stats = this.describe(values);
+
+      if (method === 'best') {
+        rawScores[metric] = stats.max;
+      } else if (method === 'drillWeighted') {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        rawScores[metric] = Math.round(
+          values.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight
+        );
+      } else {
+        rawScores[metric] = Math.round(stats.mean);
+      }
+
+      metrics[metric] = {
+        ...stats,
+        mean: Math.round(stats.mean * 10) / 10,
+        sd: Math.round(stats.sd * 10) / 10,
+        variance: Math.round(stats.sd ** 2 * 10) / 10,
+        consistency: Math.round(Math.max(0, 1 - stats.sd / INCONSISTENT_SD) * 100)
+      };
+    }
+
+    // Only reuse a peer group that every session agrees on
+    const cohorts = sessions.map(session => session.norms);
+    const sharedCohort = cohorts.every(cohort => cohort &&
+      cohort.ageBand === cohorts[0].ageBand && cohort.sex === cohorts[0].sex && cohort.level === cohorts[0].level)
+      ? cohorts[0]
+      : null;
+
+    return {
+      ...this.scoreAnalysis(rawScores, sharedCohort),
+      aggregate: {
+        method,
+        sessionCount: sessions.length,
+        sessions: sessions.map(session => ({
+          id: session.id || null,
+          drillId: session.drill?.id || null,
+          overallScore: session.overallScore,
+          timestamp: session.timestamp || null
+        })),
+        metrics,
+        reliability: this.estimateReliability(metrics, sessions.length)
+      }
+    };
+  }
+
+  /**
+   * Basic statistics of a list of scores
+   * @param {Array<number>} values - Scores
+   * @returns {Object} { mean, sd (sample), min, max }
+   */
+  describe(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const sd = values.length > 1
+      ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1))
+      : 0;
+    return { mean, sd, min: Math.min(...values), max: Math.max(...values) };
+  }
+
+  /**
+   * Reliability of the combined scores
+   * Mean session-to-session consistency is taken as the single-session
+   * reliability and stepped up for the number of sessions (Spearman-Brown)
+   * @param {Object} metrics - Per-metric statistics from combineSessions
+   * @param {number} sessionCount - Number of combined sessions
+   * @returns {Object} { score (0-100), level: 'high' | 'medium' | 'low' }, or level 'single' for one session
+   */
+  estimateReliability(metrics, sessionCount) {
+    if (sessionCount < 2) {
+      return { score: null, level: 'single' };
+    }
+
+    const consistency = PROFILE_METRICS.reduce(
+      (sum, metric) => sum + metrics[metric].consistency, 0
+    ) / PROFILE_METRICS.length / 100;
+    const reliability = (sessionCount * consistency) / (1 + (sessionCount - 1) * consistency);
+    const score = Math.round(reliability * 100);
+
+    return { score, level: score >= 80 ? 'high' : score >= 60 ? 'medium' : 'low' };
+  }
 }
 
 export default ScoringEngine;
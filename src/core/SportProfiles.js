@@ -0,0 +1,200 @@
+/**
+ * SportProfiles.js
+ * Versioned sport profile dataset used by the ScoringEngine
+ * The bundled SportsMapping.json can be replaced for every user by an
+ * admin-edited copy published to Firestore (see utils/firebase.js). The last
+ * copy fetched is cached on the device, so scoring stays synchronous and
+ * works offline; every copy is validated before it is used or cached
+ */
+
+import bundledProfiles from './SportsMapping.json';
+import { getPreference, setPreference } from '../utils/preferences';
+
+// Metrics every profile must weight and set a minimum score for
+export const PROFILE_METRICS = ['agility', 'balance', 'coordination', 'reactionTime',
+  'explosiveness', 'flexibility', 'endurance', 'symmetry'];
+
+// English metric names for exported reports (the UI uses results.scores.* translations)
+export const METRIC_NAMES = {
+  agility: 'Agility',
+  balance: 'Balance',
+  coordination: 'Coordination',
+  reactionTime: 'Reaction Time',
+  explosiveness: 'Explosiveness',
+  flexibility: 'Flexibility',
+  endurance: 'Endurance',
+  symmetry: 'Symmetry'
+};
+
+// Allowed rounding error when checking that weights sum to 1
+const WEIGHT_SUM_TOLERANCE = 0.001;
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const CUSTOM_VERSION_PATTERN = /^(.+)-custom\.(\d+)$/;
+
+class SportProfiles {
+  /**
+   * Profiles shipped with the app
+   * @returns {Object} { version, sports }
+   */
+  getBundled() {
+    return bundledProfiles;
+  }
+
+  /**
+   * Profiles used for scoring: the cached shared set if it is still valid,
+   * otherwise the bundled set
+   * @returns {Object} { version, sports, basedOn?, updatedAt? }
+   */
+  getActive() {
+    const stored = getPreference('sportProfiles');
+    const custom = stored ? this.upgrade(stored) : null;
+    if (custom && this.validate(custom).length === 0) {
+      return custom;
+    }
+    if (custom) {
+      console.warn('Stored sport profiles are invalid; using the bundled profiles');
+    }
+    return bundledProfiles;
+  }
+
+  /**
+   * Add metrics introduced after a dataset was created
+   * New metrics get weight 0 and minimum score 0, so older profiles keep
+   * scoring exactly as before
+   * @param {Object} dataset - { version, sports }
+   * @returns {Object} Dataset with every profile metric present
+   */
+  upgrade(dataset) {
+    if (!Array.isArray(dataset?.sports)) return dataset;
+
+    return {
+      ...dataset,
+      sports: dataset.sports.map(sport => ({
+        ...sport,
+        weight: Object.fromEntries(PROFILE_METRICS.map(metric => [metric, sport?.weight?.[metric] ?? 0])),
+        minScores: Object.fromEntries(PROFILE_METRICS.map(metric => [metric, sport?.minScores?.[metric] ?? 0]))
+      }))
+    };
+  }
+
+  /**
+   * Check whether the active profiles were edited by an admin
+   * @returns {boolean} True if a valid custom set is in use
+   */
+  isCustom() {
+    return this.getActive() !== bundledProfiles;
+  }
+
+  /**
+   * Validate a profile dataset
+   * @param {Object} dataset - { version, sports }
+   * @returns {Array} Errors as { code, sport?, metric? }; empty if valid
+   */
+  validate(dataset) {
+    const errors = [];
+
+    if (typeof dataset?.version !== 'string' || dataset.version.trim() === '') {
+      errors.push({ code: 'missingVersion' });
+    }
+    if (!Array.isArray(dataset?.sports) || dataset.sports.length === 0) {
+      errors.push({ code: 'noSports' });
+      return errors;
+    }
+
+    const seenIds = new Set();
+    dataset.sports.forEach((sport, index) => {
+      const label = sport?.name || sport?.id || `#${index + 1}`;
+
+      if (typeof sport?.id !== 'string' || !ID_PATTERN.test(sport.id)) {
+        errors.push({ code: 'invalidId', sport: label });
+      } else if (seenIds.has(sport.id)) {
+        errors.push({ code: 'duplicateId', sport: label });
+      } else {
+        seenIds.add(sport.id);
+      }
+
+      if (typeof sport?.name !== 'string' || sport.name.trim() === '') {
+        errors.push({ code: 'missingName', sport: label });
+      }
+      if (typeof sport?.nameHi !== 'string' || sport.nameHi.trim() === '') {
+        errors.push({ code: 'missingNameHi', sport: label });
+      }
+
+      let weightSum = 0;
+      for (const metric of PROFILE_METRICS) {
+        const weight = sport?.weight?.[metric];
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+          errors.push({ code: 'invalidWeight', sport: label, metric });
+        } else {
+          weightSum += weight;
+        }
+
+        const minScore = sport?.minScores?.[metric];
+        if (typeof minScore !== 'number' || !Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+          errors.push({ code: 'invalidMinScore', sport: label, metric });
+        }
+      }
+
+      if (Math.abs(weightSum - 1) > WEIGHT_SUM_TOLERANCE) {
+        errors.push({ code: 'weightSum', sport: label, sum: Math.round(weightSum * 1000) / 1000 });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Version for a new custom revision of a profile set
+   * @param {Object|null} current - Shared dataset the revision replaces, or null for the bundled set
+   * @returns {string} e.g. "2.0.0-custom.3"
+   */
+  getNextVersion(current) {
+    const match = current?.version?.match(CUSTOM_VERSION_PATTERN);
+
+    // Start counting again when the bundled profiles have been upgraded
+    if (match && match[1] === bundledProfiles.version) {
+      return `${bundledProfiles.version}-custom.${Number(match[2]) + 1}`;
+    }
+    return `${bundledProfiles.version}-custom.1`;
+  }
+
+  /**
+   * Build and validate a new version of the shared profiles
+   * @param {Array} sports - Sport profiles
+   * @param {Object|null} current - Shared dataset the revision replaces, or null for the bundled set
+   * @returns {Object} Dataset ready to publish
+   * @throws {Error} If the profiles are invalid (error.validationErrors lists the problems)
+   */
+  createRevision(sports, current) {
+    const dataset = {
+      version: this.getNextVersion(current),
+      basedOn: bundledProfiles.version,
+      updatedAt: new Date().toISOString(),
+      sports
+    };
+
+    const errors = this.validate(dataset);
+    if (errors.length > 0) {
+      const error = new Error('Sport profiles are invalid');
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    return dataset;
+  }
+
+  /**
+   * Cache the shared profiles on this device
+   * @param {Object|null} dataset - Shared dataset, or null when the bundled set is in use
+   */
+  setShared(dataset) {
+    const upgraded = dataset ? this.upgrade(dataset) : null;
+    if (upgraded && this.validate(upgraded).length > 0) {
+      console.warn('Shared sport profiles are invalid; keeping the cached profiles');
+      return;
+    }
+    setPreference('sportProfiles', upgraded);
+  }
+}
+
+export default SportProfiles;
@@ -0,0 +1,214 @@
+/**
+ * TrainingPlanner.js
+ * Builds a progressive multi-week training plan from the exercise library,
+ * focused on the athlete's weakest metrics and the needs of a target sport
+ */
+
+import exerciseLibrary from './ExerciseLibrary.json';
+import { PROFILE_METRICS } from './SportProfiles';
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const WARM_UP_ID = 'dynamic-warmup';
+const TARGET_SCORE = 75; // score at which a metric no longer needs focused work
+const MAX_FOCUS_METRICS = 2;
+const EXERCISES_PER_SESSION = 3;
+
+class TrainingPlanner {
+  constructor(library = exerciseLibrary) {
+    this.library = library;
+  }
+
+  /**
+   * Get an exercise from the library
+   * @param {string} exerciseId - Exercise ID
+   * @returns {Object|null} Exercise definition
+   */
+  getExercise(exerciseId) {
+    return this.library.exercises.find(exercise => exercise.id === exerciseId) || null;
+  }
+
+  /**
+   * Get an equipment item from the library
+   * @param {string} equipmentId - Equipment ID
+   * @returns {Object|null} { id, name, nameHi }
+   */
+  getEquipment(equipmentId) {
+    return this.library.equipment.find(item => item.id === equipmentId) || null;
+  }
+
+  /**
+   * General advice text for a metric
+   * @param {string} metric - Metric name
+   * @returns {Object|null} { en, hi }
+   */
+  getMetricAdvice(metric) {
+    return this.library.metricAdvice[metric] || null;
+  }
+
+  /**
+   * Advice for working towards a specific sport
+   * @param {Object} sport - Sport profile with name and nameHi
+   * @returns {Object} { en, hi }
+   */
+  getSportFocus(sport) {
+    return {
+      en: this.library.sportFocus.en.replace('{{sport}}', sport.name.toLowerCase()),
+      hi: this.library.sportFocus.hi.replace('{{sport}}', sport.nameHi)
+    };
+  }
+
+  /**
+   * Exercises that train a metric, easiest first
+   * @param {string} metric - Metric name
+   * @param {string} maxDifficulty - Hardest difficulty to include
+   * @returns {Array} Exercises
+   */
+  getExercisesForMetric(metric, maxDifficulty = 'advanced') {
+    const maxLevel = DIFFICULTIES.indexOf(maxDifficulty);
+    return this.library.exercises
+      .filter(exercise => exercise.metrics.includes(metric) &&
+        DIFFICULTIES.indexOf(exercise.difficulty) <= maxLevel)
+      .sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+  }
+
+  /**
+   * Rank metrics by how much training they need
+   * Distance below the target score counts, plus double the shortfall against
+   * the target sport's minimum, scaled by how much the sport weights the metric
+   * @param {Object} scores - Metric scores (0-100)
+   * @param {Object|null} sport - Target sport from the ScoringEngine, if any
+   * @returns {Array<string>} Focus metrics, most important first (at least one)
+   */
+  getFocusMetrics(scores, sport) {
+    // Reports saved before a metric existed have no score for it
+    const priorities = PROFILE_METRICS.filter(metric => typeof scores[metric] === 'number').map(metric => {
+      const gap = Math.max(0, TARGET_SCORE - scores[metric]);
+      const shortfall = sport ? Math.max(0, sport.minScores[metric] - scores[metric]) : 0;
+      const weight = sport ? sport.weight[metric] : 1 / PROFILE_METRICS.length;
+      return { metric, priority: (gap + shortfall * 2) * (0.5 + weight) };
+    }).sort((a, b) => b.priority - a.priority);
+
+    const focus = priorities.filter(item => item.priority > 0).slice(0, MAX_FOCUS_METRICS);
+    // Athletes above target everywhere still train their relatively weakest metric
+    return (focus.length > 0 ? focus : priorities.slice(0, 1)).map(item => item.metric);
+  }
+
+  /**
+   * Generate a training plan
+   * Difficulty rises from beginner to advanced across the plan, and the
+   * second half adds a set to every exercise
+   * @param {Object} analysis - Analysis from the ScoringEngine
+   * @param {Object} options
+   * @param {number} options.weeks - Plan length in weeks
+   * @param {number} options.sessionsPerWeek - Sessions per week
+   * @param {string} options.targetSportId - Sport to train for (defaults to the top recommendation)
+   * @returns {Object} { version, targetSportId, focusMetrics, weeks: [{ week, difficulty,
+   *   sessions: [{ session, focus, exercises: [{ id, sets, reps?, seconds?, durationMinutes }], totalMinutes }] }] }
+   */
+  generatePlan(analysis, { weeks = 4, sessionsPerWeek = 3, targetSportId = null } = {}) {
+    const sports = (analysis.sportsSuitability?.length ? analysis.sportsSuitability : analysis.recommendedSports) || [];
+    const sport = sports.find(item => item.id === targetSportId) || analysis.recommendedSports?.[0] || null;
+    // Reports saved without profile details can only be planned from scores
+    const sportProfile = sport?.weight && sport?.minScores ? sport : null;
+    const focusMetrics = this.getFocusMetrics(analysis.scores, sportProfile);
+    const warmUp = this.getExercise(WARM_UP_ID);
+
+    const plan = [];
+    for (let week = 1; week <= weeks; week++) {
+      const progress = weeks > 1 ? (week - 1) / (weeks - 1) : 0;
+      const difficulty = DIFFICULTIES[Math.min(DIFFICULTIES.length - 1, Math.floor(progress * DIFFICULTIES.length))];
+      const extraSets = week > weeks / 2 ? 1 : 0;
+
+      const sessions = [];
+      for (let session = 1; session <= sessionsPerWeek; session++) {
+        // Rotate the main focus between sessions, keeping the top metric most frequent
+        const focus = focusMetrics[(session - 1) % (focusMetrics.length + 1)] || focusMetrics[0];
+        const exercises = this.pickExercises(focus, focusMetrics, difficulty, week + session)
+          .map(exercise => this.prescribe(exercise, extraSets));
+
+        if (warmUp) {
+          exercises.unshift(this.prescribe(warmUp, 0));
+        }
+
+        sessions.push({
+          session,
+          focus,
+          exercises,
+          totalMinutes: exercises.reduce((sum, exercise) => sum + exercise.durationMinutes, 0)
+        });
+      }
+
+      plan.push({ week, difficulty, sessions });
+    }
+
+    return {
+      version: this.library.version,
+      targetSportId: sport?.id || null,
+      focusMetrics,
+      sessionsPerWeek,
+      weeks: plan
+    };
+  }
+
+  /**
+   * Choose the main exercises for a session
+   * @param {string} focus - Main metric of the session
+   * @param {Array<string>} focusMetrics - All focus metrics
+   * @param {string} difficulty - Hardest difficulty allowed this week
+   * @param {number} offset - Rotation offset so sessions vary
+   * @returns {Array} Exercises
+   */
+  pickExercises(focus, focusMetrics, difficulty, offset) {
+    const picked = [];
+    const candidates = [
+      ...this.rotate(this.getExercisesForMetric(focus, difficulty), offset),
+      ...focusMetrics
+        .filter(metric => metric !== focus)
+        .flatMap(metric => this.rotate(this.getExercisesForMetric(metric, difficulty), offset))
+    ];
+
+    // Exercises for the session focus first, then the other focus metrics
+    for (const exercise of candidates) {
+      if (picked.length >= EXERCISES_PER_SESSION) break;
+      if (!picked.includes(exercise)) picked.push(exercise);
+    }
+
+    return picked;
+  }
+
+  /**
+   * Rotate a list, preferring the hardest exercises allowed this week
+   * @param {Array} exercises - Exercises, easiest first
+   * @param {number} offset - Rotation offset
+   * @returns {Array} Rotated list with the hardest exercises first
+   */
+  rotate(exercises, offset) {
+    const [hardest, ...rest] = [...exercises].reverse();
+    if (!hardest) return [];
+
+    // Keep the hardest exercise first and vary the order of the rest
+    const shift = rest.length > 0 ? offset % rest.length : 0;
+    return [hardest, ...rest.slice(shift), ...rest.slice(0, shift)];
+  }
+
+  /**
+   * Sets and duration of an exercise in a session
+   * @param {Object} exercise - Exercise definition
+   * @param {number} extraSets - Sets added for progression
+   * @returns {Object} { id, sets, reps?, seconds?, durationMinutes }
+   */
+  prescribe(exercise, extraSets) {
+    const { sets, ...dose } = exercise.prescription;
+    const totalSets = sets + extraSets;
+
+    return {
+      id: exercise.id,
+      sets: totalSets,
+      ...dose,
+      durationMinutes: Math.round(exercise.durationMinutes * totalSets / sets)
+    };
+  }
+}
+
+export default TrainingPlanner;
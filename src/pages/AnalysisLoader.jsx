@@ -7,8 +7,88 @@ import { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useTranslation } from '../i18n';
 import PoseProcessor from '../core/PoseProcessor';
+import DrillAnalyzer from '../core/DrillAnalyzer';
+import AnalysisPipeline from '../core/AnalysisPipeline';
 import ScoringEngine from '../core/ScoringEngine';
+import QualityAnalyzer from '../core/QualityAnalyzer';
+import FrameSampler from '../core/FrameSampler';
+import PoseWorkerClient from '../core/PoseWorkerClient';
+import ModelRecommender from '../core/ModelRecommender';
+import CameraCalibration from '../core/CameraCalibration';
+import SportProfiles from '../core/SportProfiles';
+import LandmarkFormats from '../core/LandmarkFormats';
+import AthleteSelector from '../components/AthleteSelector';
 import { getVideo, storeResults } from '../utils/indexedDB';
+import { getSharedSportProfiles } from '../utils/firebase';
+import {
+  captureFrame,
+  measureFrameQuality,
+  resolveDuration,
+  getCropRect,
+  drawFrame,
+  getFrameThumbnail,
+  getFrameDifference
+} from '../utils/videoUtils';
+import { getPreference } from '../utils/preferences';
+
+// Frames handed to the worker before waiting for detection to catch up
+const MAX_FRAMES_IN_FLIGHT = 3;
+// Every Nth sampled frame is checked for brightness and blur
+const QUALITY_SAMPLE_INTERVAL = 10;
+
+/**
+ * Pick the recommender the settings ask for
+ * The rule-based ScoringEngine is the default, and the fallback when the
+ * trained model files are absent
+ * @param {string} requested - 'rules', 'compare' (rules plus model side by side) or 'model'
+ * @returns {Promise<Object>} { rules, model, active, fallback } where model is null unless loaded
+ */
+async function selectRecommender(requested) {
+  const rules = new ScoringEngine();
+  if (requested === 'rules') {
+    return { rules, model: null, active: rules, fallback: false };
+  }
+
+  const model = new ModelRecommender();
+  if (!(await model.load())) {
+    return { rules, model: null, active: rules, fallback: true };
+  }
+
+  return { rules, model, active: requested === 'model' ? model : rules, fallback: false };
+}
+
+/**
+ * Rank the recommended sports with the recommender chosen in the settings
+ * @param {Object} analysis - Analysis from the ScoringEngine with kinematics attached
+ * @returns {Promise<Object>} { requested, active, version, fallback?, modelVersion?, comparison? }
+ */
+async function applyRecommender(analysis) {
+  const requested = getPreference('recommender');
+  const { rules, model, active, fallback } = await selectRecommender(requested);
+
+  try {
+    // Every recommender ranks sports through the same recommend(analysis) contract
+    const ranking = active.recommend(analysis);
+    const rankScores = Object.fromEntries(ranking.map(sport => [sport.id, sport.suitabilityScore]));
+    analysis.recommendedSports = rules.rankRecommendations(analysis.sportsSuitability, ranking)
+      .map(sport => (active === model ? { ...sport, modelScore: rankScores[sport.id] } : sport));
+
+    const result = { requested, active: active.id, version: active.version };
+    if (fallback) {
+      result.fallback = true;
+    }
+    if (model) {
+      result.modelVersion = model.version;
+      result.comparison = model.compare(
+        analysis.sportsSuitability,
+        active === model ? ranking : model.recommend(analysis)
+      );
+    }
+    return result;
+  } finally {
+    model?.dispose();
+  }
+}
 
 function AnalysisLoader() {
   const { t } = useTranslation();
@@ -19,9 +99,17 @@ function AnalysisLoader() {
   const [status, setStatus] = useState('initializing');
   const [framesProcessed, setFramesProcessed] = useState(0);
   const [error, setError] = useState(null);
+  const [athleteDetection, setAthleteDetection] = useState(null);
   
   const videoRef = useRef(null);
+  const frameSourceRef = useRef(null);
   const poseProcessorRef = useRef(null);
+  const workerClientRef = useRef(null);
+  const drillIdRef = useRef(null);
+  const reactionCuesRef = useRef(null);
+  const athleteRef = useRef(null);
+  const calibrationRef = useRef(null);
+  const athleteResolverRef = useRef(null);
   const isProcessingRef = useRef(false);
 
   useEffect(() => {
@@ -30,16 +118,49 @@ function AnalysisLoader() {
       isProcessingRef.current = true;
 
       try {
+        // Keypoints imported from a file are scored without running the model
+        const recording = location.state?.recording;
+        if (recording) {
+          await analyzeRecording(recording);
+          return;
+        }
+
         // Initialize pose processor
         setStatus('initializing');
         setProgress(5);
+
+        const modelOptions = {
+          modelId: getPreference('poseModel'),
+          multiPerson: Boolean(location.state?.multiPerson)
+        };
+        const handleFrameProgress = (processed) => {
+          setFramesProcessed(processed);
+        };
+
+        // Prefer the worker pipeline; fall back to the main thread if unavailable
+        let workerClient = null;
+        if (PoseWorkerClient.isSupported()) {
+          try {
+            console.log('Starting pose detection worker...');
+            workerClient = new PoseWorkerClient({ onProgress: handleFrameProgress });
+            workerClientRef.current = workerClient;
+            await workerClient.initialize(modelOptions);
+          } catch (err) {
+            console.warn('Pose worker unavailable, analyzing on main thread:', err);
+            workerClient.dispose();
+            workerClient = null;
+            workerClientRef.current = null;
+          }
+        }
         
         console.log('Creating PoseProcessor instance...');
         const poseProcessor = new PoseProcessor();
         
         setProgress(10);
-        console.log('Initializing PoseProcessor (this may take a moment for TensorFlow.js to load)...');
-        await poseProcessor.initialize();
+        if (!workerClient) {
+          console.log('Initializing PoseProcessor (this may take a moment for TensorFlow.js to load)...');
+          await poseProcessor.initialize(modelOptions);
+        }
         
         setProgress(15);
         poseProcessorRef.current = poseProcessor;
@@ -52,6 +173,10 @@ function AnalysisLoader() {
 
         const videoData = await getVideo(videoId);
         const videoBlob = videoData.blob;
+        drillIdRef.current = location.state?.drillId || videoData.drillId || null;
+        reactionCuesRef.current = location.state?.reactionCues || videoData.reactionCues || null;
+        athleteRef.current = location.state?.athlete || videoData.athlete || null;
+        const crop = videoData.crop || null;
 
         // Create video element
         const video = document.createElement('video');
@@ -68,37 +193,101 @@ function AnalysisLoader() {
             resolve();
           };
         });
+        const duration = await resolveDuration(video);
+
+        // In/out points and crop region chosen in the editor step
+        const startTime = Math.min(videoData.trim?.start ?? 0, duration);
+        const endTime = Math.min(videoData.trim?.end ?? duration, duration);
+        const cropRect = crop ? getCropRect(video, crop) : null;
+        const cropCanvas = cropRect ? document.createElement('canvas') : null;
+        const getFrameInput = () => (cropRect ? drawFrame(video, cropRect, cropCanvas) : video);
+
+        const seekTo = (time) => new Promise((resolve) => {
+          const onSeeked = () => {
+            video.removeEventListener('seeked', onSeeked);
+            resolve();
+          };
+          video.addEventListener('seeked', onSeeked);
+          video.currentTime = time;
+        });
+
+        // Let the user pick the athlete when several people are in the first frame
+        if (location.state?.multiPerson) {
+          await seekTo(startTime);
+          // Drawn on both paths: the worker gets its own capture, but the
+          // selector shows this cropped frame under the detected boxes
+          const frameInput = getFrameInput();
+          frameSourceRef.current = frameInput;
+          const detection = workerClient
+            ? await workerClient.detectPoses(await captureFrame(video, cropRect), video.currentTime)
+            : await poseProcessor.detectPoses(frameInput, video.currentTime);
+
+          if (detection.poses.length > 1) {
+            const selectedIndex = await new Promise((resolve) => {
+              athleteResolverRef.current = resolve;
+              setAthleteDetection(detection);
+              setStatus('selecting');
+            });
+            athleteResolverRef.current = null;
+            setAthleteDetection(null);
+
+            const { keypoints } = detection.poses[selectedIndex];
+            if (workerClient) {
+              await workerClient.setTrackedPose(keypoints);
+            } else {
+              poseProcessor.setTrackedPose(keypoints);
+            }
+          }
+        }
 
         setStatus('processing');
         setProgress(20);
 
-        // Process video frames
-        const fps = 10; // Reduced FPS for processing to avoid performance issues
-        const duration = video.duration;
-        const totalFrames = Math.floor(duration * fps);
+        // Process video frames at the drill's sampling rate
+        const sampler = new FrameSampler(
+          new DrillAnalyzer().getSampling(drillIdRef.current),
+          startTime,
+          endTime
+        );
+        let frame = 0;
         let currentFrame = 0;
+        let previousThumbnail = null;
+        const pendingFrames = [];
+        const imageStats = [];
 
         // Process frames sequentially
-        for (let frame = 0; frame < totalFrames; frame++) {
-          const targetTime = Math.min((frame / fps), duration);
-          
+        while (sampler.hasNext()) {
           // Seek to target time
-          await new Promise((resolve) => {
-            const onSeeked = () => {
-              video.removeEventListener('seeked', onSeeked);
-              resolve();
-            };
-            video.addEventListener('seeked', onSeeked);
-            video.currentTime = targetTime;
-          });
+          await seekTo(sampler.time);
+
+          // Adaptive sampling compares each frame with the last analyzed one
+          const thumbnail = sampler.isAdaptive ? getFrameThumbnail(video, cropRect) : null;
+          const motion = previousThumbnail ? getFrameDifference(thumbnail, previousThumbnail) : 0;
+          if (!sampler.accept(motion)) continue;
+          previousThumbnail = thumbnail;
+          setProgress(20 + sampler.getProgress() * 60);
+
+          if (frame % QUALITY_SAMPLE_INTERVAL === 0) {
+            // Measured on the crop region the detector gets
+            imageStats.push(measureFrameQuality(video, cropRect));
+          }
+          frame++;
+
+          if (workerClient) {
+            // Seek the next frame while the worker detects this one
+            const frameImage = await captureFrame(video, cropRect);
+            pendingFrames.push(workerClient.processFrame(frameImage, video.currentTime));
+            if (pendingFrames.length >= MAX_FRAMES_IN_FLIGHT) {
+              await pendingFrames.shift();
+            }
+            continue;
+          }
 
           // Process frame
           try {
-            await poseProcessor.processFrame(video);
+            await poseProcessor.processFrame(getFrameInput(), video.currentTime);
             currentFrame++;
-            setFramesProcessed(currentFrame);
-            const newProgress = 20 + ((currentFrame / totalFrames) * 60);
-            setProgress(Math.min(90, newProgress));
+            handleFrameProgress(currentFrame);
           } catch (err) {
             console.error('Error processing frame:', err);
           }
@@ -109,8 +298,24 @@ function AnalysisLoader() {
           }
         }
 
+        if (workerClient) {
+          await Promise.all(pendingFrames);
+          poseProcessor.loadState(await workerClient.finish());
+          workerClient.dispose();
+          workerClientRef.current = null;
+        }
+
+        // Marker ends were picked on the full frame; the landmarks are in the
+        // pixels of the cropped and possibly downscaled detector input
+        calibrationRef.current = new CameraCalibration().resolve(
+          videoData.calibration || null,
+          video.videoWidth,
+          video.videoHeight,
+          { sourceWidth: cropRect?.width ?? video.videoWidth, landmarkWidth: poseProcessor.frameWidth }
+        );
+
         URL.revokeObjectURL(videoUrl);
-        await finishProcessing();
+        await finishProcessing({ framesSampled: sampler.framesSampled, imageStats }, crop, sampler.getSummary());
 
       } catch (err) {
         console.error('Error processing video:', err);
@@ -119,23 +324,73 @@ function AnalysisLoader() {
       }
     };
 
-    const finishProcessing = async () => {
+    const analyzeRecording = async (recording) => {
+      const poseProcessor = new PoseProcessor();
+      poseProcessor.loadState(recording.state);
+      poseProcessorRef.current = poseProcessor;
+
+      drillIdRef.current = recording.drillId || null;
+      reactionCuesRef.current = recording.reactionCues || null;
+      athleteRef.current = recording.athlete || null;
+      calibrationRef.current = recording.calibration || null;
+
+      await finishProcessing(
+        recording.frameStats || { framesSampled: recording.state.landmarkHistory.length },
+        null,
+        recording.sampling || null
+      );
+    };
+
+    const finishProcessing = async (frameStats, crop, sampling) => {
       try {
         setStatus('calculating');
         setProgress(90);
 
-        // Calculate metrics
-        const metrics = poseProcessorRef.current.calculateMetrics();
-        
-        // Generate scores and recommendations
-        const scoringEngine = new ScoringEngine();
-        const analysis = scoringEngine.processAnalysis(metrics);
+        // Check the clip is usable before turning landmarks into scores
+        const quality = new QualityAnalyzer().analyze(poseProcessorRef.current, frameStats);
+        if (quality.warnings.includes('insufficientFrames')) {
+          throw new Error([
+            t('quality.insufficientFrames'),
+            ...quality.warnings
+              .filter(warning => warning !== 'insufficientFrames')
+              .map(warning => t(`quality.warnings.${warning}`))
+          ].join(' '));
+        }
+
+        // Score against the profiles the admins published; offline, the cached copy is used
+        try {
+          new SportProfiles().setShared(await getSharedSportProfiles());
+        } catch (err) {
+          console.warn('Using cached sport profiles:', err);
+        }
+
+        // Metrics, scores, drill measurements and coaching details
+        const analysis = new AnalysisPipeline().run(poseProcessorRef.current, {
+          drillId: drillIdRef.current,
+          athlete: athleteRef.current,
+          reactionCues: reactionCuesRef.current,
+          calibration: calibrationRef.current,
+          quality,
+          sampling
+        });
+        analysis.recommender = await applyRecommender(analysis);
 
         setProgress(95);
 
         // Store results
         const videoId = location.state?.videoId;
-        const resultId = await storeResults(analysis, videoId);
+        // Landmarks are kept on the device only, for the annotated replay
+        const replay = { ...poseProcessorRef.current.getReplayData(), crop };
+        // Raw keypoints and analysis options, for export from the results page
+        const landmarks = new LandmarkFormats().createRecording(poseProcessorRef.current, {
+          drillId: drillIdRef.current,
+          athlete: athleteRef.current,
+          reactionCues: reactionCuesRef.current,
+          calibration: calibrationRef.current,
+          frameStats,
+          sampling
+        });
+        const resultId = await storeResults({ ...analysis, replay, landmarks }, videoId);
 
         setProgress(100);
         setStatus('complete');
@@ -161,6 +416,7 @@ function AnalysisLoader() {
       if (videoRef.current && videoRef.current.src) {
         URL.revokeObjectURL(videoRef.current.src);
       }
+      workerClientRef.current?.dispose();
       poseProcessorRef.current?.dispose();
       isProcessingRef.current = false;
     };
@@ -241,37 +497,54 @@ function AnalysisLoader() {
           </div>
         </div>
 
+        {/* Athlete Selection */}
+        {status === 'selecting' && athleteDetection && (
+          <div className="mb-8">
+            <h2 className="text-xl font-bold text-gray-900 mb-2 text-center">
+              {t('analysis.selectAthlete')}
+            </h2>
+            <p className="text-gray-600 mb-4 text-center">{t('analysis.selectAthleteDesc')}</p>
+            <AthleteSelector
+              video={frameSourceRef.current}
+              detection={athleteDetection}
+              onSelect={(index) => athleteResolverRef.current?.(index)}
+            />
+          </div>
+        )}
+
         {/* Status */}
-        <div className="text-center mb-8">
-          <div className="inline-block mb-4">
-            <svg
-              className="animate-spin h-12 w-12 text-primary-600"
-              xmlns="http://www.w3.org/2000/svg"
-              fill="none"
-              viewBox="0 0 24 24"
-            >
-              <circle
-                className="opacity-25"
-                cx="12"
-                cy="12"
-                r="10"
-                stroke="currentColor"
-                strokeWidth="4"
-              ></circle>
-              <path
-                className="opacity-75"
-                fill="currentColor"
-                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-              ></path>
-            </svg>
+        {status !== 'selecting' && (
+          <div className="text-center mb-8">
+            <div className="inline-block mb-4">
+              <svg
+                className="animate-spin h-12 w-12 text-primary-600"
+                xmlns="http://www.w3.org/2000/svg"
+                fill="none"
+                viewBox="0 0 24 24"
+              >
+                <circle
+                  className="opacity-25"
+                  cx="12"
+                  cy="12"
+                  r="10"
+                  stroke="currentColor"
+                  strokeWidth="4"
+                ></circle>
+                <path
+                  className="opacity-75"
+                  fill="currentColor"
+                  d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                ></path>
+              </svg>
+            </div>
+            <p className="text-lg text-gray-700 mb-2">{getStatusText()}</p>
+            {status === 'processing' && (
+              <p className="text-sm text-gray-500">
+                {t('analysis.framesProcessed')}: {framesProcessed}
+              </p>
+            )}
           </div>
-          <p className="text-lg text-gray-700 mb-2">{getStatusText()}</p>
-          {status === 'processing' && (
-            <p className="text-sm text-gray-500">
-              {t('analysis.framesProcessed')}: {framesProcessed}
-            </p>
-          )}
-        </div>
+        )}
       </div>
     </div>
   );
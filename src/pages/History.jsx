@@ -9,6 +9,8 @@ import { motion } from 'framer-motion';
 import { useTranslation } from '../i18n';
 import { useAuth } from '../contexts/AuthContext';
 import { getUserAssessmentHistory } from '../utils/firebase';
+import ScoringEngine, { COMBINE_METHODS } from '../core/ScoringEngine';
+import { PROFILE_METRICS, METRIC_NAMES } from '../core/SportProfiles';
 
 function History() {
   const { t } = useTranslation();
@@ -18,6 +20,8 @@ function History() {
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [combineMethod, setCombineMethod] = useState('mean');
 
   useEffect(() => {
     // Redirect if not authenticated
@@ -64,6 +68,19 @@ function History() {
     }
   };
 
+  const toggleSelected = (reportId) => {
+    setSelectedIds(current => (
+      current.includes(reportId) ? current.filter(id => id !== reportId) : [...current, reportId]
+    ));
+  };
+
+  // Combine the selected sessions into one assessment and open it as a report
+  const handleCombine = () => {
+    const sessions = reports.filter(report => selectedIds.includes(report.id));
+    const analysis = new ScoringEngine().combineSessions(sessions, combineMethod);
+    navigate('/results', { state: { analysis } });
+  };
+
   const getTopRecommendedSport = (recommendedSports) => {
     if (!recommendedSports || recommendedSports.length === 0) {
       return 'N/A';
@@ -111,6 +128,34 @@ function History() {
           </div>
         )}
 
+        {/* Combine Sessions */}
+        {reports.length > 1 && (
+          <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100 mb-8 flex flex-wrap items-center gap-4">
+            <div className="flex-1 min-w-[16rem]">
+              <p className="font-bold text-gray-900">{t('history.combine.title')}</p>
+              <p className="text-sm text-gray-600">
+                {t('history.combine.selected', { count: selectedIds.length })}
+              </p>
+            </div>
+            <select
+              value={combineMethod}
+              onChange={(e) => setCombineMethod(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {COMBINE_METHODS.map(method => (
+                <option key={method} value={method}>{t(`history.combine.methods.${method}`)}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleCombine}
+              disabled={selectedIds.length < 2}
+              className="px-6 py-3 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-all font-bold shadow-lg disabled:opacity-50"
+            >
+              {t('history.combine.button')}
+            </button>
+          </div>
+        )}
+
         {/* History List */}
         {reports.length === 0 ? (
           <div className="bg-white rounded-2xl shadow-lg p-12 border border-gray-100 text-center">
@@ -178,22 +223,29 @@ function History() {
                 {/* Score Breakdown */}
                 {report.scores && (
                   <div className="mb-4 text-sm space-y-1">
-                    <div className="flex justify-between">
-                      <span className="text-gray-600 font-medium">Agility:</span>
-                      <span className="font-bold text-gray-900 score-value">{report.scores.agility || 0}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600 font-medium">Balance:</span>
-                      <span className="font-bold text-gray-900 score-value">{report.scores.balance || 0}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600 font-medium">Coordination:</span>
-                      <span className="font-bold text-gray-900 score-value">{report.scores.coordination || 0}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600 font-medium">Reaction Time:</span>
-                      <span className="font-bold text-gray-900 score-value">{report.scores.reactionTime || 0}</span>
-                    </div>
+                    {PROFILE_METRICS.filter(metric => report.scores[metric] !== undefined).map(metric => (
+                      <div key={metric} className="flex justify-between">
+                        <span className="text-gray-600 font-medium">{METRIC_NAMES[metric]}:</span>
+                        <span className="font-bold text-gray-900 score-value">{report.scores[metric] || 0}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Include in combined assessment (combined reports cannot be nested) */}
+                {!report.aggregate && reports.length > 1 && (
+                  <label className="mb-4 flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(report.id)}
+                      onChange={() => toggleSelected(report.id)}
+                    />
+                    {t('history.combine.include')}
+                  </label>
+                )}
+                {report.aggregate && (
+                  <div className="mb-4 text-xs font-bold text-primary-700">
+                    {t('history.combine.combinedBadge', { count: report.aggregate.sessionCount })}
                   </div>
                 )}
 
@@ -9,15 +9,49 @@ import { motion } from 'framer-motion';
 import { useTranslation, getLanguage } from '../i18n';
 import { useAuth } from '../contexts/AuthContext';
 import { saveAssessmentReport, getAssessmentReport } from '../utils/firebase';
+import { getPreference } from '../utils/preferences';
+import { MIN_PUBLISH_CONFIDENCE } from '../core/QualityAnalyzer';
+import { PROFILE_METRICS, METRIC_NAMES } from '../core/SportProfiles';
+import { EVENT_NAMES, SIGNAL_NAMES } from '../core/RepSegmenter';
 import ScoreCard from '../components/ScoreCard';
 import ChartComponent from '../components/ChartComponent';
-import { FaFootballBall, FaRunning, FaTableTennis, FaVolleyballBall, FaDumbbell } from 'react-icons/fa';
+import ReplayPlayer from '../components/ReplayPlayer';
+import SportExplanation from '../components/SportExplanation';
+import TrainingPlan from '../components/TrainingPlan';
+import RepSummary from '../components/RepSummary';
+import LandmarkExport from '../components/LandmarkExport';
+import { FaFootballBall, FaRunning, FaTableTennis, FaVolleyballBall, FaDumbbell, FaHockeyPuck, FaSwimmer, FaFistRaised, FaBaseballBall } from 'react-icons/fa';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 
+// Non-recommended sports shown with the improvement they need
+const WITHIN_REACH_COUNT = 3;
+
+const METRIC_COLORS = {
+  agility: 'primary',
+  balance: 'green',
+  coordination: 'blue',
+  reactionTime: 'purple',
+  explosiveness: 'orange',
+  flexibility: 'teal',
+  endurance: 'red',
+  symmetry: 'pink'
+};
+
+/**
+ * Check whether a result is too unreliable to publish
+ * @param {Object} analysis - Analysis result
+ * @returns {boolean} True if publishing is blocked
+ */
+function isPublishBlocked(analysis) {
+  return Boolean(analysis?.quality) &&
+    analysis.quality.confidence < MIN_PUBLISH_CONFIDENCE &&
+    getPreference('blockLowConfidence');
+}
+
 function ResultsDashboard() {
   // ========== ALL HOOKS MUST BE CALLED FIRST ==========
-  const { t } = useTranslation();
+  const { t, language } = useTranslation();
   const location = useLocation();
   const navigate = useNavigate();
   const { reportId } = useParams();
@@ -41,7 +75,19 @@ function ResultsDashboard() {
             scores: report.scores,
             recommendedSports: report.recommendedSports || [],
             sportsSuitability: report.sportsSuitability || report.recommendedSports || [],
-            suggestions: report.suggestions || []
+            suggestions: report.suggestions || [],
+            drill: report.drill || null,
+            reactionTest: report.reactionTest || null,
+            quality: report.quality || null,
+            sampling: report.sampling || null,
+            rawScores: report.rawScores || null,
+            norms: report.norms || null,
+            profileVersion: report.profileVersion || null,
+            recommender: report.recommender || null,
+            aggregate: report.aggregate || null,
+            kinematics: report.kinematics || null,
+            segmentation: report.segmentation || null,
+            realWorld: report.realWorld || null
           };
           
           setAnalysis(transformedAnalysis);
@@ -74,6 +120,12 @@ function ResultsDashboard() {
         return;
       }
 
+      // Low-confidence results stay on this device only
+      if (isPublishBlocked(analysis)) {
+        console.warn('Assessment confidence too low, not saving to Firestore');
+        return;
+      }
+
       try {
         hasSavedRef.current = true;
         const videoId = videoIdRef.current || Date.now().toString();
@@ -125,6 +177,13 @@ function ResultsDashboard() {
   }
 
   // ========== MAIN RENDER LOGIC ==========
+
+  // Closest sports outside the recommendations, by points still needed
+  const recommendedIds = new Set(analysis.recommendedSports.map(sport => sport.id));
+  const withinReach = (analysis.sportsSuitability || [])
+    .filter(sport => !recommendedIds.has(sport.id) && sport.improvement)
+    .sort((a, b) => a.improvement.totalPoints - b.improvement.totalPoints)
+    .slice(0, WITHIN_REACH_COUNT);
   
   const downloadPDFReport = () => {
     const doc = new jsPDF();
@@ -138,26 +197,101 @@ function ResultsDashboard() {
     doc.setFontSize(16);
     doc.text(`Overall Score: ${analysis.overallScore}/100`, 14, 35);
 
+    if (analysis.quality) {
+      doc.setFontSize(11);
+      doc.text(`Analysis Confidence: ${analysis.quality.confidence}%`, 14, 43);
+    }
+
     // Individual Scores
     doc.setFontSize(14);
     doc.text('Individual Metrics:', 14, 50);
     
-    const scoresData = [
-      ['Agility', analysis.scores.agility],
-      ['Balance', analysis.scores.balance],
-      ['Coordination', analysis.scores.coordination],
-      ['Reaction Time', analysis.scores.reactionTime]
-    ];
+    const scoresData = PROFILE_METRICS
+      .filter(metric => typeof analysis.scores[metric] === 'number')
+      .map(metric => (
+        analysis.norms
+          ? [METRIC_NAMES[metric], analysis.scores[metric], analysis.rawScores[metric]]
+          : [METRIC_NAMES[metric], analysis.scores[metric]]
+      ));
 
     doc.autoTable({
       startY: 55,
-      head: [['Metric', 'Score']],
+      head: [analysis.norms ? ['Metric', 'Peer Percentile', 'Raw Score'] : ['Metric', 'Score']],
       body: scoresData,
       theme: 'striped',
     });
 
     let startY = doc.lastAutoTable.finalY + 15;
 
+    // Drill Results
+    if (analysis.drill) {
+      const unitLabels = { seconds: 's', torsoLengths: 'torso lengths', count: '', cm: 'cm' };
+      doc.setFontSize(14);
+      doc.text(`Drill Results: ${analysis.drill.name}`, 14, startY);
+
+      doc.autoTable({
+        startY: startY + 5,
+        head: [['Measurement', 'Value']],
+        body: analysis.drill.measurements.map(m => [
+          m.name,
+          `${m.value} ${unitLabels[m.unit] || ''}`.trim() +
+            (m.realValue !== undefined ? ` (${m.realValue} ${unitLabels[m.realUnit]})` : '')
+        ]),
+        theme: 'striped',
+      });
+
+      startY = doc.lastAutoTable.finalY + 15;
+    }
+
+    // Real-world units from the camera calibration
+    if (analysis.realWorld) {
+      const { realWorld } = analysis;
+      doc.setFontSize(14);
+      doc.text('Real-World Measurements:', 14, startY);
+
+      doc.autoTable({
+        startY: startY + 5,
+        head: [['Measurement', 'Value']],
+        body: [
+          ['Calibration', realWorld.method === 'height' ? 'Athlete height' : 'Marker of known size'],
+          ['Sprint Speed', `${realWorld.sprintSpeed} m/s`],
+          ['Distance Covered', `${realWorld.distance} m`],
+          ['Jump Height', `${realWorld.jumpHeight} cm`],
+          ['Shuttle Distance', realWorld.shuttleDistance !== null ? `${realWorld.shuttleDistance} m` : '-']
+        ],
+        theme: 'striped',
+      });
+
+      startY = doc.lastAutoTable.finalY + 15;
+    }
+
+    // Repetitions and events
+    if (analysis.segmentation) {
+      const { repetitions, eventCounts } = analysis.segmentation;
+      doc.setFontSize(14);
+      doc.text('Repetitions and Events:', 14, startY);
+
+      const rows = repetitions
+        ? [
+          ['Repetitions', `${repetitions.count} (${SIGNAL_NAMES[repetitions.signal]})`],
+          ['Cadence', `${repetitions.cadence} reps/min`],
+          ['Consistency', `${repetitions.consistency}%`],
+          ['Cadence decline', repetitions.decline
+            ? `After rep ${repetitions.decline.afterRep} (${repetitions.decline.baselineCadence} to ${repetitions.decline.finalCadence} reps/min)`
+            : 'None']
+        ]
+        : [['Repetitions', 'None found']];
+
+      doc.autoTable({
+        startY: startY + 5,
+        head: [['Measurement', 'Value']],
+        body: [...rows, ...Object.entries(EVENT_NAMES).map(([type, name]) => [name, eventCounts[type] ?? 0])],
+        theme: 'striped',
+      });
+
+      startY = doc.lastAutoTable.finalY + 15;
+    }
+
     // Recommended Sports
     doc.setFontSize(14);
     doc.text('Recommended Sports:', 14, startY);
@@ -166,7 +300,11 @@ function ResultsDashboard() {
     const sportsData = analysis.recommendedSports.map(sport => [
       sport.name,
       `${sport.suitabilityScore}/100`,
-      sport.meetsRequirements ? 'Yes' : 'No'
+      sport.meetsRequirements
+        ? 'Yes'
+        : `No (${(sport.failedRequirements || [])
+          .map(failed => `${METRIC_NAMES[failed.metric] || failed.metric} ${failed.score}/${failed.required}`)
+          .join(', ')})`
     ]);
 
     doc.autoTable({
@@ -183,6 +321,11 @@ function ResultsDashboard() {
       doc.setFontSize(14);
       doc.text('Improvement Suggestions:', 14, startY);
       startY += 5;
+      if (analysis.suggestions.some(s => s.scale === 'raw')) {
+        doc.setFontSize(9);
+        doc.text('Weak areas judged on raw scores; peer percentiles were not available.', 14, startY);
+        startY += 5;
+      }
 
       const suggestionsText = analysis.suggestions.map(s => {
         const suggestionText = typeof s.suggestion === 'object' 
@@ -233,44 +376,364 @@ function ResultsDashboard() {
           </motion.div>
         </div>
 
+        {/* Analysis Quality */}
+        {analysis.quality && (
+          <div className="mb-12">
+            <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-900">{t('quality.title')}</h2>
+                  <p className="text-sm text-gray-600">{t(`quality.levels.${analysis.quality.level}`)}</p>
+                </div>
+                <span
+                  className={`text-3xl font-bold score-value ${
+                    analysis.quality.level === 'high'
+                      ? 'text-green-600'
+                      : analysis.quality.level === 'medium'
+                        ? 'text-yellow-600'
+                        : 'text-red-600'
+                  }`}
+                >
+                  {analysis.quality.confidence}%
+                </span>
+              </div>
+
+              {isPublishBlocked(analysis) && (
+                <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl text-sm">
+                  {t('quality.publishBlocked')}
+                </div>
+              )}
+
+              {analysis.quality.warnings.length > 0 && (
+                <div className="mb-6 space-y-2">
+                  {analysis.quality.warnings.map((warning) => (
+                    <div
+                      key={warning}
+                      className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-xl text-sm"
+                    >
+                      {t(`quality.warnings.${warning}`)}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-6 text-center mb-6">
+                {[
+                  ['detectionRate', `${analysis.quality.detectionRate}%`],
+                  ['fullBodyRate', `${analysis.quality.fullBodyRate}%`],
+                  ['frameRate', analysis.quality.frameRate !== null ? `${analysis.quality.frameRate} fps` : '-'],
+                  ['motionBlurRate', `${analysis.quality.motionBlurRate}%`]
+                ].map(([key, value]) => (
+                  <div key={key}>
+                    <p className="text-sm font-medium text-gray-600 mb-1">{t(`quality.${key}`)}</p>
+                    <p className="text-xl font-bold text-gray-900 score-value">{value}</p>
+                  </div>
+                ))}
+              </div>
+
+              {analysis.sampling && (
+                <p className="text-sm text-gray-600 mb-6 text-center">
+                  {t('quality.sampling', {
+                    mode: t(`quality.samplingModes.${analysis.sampling.mode}`),
+                    rate: analysis.sampling.mode === 'adaptive'
+                      ? `${analysis.sampling.minFps}-${analysis.sampling.maxFps}`
+                      : analysis.sampling.fps,
+                    effective: analysis.sampling.effectiveFps,
+                    frames: analysis.sampling.framesSampled
+                  })}
+                </p>
+              )}
+
+              <p className="text-sm font-bold text-gray-900 mb-3">{t('quality.jointVisibility')}</p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-x-6 gap-y-2">
+                {Object.entries(analysis.quality.jointVisibility).map(([joint, visibility]) => (
+                  <div key={joint} className="text-xs">
+                    <div className="flex justify-between text-gray-600 mb-1">
+                      <span>{t(`quality.joints.${joint}`)}</span>
+                      <span>{visibility}%</span>
+                    </div>
+                    <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full ${visibility >= 70 ? 'bg-green-500' : visibility >= 40 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                        style={{ width: `${visibility}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Combined Assessment */}
+        {analysis.aggregate && (
+          <div className="mb-12">
+            <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
+              {t('results.aggregate.title')}
+            </h2>
+            <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <p className="text-gray-700">
+                  {t('results.aggregate.summary', {
+                    count: analysis.aggregate.sessionCount,
+                    method: t(`history.combine.methods.${analysis.aggregate.method}`)
+                  })}
+                </p>
+                {analysis.aggregate.reliability.score !== null && (
+                  <span
+                    className={`text-xl font-bold score-value ${
+                      analysis.aggregate.reliability.level === 'high'
+                        ? 'text-green-600'
+                        : analysis.aggregate.reliability.level === 'medium'
+                          ? 'text-yellow-600'
+                          : 'text-red-600'
+                    }`}
+                  >
+                    {t('results.aggregate.reliability', {
+                      score: analysis.aggregate.reliability.score,
+                      level: t(`results.aggregate.levels.${analysis.aggregate.reliability.level}`)
+                    })}
+                  </span>
+                )}
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="py-2 pr-4">{t('sportProfiles.metric')}</th>
+                      <th className="py-2 pr-4">{t('results.aggregate.combined')}</th>
+                      <th className="py-2 pr-4">{t('results.aggregate.meanSd')}</th>
+                      <th className="py-2 pr-4">{t('results.aggregate.range')}</th>
+                      <th className="py-2">{t('results.aggregate.consistency')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(analysis.aggregate.metrics).map(([metric, stats]) => (
+                      <tr key={metric} className="border-t border-gray-100">
+                        <td className="py-2 pr-4 font-medium text-gray-900">{t(`results.scores.${metric}`)}</td>
+                        <td className="py-2 pr-4 font-bold score-value">{analysis.rawScores?.[metric] ?? analysis.scores[metric]}</td>
+                        <td className="py-2 pr-4 score-value">{stats.mean} ± {stats.sd}</td>
+                        <td className="py-2 pr-4 score-value">{stats.min}-{stats.max}</td>
+                        <td className="py-2 score-value">{stats.consistency}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-4">{t('results.aggregate.note')}</p>
+            </div>
+          </div>
+        )}
+
         {/* Individual Scores */}
         <div className="mb-12">
           <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
             {t('results.scores.title')}
           </h2>
+          {analysis.norms && (
+            <p className="text-sm text-gray-600 -mt-6 mb-8 text-center">
+              {t('results.scores.peerGroup', {
+                sex: t(`athlete.sexes.${analysis.norms.sex}`),
+                ageBand: analysis.norms.ageBand,
+                level: t(`athlete.levels.${analysis.norms.level}`)
+              })}
+            </p>
+          )}
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-            <ScoreCard
-              title={t('results.scores.agility')}
-              score={analysis.scores.agility}
-              color="primary"
-              index={0}
-            />
-            <ScoreCard
-              title={t('results.scores.balance')}
-              score={analysis.scores.balance}
-              color="green"
-              index={1}
-            />
-            <ScoreCard
-              title={t('results.scores.coordination')}
-              score={analysis.scores.coordination}
-              color="blue"
-              index={2}
-            />
-            <ScoreCard
-              title={t('results.scores.reactionTime')}
-              score={analysis.scores.reactionTime}
-              color="purple"
-              index={3}
-            />
+            {PROFILE_METRICS.filter(metric => typeof analysis.scores[metric] === 'number').map((metric, index) => (
+              <ScoreCard
+                key={metric}
+                title={t(`results.scores.${metric}`)}
+                score={analysis.scores[metric]}
+                unit={analysis.norms ? t('results.scores.percentileUnit') : undefined}
+                caption={analysis.norms ? t('results.scores.rawScore', { score: analysis.rawScores[metric] }) : null}
+                color={METRIC_COLORS[metric]}
+                index={index}
+              />
+            ))}
           </div>
         </div>
 
+        {/* Drill Results */}
+        {analysis.drill && (
+          <div className="mb-12">
+            <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
+              {t('results.drill.title')}: {getLanguage() === 'hi' ? analysis.drill.nameHi : analysis.drill.name}
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+              {analysis.drill.measurements.map((measurement) => (
+                <div
+                  key={measurement.id}
+                  className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100 text-center"
+                >
+                  <p className="text-sm font-medium text-gray-600 mb-2">
+                    {getLanguage() === 'hi' ? measurement.nameHi : measurement.name}
+                  </p>
+                  <p className="text-3xl font-bold text-gray-900 score-value">
+                    {measurement.value}
+                    <span className="ml-1 text-base font-medium text-gray-500">
+                      {t(`drills.units.${measurement.unit}`)}
+                    </span>
+                  </p>
+                  {measurement.realValue !== undefined && (
+                    <p className="text-sm font-medium text-gray-600 mt-1">
+                      {measurement.realValue} {t(`drills.units.${measurement.realUnit}`)}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Real-World Measurements */}
+        {analysis.realWorld && (
+          <div className="mb-12">
+            <h2 className="text-3xl font-bold text-gray-900 mb-4 text-center">
+              {t('results.realWorld.title')}
+            </h2>
+            <p className="text-gray-600 text-center mb-8">
+              {t(`results.realWorld.method.${analysis.realWorld.method}`)}
+            </p>
+            <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+                {[
+                  ['sprintSpeed', `${analysis.realWorld.sprintSpeed} m/s`],
+                  ['distance', `${analysis.realWorld.distance} m`],
+                  ['jumpHeight', `${analysis.realWorld.jumpHeight} cm`],
+                  ['shuttleDistance', analysis.realWorld.shuttleDistance !== null ? `${analysis.realWorld.shuttleDistance} m` : '-']
+                ].map(([key, value]) => (
+                  <div key={key} className="text-center">
+                    <p className="text-sm font-medium text-gray-600 mb-1">{t(`results.realWorld.${key}`)}</p>
+                    <p className="text-2xl font-bold text-gray-900 score-value">{value}</p>
+                  </div>
+                ))}
+              </div>
+              <p className="text-sm text-gray-500 mt-6">{t('results.realWorld.note')}</p>
+            </div>
+          </div>
+        )}
+
+        {/* Reaction Test */}
+        {analysis.reactionTest && (
+          <div className="mb-12">
+            <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
+              {t('reactionTest.title')}
+            </h2>
+            <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+              <div className="grid grid-cols-3 gap-6 mb-6 text-center">
+                <div>
+                  <p className="text-sm font-medium text-gray-600 mb-1">{t('reactionTest.mean')}</p>
+                  <p className="text-2xl font-bold text-gray-900 score-value">
+                    {analysis.reactionTest.meanReactionTime !== null ? `${analysis.reactionTest.meanReactionTime} ms` : '-'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600 mb-1">{t('reactionTest.best')}</p>
+                  <p className="text-2xl font-bold text-gray-900 score-value">
+                    {analysis.reactionTest.bestReactionTime !== null ? `${analysis.reactionTest.bestReactionTime} ms` : '-'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600 mb-1">{t('reactionTest.falseStarts')}</p>
+                  <p className="text-2xl font-bold text-gray-900 score-value">{analysis.reactionTest.falseStarts}</p>
+                </div>
+              </div>
+              <div className="space-y-2">
+                {analysis.reactionTest.trials.map((trial, index) => (
+                  <div
+                    key={trial.cueTime}
+                    className="flex justify-between items-center bg-gray-50 rounded-xl px-4 py-2 text-sm"
+                  >
+                    <span className="font-medium text-gray-700">
+                      {t('reactionTest.trial', { current: index + 1, total: analysis.reactionTest.trials.length })}
+                    </span>
+                    <span className={trial.status === 'valid' ? 'font-bold text-gray-900' : 'font-bold text-yellow-700'}>
+                      {trial.status === 'valid'
+                        ? `${trial.reactionTime} ms`
+                        : t(`reactionTest.status.${trial.status}`)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Movement Details */}
+        {analysis.kinematics?.summary && (
+          <div className="mb-12">
+            <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
+              {t('results.kinematics.title')}
+            </h2>
+            <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+                {[
+                  ['peakKneeFlexion', `${analysis.kinematics.summary.peakKneeFlexion}°`],
+                  ['peakHipFlexion', `${analysis.kinematics.summary.peakHipFlexion}°`],
+                  ['peakKneeAngularVelocity', `${analysis.kinematics.summary.peakKneeAngularVelocity}°/s`],
+                  ['maxTrunkLean', `${analysis.kinematics.summary.maxTrunkLean}°`],
+                  ['peakKneeValgus', `${Math.round(analysis.kinematics.summary.peakKneeValgus * 100)}%`],
+                  ['stepCount', analysis.kinematics.summary.stepCount],
+                  ['cadence', analysis.kinematics.summary.cadence]
+                ].map(([key, value]) => (
+                  <div key={key} className="text-center">
+                    <p className="text-sm font-medium text-gray-600 mb-1">
+                      {t(`results.kinematics.${key}`)}
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900 score-value">{value}</p>
+                  </div>
+                ))}
+              </div>
+              {analysis.kinematics.summary.feedback.length > 0 && (
+                <div className="mt-6 space-y-2">
+                  {analysis.kinematics.summary.feedback.map((code) => (
+                    <div
+                      key={code}
+                      className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-xl text-sm"
+                    >
+                      {t(`results.kinematics.feedback.${code}`)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Repetitions and Events */}
+        {analysis.segmentation && <RepSummary segmentation={analysis.segmentation} />}
+
+        {/* Annotated Replay */}
+        {location.state?.resultId && (
+          <div className="mb-12">
+            <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
+              {t('results.replay.title')}
+            </h2>
+            <ReplayPlayer resultId={location.state.resultId} />
+          </div>
+        )}
+
+        {/* Keypoint Export */}
+        {location.state?.resultId && <LandmarkExport resultId={location.state.resultId} />}
+
         {/* Recommended Sports */}
         <div className="mb-12">
           <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
             {t('results.recommendedSports.title')}
           </h2>
+          {analysis.profileVersion && (
+            <p className="text-sm text-gray-500 -mt-6 mb-8 text-center">
+              {analysis.recommender?.active === 'model'
+                ? t('results.recommender.rankedByModel', { version: analysis.recommender.modelVersion })
+                : t('results.recommendedSports.profileVersion', { version: analysis.profileVersion })}
+            </p>
+          )}
+          {analysis.recommender?.fallback && (
+            <div className="mb-8 bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-xl text-sm text-center">
+              {t('results.recommender.fallback')}
+            </div>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {analysis.recommendedSports.map((sport, index) => {
               // Get sport icon
@@ -288,6 +751,14 @@ function ResultsDashboard() {
                   case 'throwing':
                   case 'throwing events':
                     return <FaDumbbell className={iconClass} />;
+                  case 'hockey':
+                    return <FaHockeyPuck className={iconClass} />;
+                  case 'swimming':
+                    return <FaSwimmer className={iconClass} />;
+                  case 'wrestling':
+                    return <FaFistRaised className={iconClass} />;
+                  case 'cricket-fast-bowling':
+                    return <FaBaseballBall className={iconClass} />;
                   default:
                     return <FaRunning className={iconClass} />;
                 }
@@ -331,18 +802,84 @@ function ResultsDashboard() {
                     ></div>
                   </div>
                 </div>
-                <div className="text-sm text-gray-600 space-y-2">
-                  <div className="font-medium">Agility: <span className="font-bold score-value">{sport.scoreBreakdown.agility}</span></div>
-                  <div className="font-medium">Balance: <span className="font-bold score-value">{sport.scoreBreakdown.balance}</span></div>
-                  <div className="font-medium">Coordination: <span className="font-bold score-value">{sport.scoreBreakdown.coordination}</span></div>
-                  <div className="font-medium">Reaction Time: <span className="font-bold score-value">{sport.scoreBreakdown.reactionTime}</span></div>
-                </div>
+                {sport.modelScore !== undefined && sport.modelScore !== null && (
+                  <p className="text-sm text-gray-600 mb-4">
+                    {t('results.recommender.modelScore', { score: sport.modelScore })}
+                  </p>
+                )}
+                <SportExplanation sport={sport} isRecommended />
                 </motion.div>
               );
             })}
           </div>
+
+          {/* Sports that a small improvement would turn into recommendations */}
+          {withinReach.length > 0 && (
+            <div className="mt-10">
+              <h3 className="text-2xl font-bold text-gray-900 mb-2 text-center">
+                {t('results.explain.withinReach')}
+              </h3>
+              <p className="text-sm text-gray-600 mb-6 text-center">{t('results.explain.withinReachDesc')}</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {withinReach.map(sport => (
+                  <div key={sport.id} className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+                    <div className="flex items-center justify-between mb-6">
+                      <h4 className="text-lg font-bold text-gray-900">{sport.name}</h4>
+                      <span className="text-lg font-bold text-gray-600 score-value">{sport.suitabilityScore}/100</span>
+                    </div>
+                    <SportExplanation sport={sport} isRecommended={false} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
+        {/* Rule engine vs trained model */}
+        {analysis.recommender?.comparison && (
+          <div className="mb-12">
+            <h2 className="text-3xl font-bold text-gray-900 mb-2 text-center">
+              {t('results.recommender.title')}
+            </h2>
+            <p className="text-sm text-gray-600 mb-8 text-center">
+              {t('results.recommender.agreement', {
+                count: analysis.recommender.comparison.topAgreement,
+                version: analysis.recommender.modelVersion
+              })}
+            </p>
+            <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="py-2 pr-4">{t('results.recommender.sport')}</th>
+                    <th className="py-2 pr-4">{t('results.recommender.rules')}</th>
+                    <th className="py-2 pr-4">{t('results.recommender.model')}</th>
+                    <th className="py-2">{t('results.recommender.difference')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analysis.recommender.comparison.sports.map(sport => (
+                    <tr key={sport.id} className="border-t border-gray-100">
+                      <td className="py-2 pr-4 font-medium text-gray-900">
+                        {language === 'hi' && sport.nameHi ? sport.nameHi : sport.name}
+                      </td>
+                      <td className="py-2 pr-4 score-value">{sport.ruleScore}</td>
+                      <td className="py-2 pr-4 score-value">{sport.modelScore ?? '-'}</td>
+                      <td
+                        className={`py-2 font-bold score-value ${
+                          sport.difference > 0 ? 'text-green-600' : sport.difference < 0 ? 'text-red-600' : 'text-gray-600'
+                        }`}
+                      >
+                        {sport.difference === null ? '-' : `${sport.difference > 0 ? '+' : ''}${sport.difference}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Opportunities Mapping */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -463,6 +1000,9 @@ function ResultsDashboard() {
             <h2 className="text-3xl font-bold text-gray-900 mb-8 text-center">
               {t('results.suggestions.title')}
             </h2>
+            {analysis.suggestions.some(suggestion => suggestion.scale === 'raw') && (
+              <p className="text-sm text-gray-600 mb-6 text-center">{t('results.suggestions.rawScale')}</p>
+            )}
             <div className="space-y-6">
               {analysis.suggestions.map((suggestion, index) => {
                 const suggestionText = typeof suggestion.suggestion === 'object'
@@ -480,6 +1020,7 @@ function ResultsDashboard() {
                       </h3>
                       <div className="text-sm font-medium text-gray-600 bg-gray-50 px-3 py-1.5 rounded-lg">
                         {t('results.suggestions.currentScore')}: {suggestion.currentScore} → {t('results.suggestions.targetScore')}: {suggestion.targetScore}
+                        {suggestion.scale === 'percentile' && ` ${t('results.scores.percentileUnit')}`}
                       </div>
                     </div>
                     <p className="text-gray-700 leading-relaxed">{suggestionText}</p>
@@ -490,6 +1031,9 @@ function ResultsDashboard() {
           </div>
         )}
 
+        {/* Training Plan */}
+        <TrainingPlan analysis={analysis} />
+
         {/* Action Buttons */}
         <div className="flex flex-col sm:flex-row justify-center gap-4">
           <button
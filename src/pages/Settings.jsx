@@ -4,12 +4,20 @@
  */
 
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useTranslation } from '../i18n';
+import { useAuth } from '../contexts/AuthContext';
+import { getPreference, setPreference } from '../utils/preferences';
+import poseModels from '../core/PoseModels.json';
 
 function Settings() {
-  const { t } = useTranslation();
+  const { t, language } = useTranslation();
+  const { isAdmin } = useAuth();
   const [showInstallPrompt, setShowInstallPrompt] = useState(false);
   const [deferredPrompt, setDeferredPrompt] = useState(null);
+  const [poseModel, setPoseModel] = useState(getPreference('poseModel'));
+  const [blockLowConfidence, setBlockLowConfidence] = useState(getPreference('blockLowConfidence'));
+  const [recommender, setRecommender] = useState(getPreference('recommender'));
 
   useEffect(() => {
     // Listen for beforeinstallprompt event
@@ -53,6 +61,34 @@ function Settings() {
     }, 3000);
   };
 
+  const handlePoseModelChange = (modelId) => {
+    setPreference('poseModel', modelId);
+    setPoseModel(modelId);
+  };
+
+  const handleBlockLowConfidenceChange = (enabled) => {
+    setPreference('blockLowConfidence', enabled);
+    setBlockLowConfidence(enabled);
+  };
+
+  const handleRecommenderChange = (mode) => {
+    setPreference('recommender', mode);
+    setRecommender(mode);
+  };
+
+  const modelOptions = [
+    {
+      id: 'auto',
+      name: t('settings.autoModel'),
+      description: t('settings.autoModelDesc')
+    },
+    ...poseModels.models.map(model => ({
+      id: model.id,
+      name: language === 'hi' ? model.nameHi : model.name,
+      description: language === 'hi' ? model.descriptionHi : model.description
+    }))
+  ];
+
   const clearStorage = async (type) => {
     if (window.confirm(`Are you sure you want to clear all ${type}?`)) {
       if (type === 'videos') {
@@ -110,6 +146,102 @@ function Settings() {
             </div>
           )}
 
+          {/* Analysis Model */}
+          <div className="mb-10 pb-10 border-b border-gray-200">
+            <h2 className="text-3xl font-bold text-gray-900 mb-2">
+              {t('settings.poseModel')}
+            </h2>
+            <p className="text-gray-600 mb-6">{t('settings.poseModelDesc')}</p>
+            <div className="space-y-3">
+              {modelOptions.map((option) => (
+                <label
+                  key={option.id}
+                  className={`flex items-start gap-4 rounded-2xl p-4 border cursor-pointer transition-all ${
+                    poseModel === option.id
+                      ? 'border-primary-600 bg-primary-50'
+                      : 'border-gray-200 bg-gray-50 hover:border-primary-300'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="poseModel"
+                    value={option.id}
+                    checked={poseModel === option.id}
+                    onChange={() => handlePoseModelChange(option.id)}
+                    className="mt-1"
+                  />
+                  <div>
+                    <p className="font-bold text-gray-900">{option.name}</p>
+                    <p className="text-sm text-gray-600">{option.description}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+            <label className="mt-6 flex items-start gap-4 rounded-2xl p-4 border border-gray-200 bg-gray-50 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={blockLowConfidence}
+                onChange={(e) => handleBlockLowConfidenceChange(e.target.checked)}
+                className="mt-1"
+              />
+              <div>
+                <p className="font-bold text-gray-900">{t('settings.blockLowConfidence')}</p>
+                <p className="text-sm text-gray-600">{t('settings.blockLowConfidenceDesc')}</p>
+              </div>
+            </label>
+          </div>
+
+          {/* Recommender */}
+          <div className="mb-10 pb-10 border-b border-gray-200">
+            <h2 className="text-3xl font-bold text-gray-900 mb-2">
+              {t('settings.recommender')}
+            </h2>
+            <p className="text-gray-600 mb-6">{t('settings.recommenderDesc')}</p>
+            <div className="space-y-3">
+              {['rules', 'compare', 'model'].map((mode) => (
+                <label
+                  key={mode}
+                  className={`flex items-start gap-4 rounded-2xl p-4 border cursor-pointer transition-all ${
+                    recommender === mode
+                      ? 'border-primary-600 bg-primary-50'
+                      : 'border-gray-200 bg-gray-50 hover:border-primary-300'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="recommender"
+                    value={mode}
+                    checked={recommender === mode}
+                    onChange={() => handleRecommenderChange(mode)}
+                    className="mt-1"
+                  />
+                  <div>
+                    <p className="font-bold text-gray-900">{t(`settings.recommenders.${mode}`)}</p>
+                    <p className="text-sm text-gray-600">{t(`settings.recommenders.${mode}Desc`)}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Sport Profiles (admin only) */}
+          {isAdmin && (
+            <div className="mb-10 pb-10 border-b border-gray-200">
+              <h2 className="text-3xl font-bold text-gray-900 mb-6">
+                {t('sportProfiles.title')}
+              </h2>
+              <div className="bg-gray-50 rounded-2xl p-6 border border-gray-200 flex items-center justify-between hover:shadow-md transition-shadow">
+                <p className="flex-1 text-sm text-gray-600">{t('sportProfiles.settingsDesc')}</p>
+                <Link
+                  to="/settings/sport-profiles"
+                  className="px-6 py-3 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-all font-bold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 text-sm ml-4 flex-shrink-0"
+                >
+                  {t('sportProfiles.open')}
+                </Link>
+              </div>
+            </div>
+          )}
+
           {/* Storage Settings */}
           <div className="mb-10 pb-10 border-b border-gray-200">
             <h2 className="text-3xl font-bold text-gray-900 mb-6">
@@ -0,0 +1,309 @@
+/**
+ * SportProfileEditor.jsx
+ * Admin page for adding sports and tuning the weights and minimum scores
+ * used to calculate sports suitability
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from '../i18n';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import SportProfiles, { PROFILE_METRICS } from '../core/SportProfiles';
+import { getSharedSportProfiles, publishSportProfiles, clearSharedSportProfiles } from '../utils/firebase';
+
+const sportProfiles = new SportProfiles();
+
+/**
+ * Deep copy of the active sports, safe to edit in place
+ * @returns {Array} Sport profiles
+ */
+function copyActiveSports() {
+  return JSON.parse(JSON.stringify(sportProfiles.getActive().sports));
+}
+
+/**
+ * Blank profile for a new sport, with equal weights
+ * @returns {Object} Sport profile
+ */
+function createSport() {
+  const weight = Number((1 / PROFILE_METRICS.length).toFixed(3));
+  return {
+    id: '',
+    name: '',
+    nameHi: '',
+    weight: Object.fromEntries(PROFILE_METRICS.map(metric => [metric, weight])),
+    minScores: Object.fromEntries(PROFILE_METRICS.map(metric => [metric, 50]))
+  };
+}
+
+function SportProfileEditor() {
+  const { t } = useTranslation();
+  const { isAdmin } = useAuth();
+  const { showToast } = useToast();
+  const [active, setActive] = useState(sportProfiles.getActive());
+  const [sports, setSports] = useState(copyActiveSports);
+  const fileInputRef = useRef(null);
+
+  // Start from the latest shared profiles rather than this device's cached copy
+  useEffect(() => {
+    if (!isAdmin) return undefined;
+    let cancelled = false;
+
+    getSharedSportProfiles()
+      .then((shared) => {
+        if (cancelled) return;
+        sportProfiles.setShared(shared);
+        setActive(sportProfiles.getActive());
+        setSports(copyActiveSports());
+      })
+      .catch(error => console.warn('Could not load shared sport profiles:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAdmin]);
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100 text-center">
+            <h1 className="text-3xl font-bold text-gray-900 mb-4">{t('sportProfiles.title')}</h1>
+            <p className="text-gray-600">{t('sportProfiles.adminOnly')}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const errors = sportProfiles.validate({ version: active.version, sports });
+  const metricLabel = metric => t(`results.scores.${metric}`);
+
+  const updateSport = (index, changes) => {
+    setSports(current => current.map((sport, i) => (i === index ? { ...sport, ...changes } : sport)));
+  };
+
+  const updateMetric = (index, field, metric, value) => {
+    const sport = sports[index];
+    updateSport(index, { [field]: { ...sport[field], [metric]: value === '' ? null : Number(value) } });
+  };
+
+  const handleSave = async () => {
+    try {
+      // The version is numbered from the shared set, which another admin may have changed
+      const saved = await publishSportProfiles(current => sportProfiles.createRevision(sports, current));
+      sportProfiles.setShared(saved);
+      setActive(sportProfiles.getActive());
+      showToast(t('sportProfiles.saved', { version: saved.version }), 'success');
+    } catch (error) {
+      console.error('Error saving sport profiles:', error);
+      showToast(t(error.validationErrors ? 'sportProfiles.invalid' : 'sportProfiles.saveFailed'), 'error');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm(t('sportProfiles.resetConfirm'))) return;
+
+    try {
+      await clearSharedSportProfiles();
+      sportProfiles.setShared(null);
+      setActive(sportProfiles.getActive());
+      setSports(copyActiveSports());
+      showToast(t('sportProfiles.resetDone'), 'success');
+    } catch (error) {
+      console.error('Error restoring built-in sport profiles:', error);
+      showToast(t('sportProfiles.saveFailed'), 'error');
+    }
+  };
+
+  const handleExport = () => {
+    const dataset = { ...active, sports };
+    const blob = new Blob([JSON.stringify(dataset, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sport-profiles-${active.version}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const dataset = JSON.parse(await file.text());
+      if (!Array.isArray(dataset.sports)) {
+        throw new Error('No sports array in file');
+      }
+      // Imported profiles are only stored once the admin saves them
+      setSports(sportProfiles.upgrade(dataset).sports);
+      showToast(t('sportProfiles.imported', { count: dataset.sports.length }), 'success');
+    } catch (error) {
+      console.error('Error importing sport profiles:', error);
+      showToast(t('sportProfiles.importFailed'), 'error');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100 mb-8">
+          <Link to="/settings" className="text-sm font-bold text-primary-600 hover:text-primary-700">
+            ← {t('nav.settings')}
+          </Link>
+          <h1 className="text-4xl font-bold text-gray-900 mt-4 mb-2">{t('sportProfiles.title')}</h1>
+          <p className="text-gray-600 mb-4">{t('sportProfiles.subtitle')}</p>
+          <p className="text-sm text-gray-700">
+            <span className="font-bold text-gray-900">{t('sportProfiles.activeVersion')}:</span>{' '}
+            {active.version}{' '}
+            {sportProfiles.isCustom() ? t('sportProfiles.custom') : t('sportProfiles.bundled')}
+          </p>
+
+          <div className="flex flex-wrap gap-3 mt-6">
+            <button
+              onClick={handleSave}
+              disabled={errors.length > 0}
+              className="px-6 py-3 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-all font-bold shadow-lg disabled:opacity-50"
+            >
+              {t('sportProfiles.save')}
+            </button>
+            <button
+              onClick={() => setSports(current => [...current, createSport()])}
+              className="px-6 py-3 bg-gray-100 text-gray-900 rounded-xl hover:bg-gray-200 transition-colors font-bold"
+            >
+              {t('sportProfiles.addSport')}
+            </button>
+            <button
+              onClick={handleExport}
+              className="px-6 py-3 bg-gray-100 text-gray-900 rounded-xl hover:bg-gray-200 transition-colors font-bold"
+            >
+              {t('sportProfiles.export')}
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="px-6 py-3 bg-gray-100 text-gray-900 rounded-xl hover:bg-gray-200 transition-colors font-bold"
+            >
+              {t('sportProfiles.import')}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              className="hidden"
+            />
+            {sportProfiles.isCustom() && (
+              <button
+                onClick={handleReset}
+                className="px-6 py-3 bg-gray-600 text-white rounded-xl hover:bg-gray-700 transition-all font-bold"
+              >
+                {t('sportProfiles.reset')}
+              </button>
+            )}
+          </div>
+
+          {errors.length > 0 && (
+            <div className="mt-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl text-sm space-y-1">
+              {errors.map((error, i) => (
+                <p key={i}>
+                  {t(`sportProfiles.errors.${error.code}`, {
+                    sport: error.sport,
+                    metric: error.metric ? metricLabel(error.metric) : '',
+                    sum: error.sum
+                  })}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          {sports.map((sport, index) => {
+            const weightSum = PROFILE_METRICS.reduce((sum, metric) => sum + (sport.weight?.[metric] || 0), 0);
+            const weightSumValid = Math.abs(weightSum - 1) <= 0.001;
+
+            return (
+              <div key={index} className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                  {[
+                    ['id', 'sportId'],
+                    ['name', 'name'],
+                    ['nameHi', 'nameHi']
+                  ].map(([field, label]) => (
+                    <label key={field} className="block">
+                      <span className="block text-sm font-bold text-gray-900 mb-1">{t(`sportProfiles.${label}`)}</span>
+                      <input
+                        type="text"
+                        value={sport[field] ?? ''}
+                        onChange={(e) => updateSport(index, { [field]: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                    </label>
+                  ))}
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600">
+                        <th className="py-2 pr-4">{t('sportProfiles.metric')}</th>
+                        <th className="py-2 pr-4">{t('sportProfiles.weight')}</th>
+                        <th className="py-2">{t('sportProfiles.minScore')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {PROFILE_METRICS.map(metric => (
+                        <tr key={metric} className="border-t border-gray-100">
+                          <td className="py-2 pr-4 font-medium text-gray-900">{metricLabel(metric)}</td>
+                          <td className="py-2 pr-4">
+                            <input
+                              type="number"
+                              min="0"
+                              max="1"
+                              step="0.05"
+                              value={sport.weight?.[metric] ?? ''}
+                              onChange={(e) => updateMetric(index, 'weight', metric, e.target.value)}
+                              className="w-28 px-3 py-1 border border-gray-300 rounded-lg"
+                            />
+                          </td>
+                          <td className="py-2">
+                            <input
+                              type="number"
+                              min="0"
+                              max="100"
+                              step="1"
+                              value={sport.minScores?.[metric] ?? ''}
+                              onChange={(e) => updateMetric(index, 'minScores', metric, e.target.value)}
+                              className="w-28 px-3 py-1 border border-gray-300 rounded-lg"
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="flex items-center justify-between mt-4">
+                  <span className={`text-sm font-bold ${weightSumValid ? 'text-green-600' : 'text-red-600'}`}>
+                    {t('sportProfiles.weightSum', { sum: Math.round(weightSum * 1000) / 1000 })}
+                  </span>
+                  <button
+                    onClick={() => setSports(current => current.filter((_, i) => i !== index))}
+                    className="text-sm font-bold text-red-600 hover:text-red-700"
+                  >
+                    {t('sportProfiles.remove')}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SportProfileEditor;
@@ -3,20 +3,32 @@
  * Page for recording or uploading video
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useTranslation } from '../i18n';
 import { useAuth } from '../contexts/AuthContext';
 import VideoRecorder from '../components/VideoRecorder';
 import VideoUploader from '../components/VideoUploader';
-import { storeVideo } from '../utils/indexedDB';
+import VideoEditor from '../components/VideoEditor';
+import { storeVideo, updateVideo, deleteVideo } from '../utils/indexedDB';
+import { getPreference, setPreference } from '../utils/preferences';
+import drillCatalog from '../core/DrillCatalog.json';
+import NormScorer, { ATHLETE_SEXES } from '../core/NormScorer';
+import LandmarkFormats from '../core/LandmarkFormats';
+
+const normScorer = new NormScorer();
 
 function VideoInput() {
-  const { t } = useTranslation();
+  const { t, language } = useTranslation();
   const navigate = useNavigate();
   const { isAuthenticated, loading } = useAuth();
   const [mode, setMode] = useState('upload'); // 'upload' or 'record'
+  const [drillId, setDrillId] = useState('freeform');
+  const [multiPerson, setMultiPerson] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [editingVideo, setEditingVideo] = useState(null);
+  const [athleteDetails, setAthleteDetails] = useState(getPreference('athlete'));
+  const keypointInputRef = useRef(null);
 
   // Authentication check - redirect to login if not authenticated
   useEffect(() => {
@@ -43,15 +55,26 @@ function VideoInput() {
     return null;
   }
 
-  const handleVideoReady = async (videoBlob, fileName = 'recorded-video.webm') => {
+  const updateAthleteDetails = (changes) => {
+    const next = { ...athleteDetails, ...changes };
+    setPreference('athlete', next);
+    setAthleteDetails(next);
+  };
+
+  // Percentile scoring needs an age covered by the norm tables and a sex
+  const athlete = normScorer.getCohort(athleteDetails)
+    ? { age: Number(athleteDetails.age), sex: athleteDetails.sex, level: athleteDetails.level }
+    : null;
+
+  const handleVideoReady = async (videoBlob, fileName = 'recorded-video.webm', reactionCues = null) => {
     setIsProcessing(true);
     
     try {
       // Store video in IndexedDB
-      const videoId = await storeVideo(videoBlob, fileName);
+      const videoId = await storeVideo(videoBlob, fileName, { drillId, multiPerson, reactionCues, athlete });
       
-      // Navigate to analysis loader with video ID
-      navigate('/analysis', { state: { videoId, videoBlob } });
+      // Let the user trim and crop before analysis
+      setEditingVideo({ videoId, videoBlob, reactionCues });
     } catch (error) {
       console.error('Error storing video:', error);
       alert(t('videoInput.error'));
@@ -60,6 +83,77 @@ function VideoInput() {
     }
   };
 
+  const handleEditConfirm = async ({ trim, crop, calibration }) => {
+    const { videoId, videoBlob, reactionCues } = editingVideo;
+
+    try {
+      await updateVideo(videoId, { trim, crop, calibration });
+
+      // Navigate to analysis loader with video ID
+      navigate('/analysis', { state: { videoId, videoBlob, drillId, multiPerson, reactionCues, athlete } });
+    } catch (error) {
+      console.error('Error saving edit settings:', error);
+      alert(t('videoInput.error'));
+    }
+  };
+
+  // Keypoint files exported from Sportify or other pose tools are scored directly
+  const handleKeypointImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const recording = new LandmarkFormats().parse(await file.text());
+      if (recording.state.landmarkHistory.length === 0) {
+        throw new Error('No frames in keypoint file');
+      }
+
+      // The drill and athlete chosen on this page fill in what the file lacks
+      navigate('/analysis', {
+        state: {
+          recording: {
+            ...recording,
+            drillId: recording.drillId || drillId,
+            athlete: recording.athlete || athlete
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error importing keypoints:', error);
+      alert(t('videoInput.importKeypoints.failed'));
+    }
+  };
+
+  const handleEditCancel = async () => {
+    const { videoId } = editingVideo;
+    setEditingVideo(null);
+
+    try {
+      await deleteVideo(videoId);
+    } catch (error) {
+      console.error('Error removing discarded video:', error);
+    }
+  };
+
+  if (editingVideo) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100">
+            <VideoEditor
+              videoBlob={editingVideo.videoBlob}
+              onConfirm={handleEditConfirm}
+              onCancel={handleEditCancel}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const selectedDrill = drillCatalog.drills.find(drill => drill.id === drillId);
+
   return (
     <div className="min-h-screen bg-gray-50 py-12">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -72,6 +166,101 @@ function VideoInput() {
           </p>
         </div>
 
+        {/* Athlete Details */}
+        <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100 mb-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-1">{t('athlete.title')}</h2>
+          <p className="text-gray-600 mb-6">{t('athlete.subtitle')}</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="block">
+              <span className="block text-sm font-bold text-gray-900 mb-1">{t('athlete.age')}</span>
+              <input
+                type="number"
+                min="1"
+                max="120"
+                value={athleteDetails.age}
+                onChange={(e) => updateAthleteDetails({ age: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </label>
+            <label className="block">
+              <span className="block text-sm font-bold text-gray-900 mb-1">{t('athlete.sex')}</span>
+              <select
+                value={athleteDetails.sex}
+                onChange={(e) => updateAthleteDetails({ sex: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">{t('athlete.notSpecified')}</option>
+                {ATHLETE_SEXES.map(sex => (
+                  <option key={sex} value={sex}>{t(`athlete.sexes.${sex}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-sm font-bold text-gray-900 mb-1">{t('athlete.level')}</span>
+              <select
+                value={athleteDetails.level}
+                onChange={(e) => updateAthleteDetails({ level: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {normScorer.getLevels().map(level => (
+                  <option key={level.id} value={level.id}>
+                    {language === 'hi' ? level.nameHi : level.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className={`text-sm mt-4 ${athlete ? 'text-green-700' : 'text-gray-500'}`}>
+            {athlete ? t('athlete.percentilesOn') : t('athlete.percentilesOff')}
+          </p>
+        </div>
+
+        {/* Drill Selection */}
+        <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100 mb-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-1">{t('drills.title')}</h2>
+          <p className="text-gray-600 mb-6">{t('drills.subtitle')}</p>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {drillCatalog.drills.map((drill) => (
+              <button
+                key={drill.id}
+                onClick={() => setDrillId(drill.id)}
+                className={`text-left p-4 rounded-xl border transition-all ${
+                  drillId === drill.id
+                    ? 'border-primary-600 bg-primary-50 shadow-md'
+                    : 'border-gray-200 hover:border-primary-300'
+                }`}
+              >
+                <p className="font-bold text-gray-900">
+                  {language === 'hi' ? drill.nameHi : drill.name}
+                </p>
+                <p className="text-xs text-gray-600 mt-1">
+                  {language === 'hi' ? drill.descriptionHi : drill.description}
+                </p>
+              </button>
+            ))}
+          </div>
+          {selectedDrill && (
+            <div className="mt-6 bg-gray-50 rounded-xl p-4 border border-gray-200">
+              <p className="text-sm font-bold text-gray-900 mb-1">{t('drills.instructions')}</p>
+              <p className="text-sm text-gray-700">
+                {language === 'hi' ? selectedDrill.instructionsHi : selectedDrill.instructions}
+              </p>
+            </div>
+          )}
+          <label className="mt-6 flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={multiPerson}
+              onChange={(e) => setMultiPerson(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              <span className="block text-sm font-bold text-gray-900">{t('videoInput.multiPerson')}</span>
+              <span className="block text-sm text-gray-600">{t('videoInput.multiPersonDesc')}</span>
+            </span>
+          </label>
+        </div>
+
         {/* Mode Selection */}
         <div className="flex justify-center mb-8">
           <div className="inline-flex rounded-xl border border-gray-300 p-1 bg-white shadow-md">
@@ -107,6 +296,25 @@ function VideoInput() {
           )}
         </div>
 
+        {/* Keypoint Import */}
+        <div className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100 mt-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-1">{t('videoInput.importKeypoints.title')}</h2>
+          <p className="text-gray-600 mb-6">{t('videoInput.importKeypoints.description')}</p>
+          <button
+            onClick={() => keypointInputRef.current?.click()}
+            className="px-6 py-3 bg-gray-100 text-gray-900 rounded-xl hover:bg-gray-200 transition-colors font-bold"
+          >
+            {t('videoInput.importKeypoints.button')}
+          </button>
+          <input
+            ref={keypointInputRef}
+            type="file"
+            accept="application/json,.json,text/csv,.csv"
+            onChange={handleKeypointImport}
+            className="hidden"
+          />
+        </div>
+
         {isProcessing && (
           <div className="mt-4 text-center">
             <div className="inline-flex items-center gap-2 text-primary-600">
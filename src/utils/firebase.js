@@ -6,7 +6,7 @@
 
 import { initializeApp } from 'firebase/app';
 import { getAuth, onAuthStateChanged as firebaseOnAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, query, where, getDocs, orderBy, limit, serverTimestamp } from 'firebase/firestore';
+import { getFirestore, collection, addDoc, query, where, getDocs, orderBy, limit, serverTimestamp, doc, getDoc, deleteDoc, runTransaction } from 'firebase/firestore';
 
 // Firebase configuration
 // Read environment variables with fallbacks
@@ -199,12 +199,34 @@ export async function saveAssessmentReport(userId, analysis, videoId) {
       videoId,
       overallScore: analysis.overallScore,
       scores: analysis.scores,
+      rawScores: analysis.rawScores || null,
+      norms: analysis.norms || null,
       recommendedSports: analysis.recommendedSports.map(sport => ({
         id: sport.id,
         name: sport.name,
         suitabilityScore: sport.suitabilityScore,
-        meetsRequirements: sport.meetsRequirements
+        meetsRequirements: sport.meetsRequirements,
+        weight: sport.weight || null,
+        scoreBreakdown: sport.scoreBreakdown || null,
+        contributions: sport.contributions || null,
+        failedRequirements: sport.failedRequirements || [],
+        improvement: sport.improvement || null,
+        modelScore: sport.modelScore ?? null
       })),
+      drill: analysis.drill || null,
+      reactionTest: analysis.reactionTest || null,
+      quality: analysis.quality || null,
+      sampling: analysis.sampling || null,
+      profileVersion: analysis.profileVersion || null,
+      recommender: analysis.recommender || null,
+      aggregate: analysis.aggregate || null,
+      // Time series stay in IndexedDB; only the summary is synced
+      kinematics: analysis.kinematics?.summary || null,
+      // Event counts are enough for the report; the event list stays on the device
+      segmentation: analysis.segmentation
+        ? { repetitions: analysis.segmentation.repetitions, eventCounts: analysis.segmentation.eventCounts }
+        : null,
+      realWorld: analysis.realWorld || null,
       timestamp: serverTimestamp(),
       createdAt: new Date().toISOString()
     };
@@ -267,7 +289,6 @@ export async function getAssessmentReport(reportId) {
       throw new Error('Firestore not initialized');
     }
 
-    const { doc, getDoc } = await import('firebase/firestore');
     const docRef = doc(db, 'assessments', reportId);
     const docSnap = await getDoc(docRef);
 
@@ -277,21 +298,28 @@ export async function getAssessmentReport(reportId) {
       // Ensure recommendedSports have scoreBreakdown
       const recommendedSports = (data.recommendedSports || []).map(sport => ({
         ...sport,
-        scoreBreakdown: sport.scoreBreakdown || {
-          agility: data.scores?.agility || 0,
-          balance: data.scores?.balance || 0,
-          coordination: data.scores?.coordination || 0,
-          reactionTime: data.scores?.reactionTime || 0
-        }
+        scoreBreakdown: sport.scoreBreakdown || { ...data.scores }
       }));
       
       return {
         id: docSnap.id,
         overallScore: data.overallScore,
         scores: data.scores,
+        rawScores: data.rawScores || null,
+        norms: data.norms || null,
         recommendedSports: recommendedSports,
         sportsSuitability: recommendedSports, // Use recommendedSports as sportsSuitability
         suggestions: data.suggestions || [],
+        drill: data.drill || null,
+        reactionTest: data.reactionTest || null,
+        quality: data.quality || null,
+        sampling: data.sampling || null,
+        profileVersion: data.profileVersion || null,
+        recommender: data.recommender || null,
+        aggregate: data.aggregate || null,
+        kinematics: data.kinematics ? { summary: data.kinematics } : null,
+        segmentation: data.segmentation || null,
+        realWorld: data.realWorld || null,
         timestamp: data.timestamp?.toDate ? data.timestamp.toDate().toISOString() : data.createdAt || new Date().toISOString(),
         createdAt: data.createdAt || new Date().toISOString()
       };
@@ -304,4 +332,93 @@ export async function getAssessmentReport(reportId) {
   }
 }
 
+/**
+ * Sport Profile Functions
+ * The active profile set lives in config/sportProfiles and every published
+ * version is kept in sportProfiles/{version}; firestore.rules only lets
+ * users listed in the admins collection write them
+ */
+
+/**
+ * Check whether a user may manage shared data such as sport profiles
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if admins/{userId} exists
+ */
+export async function isAdminUser(userId) {
+  try {
+    if (!db) {
+      throw new Error('Firestore not initialized');
+    }
+
+    const docSnap = await getDoc(doc(db, 'admins', userId));
+    return docSnap.exists();
+  } catch (error) {
+    console.error('Error checking admin access:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the sport profiles shared with every user
+ * @returns {Promise<Object|null>} Dataset, or null when the built-in profiles are in use
+ */
+export async function getSharedSportProfiles() {
+  if (!db) {
+    throw new Error('Firestore not initialized');
+  }
+
+  const docSnap = await getDoc(doc(db, 'config', 'sportProfiles'));
+  return docSnap.exists() ? docSnap.data() : null;
+}
+
+/**
+ * Publish a new version of the shared sport profiles
+ * Runs in a transaction, so two admins saving at once cannot get the same version
+ * @param {Function} createRevision - Current shared dataset (or null) => new dataset
+ * @returns {Promise<Object>} Published dataset
+ */
+export async function publishSportProfiles(createRevision) {
+  try {
+    if (!db) {
+      throw new Error('Firestore not initialized');
+    }
+
+    const activeRef = doc(db, 'config', 'sportProfiles');
+    return await runTransaction(db, async (transaction) => {
+      const activeSnap = await transaction.get(activeRef);
+      const dataset = createRevision(activeSnap.exists() ? activeSnap.data() : null);
+
+      const versionRef = doc(db, 'sportProfiles', dataset.version);
+      if ((await transaction.get(versionRef)).exists()) {
+        throw new Error(`Sport profile version ${dataset.version} already exists`);
+      }
+
+      transaction.set(versionRef, dataset);
+      transaction.set(activeRef, dataset);
+      return dataset;
+    });
+  } catch (error) {
+    console.error('Error publishing sport profiles:', error);
+    throw error;
+  }
+}
+
+/**
+ * Go back to the built-in sport profiles for every user
+ * Published versions are kept for reports that refer to them
+ * @returns {Promise<void>}
+ */
+export async function clearSharedSportProfiles() {
+  try {
+    if (!db) {
+      throw new Error('Firestore not initialized');
+    }
+
+    await deleteDoc(doc(db, 'config', 'sportProfiles'));
+  } catch (error) {
+    console.error('Error restoring built-in sport profiles:', error);
+    throw error;
+  }
+}
+
 export { auth, db, app };
@@ -56,9 +56,10 @@ export function initDB() {
  * Store video in IndexedDB
  * @param {Blob} videoBlob - Video blob
  * @param {string} fileName - Original file name
+ * @param {Object} metadata - Extra fields stored with the video (e.g. drillId)
  * @returns {Promise<number>} Video ID
  */
-export async function storeVideo(videoBlob, fileName) {
+export async function storeVideo(videoBlob, fileName, metadata = {}) {
   const db = await initDB();
   
   return new Promise((resolve, reject) => {
@@ -66,6 +67,7 @@ export async function storeVideo(videoBlob, fileName) {
     const store = transaction.objectStore(VIDEO_STORE);
     
     const videoData = {
+      ...metadata,
       blob: videoBlob,
       fileName,
       timestamp: Date.now(),
@@ -112,6 +114,31 @@ export async function getVideo(videoId) {
   });
 }
 
+/**
+ * Update fields stored with a video (e.g. trim and crop settings)
+ * @param {number} videoId - Video ID
+ * @param {Object} updates - Fields to merge into the stored record
+ * @returns {Promise<void>}
+ */
+export async function updateVideo(videoId, updates) {
+  const videoData = await getVideo(videoId);
+  const db = await initDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VIDEO_STORE], 'readwrite');
+    const store = transaction.objectStore(VIDEO_STORE);
+    const request = store.put({ ...videoData, ...updates });
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = () => {
+      reject(new Error('Failed to update video'));
+    };
+  });
+}
+
 /**
  * Delete video from IndexedDB
  * @param {number} videoId - Video ID
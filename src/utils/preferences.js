@@ -0,0 +1,39 @@
+/**
+ * preferences.js
+ * Utility functions for user preferences persisted in localStorage
+ */
+
+const PREFERENCE_PREFIX = 'sportify.';
+
+export const DEFAULT_PREFERENCES = {
+  poseModel: 'auto',
+  blockLowConfidence: true, // keep low-confidence results out of the cloud report history
+  sportProfiles: null, // cached copy of the shared admin-edited sport profiles (see SportProfiles.js); null uses the bundled set
+  athlete: { age: '', sex: '', level: 'recreational' }, // last athlete details entered, for peer percentiles
+  calibration: { method: '', heightCm: '', markerId: 'a4Long', lengthCm: 29.7 }, // last camera calibration settings (see CameraCalibration.js)
+  recommender: 'rules' // 'rules', 'compare' (rules plus model side by side) or 'model'
+};
+
+/**
+ * Get a stored preference
+ * @param {string} key - Preference key (see DEFAULT_PREFERENCES)
+ * @returns {*} Stored value or the default
+ */
+export function getPreference(key) {
+  try {
+    const stored = localStorage.getItem(PREFERENCE_PREFIX + key);
+    return stored !== null ? JSON.parse(stored) : DEFAULT_PREFERENCES[key];
+  } catch (error) {
+    console.warn(`Failed to read preference ${key}:`, error);
+    return DEFAULT_PREFERENCES[key];
+  }
+}
+
+/**
+ * Store a preference
+ * @param {string} key - Preference key
+ * @param {*} value - JSON-serializable value
+ */
+export function setPreference(key, value) {
+  localStorage.setItem(PREFERENCE_PREFIX + key, JSON.stringify(value));
+}
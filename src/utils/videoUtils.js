@@ -114,6 +114,180 @@ export function createVideoElement(videoBlob) {
   });
 }
 
+/**
+ * Small grayscale copy of the current video frame for motion detection
+ * @param {HTMLVideoElement} video - Video element positioned on the frame
+ * @param {Object} [cropRect] - Pixel rectangle from getCropRect() to sample
+ * @param {number} width - Thumbnail width in pixels (default: 64)
+ * @returns {Uint8ClampedArray} Luma values, one per pixel
+ */
+export function getFrameThumbnail(video, cropRect = null, width = 64) {
+  const source = cropRect || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+  const height = Math.max(1, Math.round(width * source.height / source.width));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, source.x, source.y, source.width, source.height, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const luma = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luma;
+}
+
+/**
+ * Mean absolute difference between two thumbnails
+ * @param {Uint8ClampedArray} a - Thumbnail from getFrameThumbnail()
+ * @param {Uint8ClampedArray} b - Thumbnail of the same size
+ * @returns {number} Difference (0-255)
+ */
+export function getFrameDifference(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / a.length;
+}
+
+/**
+ * Resolve the real duration of a video element
+ * Recorded WebM files often report Infinity until the end has been seeked once
+ * @param {HTMLVideoElement} video - Video element with metadata loaded
+ * @returns {Promise<number>} Duration in seconds
+ */
+export async function resolveDuration(video) {
+  if (Number.isFinite(video.duration)) {
+    return video.duration;
+  }
+
+  await new Promise((resolve) => {
+    const onDurationChange = () => {
+      if (!Number.isFinite(video.duration)) return;
+      video.removeEventListener('durationchange', onDurationChange);
+      resolve();
+    };
+    video.addEventListener('durationchange', onDurationChange);
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+  });
+
+  video.currentTime = 0;
+  return video.duration;
+}
+
+/**
+ * Convert a normalized crop rectangle to video pixels
+ * @param {HTMLVideoElement} video - Video element with metadata loaded
+ * @param {Object} crop - { x, y, width, height } as fractions of the frame (0-1)
+ * @returns {Object} { x, y, width, height } in pixels
+ */
+export function getCropRect(video, crop) {
+  const x = Math.round(Math.max(0, crop.x) * video.videoWidth);
+  const y = Math.round(Math.max(0, crop.y) * video.videoHeight);
+
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(video.videoWidth - x, Math.round(crop.width * video.videoWidth))),
+    height: Math.max(1, Math.min(video.videoHeight - y, Math.round(crop.height * video.videoHeight)))
+  };
+}
+
+/**
+ * Draw the current video frame, optionally cropped, onto a canvas
+ * @param {HTMLVideoElement} video - Video element positioned on the frame
+ * @param {Object} cropRect - Pixel rectangle from getCropRect()
+ * @param {HTMLCanvasElement} canvas - Canvas to draw into (resized to the crop)
+ * @returns {HTMLCanvasElement} The canvas
+ */
+export function drawFrame(video, cropRect, canvas) {
+  canvas.width = cropRect.width;
+  canvas.height = cropRect.height;
+  canvas.getContext('2d').drawImage(
+    video,
+    cropRect.x, cropRect.y, cropRect.width, cropRect.height,
+    0, 0, cropRect.width, cropRect.height
+  );
+  return canvas;
+}
+
+/**
+ * Capture the current frame of a video element as a transferable object
+ * Uses WebCodecs VideoFrame where available, otherwise an ImageBitmap
+ * @param {HTMLVideoElement} video - Video element positioned on the frame
+ * @param {Object} [cropRect] - Pixel rectangle from getCropRect() to capture
+ * @returns {Promise<VideoFrame|ImageBitmap>} Captured frame
+ */
+export async function captureFrame(video, cropRect = null) {
+  if (cropRect) {
+    return createImageBitmap(video, cropRect.x, cropRect.y, cropRect.width, cropRect.height);
+  }
+
+  if (typeof VideoFrame !== 'undefined') {
+    try {
+      return new VideoFrame(video, { timestamp: Math.round(video.currentTime * 1e6) });
+    } catch (error) {
+      console.warn('VideoFrame capture failed, using ImageBitmap:', error);
+    }
+  }
+
+  return createImageBitmap(video);
+}
+
+/**
+ * Measure brightness and sharpness of the current video frame
+ * Works on a small grayscale copy; sharpness is the variance of the Laplacian,
+ * which drops sharply for motion-blurred or out-of-focus frames
+ * @param {HTMLVideoElement} video - Video element positioned on the frame
+ * @param {Object} [cropRect] - Pixel rectangle from getCropRect() to measure
+ * @param {number} sampleWidth - Width of the analysed copy in pixels (default: 160)
+ * @returns {Object} { brightness (0-255), sharpness }
+ */
+export function measureFrameQuality(video, cropRect = null, sampleWidth = 160) {
+  const source = cropRect || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+  const width = Math.min(sampleWidth, source.width);
+  const height = Math.max(1, Math.round(width * source.height / source.width));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, source.x, source.y, source.width, source.height, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  let brightnessSum = 0;
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    brightnessSum += gray[i];
+  }
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  const mean = count > 0 ? sum / count : 0;
+
+  return {
+    brightness: gray.length > 0 ? brightnessSum / gray.length : 0,
+    sharpness: count > 0 ? sumSquares / count - mean * mean : 0
+  };
+}
+
 /**
  * Get video duration
  * @param {Blob} videoBlob - Video blob
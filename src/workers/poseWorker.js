@@ -0,0 +1,106 @@
+/**
+ * poseWorker.js
+ * Dedicated worker that runs pose detection off the main thread
+ * Receives VideoFrame/ImageBitmap frames already decoded and captured by the
+ * page, downscales them on an OffscreenCanvas and streams progress back
+ */
+
+import PoseProcessor from '../core/PoseProcessor';
+
+// Frames are downscaled to this width before detection (matches compressVideo)
+const MAX_FRAME_WIDTH = 640;
+
+let poseProcessor = null;
+let framesProcessed = 0;
+let canvas = null;
+let context = null;
+
+/**
+ * Draw a frame onto the shared OffscreenCanvas and return a detector-ready bitmap
+ * @param {VideoFrame|ImageBitmap} frame - Frame transferred from the page
+ * @returns {ImageBitmap} Downscaled frame
+ */
+function downscaleFrame(frame) {
+  const sourceWidth = frame.displayWidth || frame.width;
+  const sourceHeight = frame.displayHeight || frame.height;
+  const scale = Math.min(1, MAX_FRAME_WIDTH / sourceWidth);
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    canvas = new OffscreenCanvas(width, height);
+    context = canvas.getContext('2d');
+  }
+
+  context.drawImage(frame, 0, 0, width, height);
+  frame.close();
+
+  return canvas.transferToImageBitmap();
+}
+
+const handlers = {
+  async init({ modelId, multiPerson }) {
+    poseProcessor = new PoseProcessor();
+    await poseProcessor.initialize({ modelId, multiPerson });
+    framesProcessed = 0;
+    return true;
+  },
+
+  async frame({ frame, mediaTime }) {
+    if (!poseProcessor) {
+      throw new Error('Pose worker not initialized');
+    }
+
+    const bitmap = downscaleFrame(frame);
+    try {
+      const result = await poseProcessor.processFrame(bitmap, mediaTime);
+      return result !== null;
+    } finally {
+      bitmap.close();
+      framesProcessed++;
+      self.postMessage({ type: 'progress', framesProcessed });
+    }
+  },
+
+  async detect({ frame, mediaTime }) {
+    if (!poseProcessor) {
+      throw new Error('Pose worker not initialized');
+    }
+
+    const bitmap = downscaleFrame(frame);
+    try {
+      return await poseProcessor.detectPoses(bitmap, mediaTime);
+    } finally {
+      bitmap.close();
+    }
+  },
+
+  async track({ keypoints }) {
+    poseProcessor?.setTrackedPose(keypoints);
+    return true;
+  },
+
+  async finish() {
+    return poseProcessor ? poseProcessor.getState() : null;
+  },
+
+  async dispose() {
+    poseProcessor?.dispose();
+    poseProcessor = null;
+    return true;
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown pose worker message: ${type}`);
+    }
+    const result = await handlers[type](payload || {});
+    self.postMessage({ id, type: 'done', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
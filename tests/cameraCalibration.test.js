@@ -0,0 +1,52 @@
+/**
+ * cameraCalibration.test.js
+ * Marker calibration from the editor, picked on videos that are not 640
+ * pixels wide, must measure the shuttle run the same as the fixture's marker
+ * given in landmark pixels
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createHarness, readFixture } from './harness.js';
+import CameraCalibration from '../src/core/CameraCalibration.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'shuttle-run.json');
+
+const harness = await createHarness();
+after(() => harness.close());
+
+const fixture = await readFixture(FIXTURE);
+const { lengthCm, pixelLength } = fixture.calibration;
+const landmarkWidth = fixture.state.frameWidth;
+const expected = harness.analyze(fixture).realWorld;
+
+/**
+ * Editor calibration: a horizontal marker as fractions of the full frame
+ * @param {number} width - Marker length as a fraction of the frame width
+ * @returns {Object} Calibration as saved by the video editor
+ */
+function marker(width) {
+  return { method: 'marker', lengthCm, points: [{ x: 0.1, y: 0.8 }, { x: 0.1 + width, y: 0.8 }] };
+}
+
+test('A 1920x1440 video downscaled by the pose worker', () => {
+  // The marker covers the same share of the frame as in the 640 pixel landmarks
+  const calibration = new CameraCalibration().resolve(
+    marker(pixelLength / landmarkWidth), 1920, 1440, { landmarkWidth }
+  );
+
+  assert.equal(Math.round(calibration.pixelLength * 1000) / 1000, pixelLength);
+  assert.deepStrictEqual(harness.analyze({ ...fixture, calibration }).realWorld, expected);
+});
+
+test('A 2560x1440 video cropped to its middle half', () => {
+  // Landmarks span the 1280 pixel crop, so the marker is half as wide a share of the frame
+  const calibration = new CameraCalibration().resolve(
+    marker(pixelLength / landmarkWidth / 2), 2560, 1440, { sourceWidth: 1280, landmarkWidth }
+  );
+
+  assert.equal(Math.round(calibration.pixelLength * 1000) / 1000, pixelLength);
+  assert.deepStrictEqual(harness.analyze({ ...fixture, calibration }).realWorld, expected);
+});
@@ -0,0 +1,268 @@
+/**
+ * generate.js
+ * Writes the synthetic landmark fixtures used by the golden regression suite
+ * Each fixture is a PoseProcessor.getState() snapshot plus the analysis
+ * options, so clips recorded in the app can be dropped in alongside them.
+ * Keypoint jitter comes from a seeded generator, so the output is identical
+ * on every run.
+ *
+ * Usage: node tests/fixtures/generate.js
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const OUTPUT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const FPS = 10; // default drill sampling rate (see DrillCatalog.json)
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 480;
+const HEIGHT = 300; // athlete height in pixels
+const GROUND = 440; // ankle height in pixels
+const JITTER = 1.5; // pixels
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning values in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Keypoints of a front-facing athlete
+ * @param {Object} pose
+ * @param {number} pose.x - Horizontal body centre in pixels
+ * @param {number} pose.lift - Whole-body rise in pixels (jumps)
+ * @param {number} pose.squat - Squat depth (0-1)
+ * @param {number} pose.leftArm - Left arm raise angle in radians (0 = down, PI = overhead)
+ * @param {number} pose.rightArm - Right arm raise angle in radians
+ * @param {number} pose.spread - Leg spread (0-1)
+ * @param {number} pose.leftFoot - Left ankle lift in pixels
+ * @param {number} pose.rightFoot - Right ankle lift in pixels
+ * @returns {Object} Keypoint positions by name
+ */
+function frontPose({ x = 320, lift = 0, squat = 0, leftArm = 0.15, rightArm = 0.15, spread = 0, leftFoot = 0, rightFoot = 0 }) {
+  const ground = GROUND - lift;
+  const drop = squat * 0.2 * HEIGHT;
+  const shoulderY = ground - 0.78 * HEIGHT + drop;
+  const hipY = ground - 0.49 * HEIGHT + drop;
+  const armLength = 0.19 * HEIGHT;
+  const points = { nose: [x, ground - 0.88 * HEIGHT + drop] };
+
+  for (const [side, sign, armAngle, footLift] of [['left', -1, leftArm, leftFoot], ['right', 1, rightArm, rightFoot]]) {
+    const shoulderX = x + sign * 0.13 * HEIGHT;
+    const ankleX = x + sign * (0.09 + 0.12 * spread) * HEIGHT;
+    const hipX = x + sign * 0.09 * HEIGHT;
+
+    points[`${side}_shoulder`] = [shoulderX, shoulderY];
+    points[`${side}_elbow`] = [shoulderX + sign * armLength * Math.sin(armAngle), shoulderY + armLength * Math.cos(armAngle)];
+    points[`${side}_wrist`] = [shoulderX + sign * 2 * armLength * Math.sin(armAngle), shoulderY + 2 * armLength * Math.cos(armAngle)];
+    points[`${side}_hip`] = [hipX, hipY];
+    // Knees travel outwards as the athlete squats, as seen from the front
+    points[`${side}_knee`] = [(hipX + ankleX) / 2 + sign * squat * 0.12 * HEIGHT, ground - 0.245 * HEIGHT + drop * 0.3 - footLift / 2];
+    points[`${side}_ankle`] = [ankleX, ground - footLift];
+  }
+
+  return points;
+}
+
+/**
+ * Keypoints of an athlete running across the frame, seen side-on
+ * @param {Object} pose
+ * @param {number} pose.x - Horizontal body centre in pixels
+ * @param {number} pose.phase - Stride phase in radians
+ * @param {number} pose.direction - 1 when running right, -1 when running left
+ * @returns {Object} Keypoint positions by name
+ */
+function sidePose({ x, phase, direction }) {
+  const swing = Math.sin(phase);
+  const points = { nose: [x + direction * 0.04 * HEIGHT, GROUND - 0.88 * HEIGHT] };
+
+  for (const [side, sign] of [['left', 1], ['right', -1]]) {
+    const legSwing = sign * swing;
+    const footLift = Math.max(0, legSwing) * 0.08 * HEIGHT;
+    points[`${side}_shoulder`] = [x + sign * 0.02 * HEIGHT, GROUND - 0.78 * HEIGHT];
+    points[`${side}_elbow`] = [x - direction * legSwing * 0.08 * HEIGHT, GROUND - 0.62 * HEIGHT];
+    points[`${side}_wrist`] = [x - direction * legSwing * 0.14 * HEIGHT, GROUND - 0.5 * HEIGHT];
+    points[`${side}_hip`] = [x + sign * 0.02 * HEIGHT, GROUND - 0.49 * HEIGHT];
+    points[`${side}_knee`] = [x + direction * legSwing * 0.1 * HEIGHT, GROUND - 0.245 * HEIGHT - footLift / 2];
+    points[`${side}_ankle`] = [x + direction * legSwing * 0.16 * HEIGHT, GROUND - footLift];
+  }
+
+  return points;
+}
+
+/**
+ * Sample a pose function into a PoseProcessor landmark history
+ * @param {number} seconds - Clip length
+ * @param {Function} poseAt - Time (s) => keypoint positions
+ * @param {number} seed - Jitter seed
+ * @returns {Array} Landmark history frames
+ */
+function record(seconds, poseAt, seed) {
+  const random = createRandom(seed);
+  const frames = [];
+
+  for (let i = 0; i < seconds * FPS; i++) {
+    const time = i / FPS;
+    const points = poseAt(time);
+    frames.push({
+      timestamp: Math.round(time * 1000),
+      keypoints: Object.entries(points).map(([name, [x, y]]) => ({
+        name,
+        x: Math.round((x + (random() - 0.5) * 2 * JITTER) * 10) / 10,
+        y: Math.round((y + (random() - 0.5) * 2 * JITTER) * 10) / 10,
+        score: Math.round((0.8 + random() * 0.18) * 100) / 100
+      }))
+    });
+  }
+
+  return frames;
+}
+
+/**
+ * Fixture in the format read by tests/harness.js
+ * Calibrations are given as resolved by CameraCalibration.resolve()
+ */
+function fixture(name, description, landmarkHistory, options = {}) {
+  return {
+    name,
+    description,
+    drillId: options.drillId ?? 'freeform',
+    athlete: options.athlete ?? null,
+    reactionCues: options.reactionCues ?? null,
+    calibration: options.calibration ?? null,
+    frameStats: { framesSampled: landmarkHistory.length, imageStats: [] },
+    state: {
+      modelId: 'movenet-lightning',
+      frameWidth: FRAME_WIDTH,
+      frameHeight: FRAME_HEIGHT,
+      firstMovementTime: null,
+      landmarkHistory
+    }
+  };
+}
+
+const smoothStep = (value) => {
+  const t = Math.min(1, Math.max(0, value));
+  return t * t * (3 - 2 * t);
+};
+
+const fixtures = [];
+
+// Quiet stance with slow sway; athlete details turn on peer percentiles
+fixtures.push(fixture(
+  'standing-balance',
+  'Single-leg stance: right foot raised from 1 s to 8 s with slow hip sway',
+  record(10, t => frontPose({
+    x: 320 + 4 * Math.sin(t * 1.3),
+    rightFoot: t > 1 && t < 8 ? 40 : 0
+  }), 1),
+  { drillId: 'single-leg-stance', athlete: { age: 14, sex: 'male', level: 'school' } }
+));
+
+// Jumping jacks at 1.5 reps/s for 12 s, then slowing to 0.9 reps/s
+let jackPhase = 0;
+fixtures.push(fixture(
+  'jumping-jacks',
+  'Jumping jacks: steady cadence for 12 s, then a fading finish',
+  record(20, t => {
+    const rate = t < 12 ? 1.5 : 1.5 - 0.6 * (t - 12) / 8;
+    jackPhase += (2 * Math.PI * rate) / FPS;
+    const open = (1 - Math.cos(jackPhase)) / 2;
+    return frontPose({
+      lift: 12 * Math.abs(Math.sin(jackPhase)),
+      leftArm: 0.15 + 2.65 * open,
+      rightArm: 0.15 + 2.65 * open,
+      spread: open
+    });
+  }, 2)
+));
+
+// Five bodyweight squats, 2 s each
+fixtures.push(fixture(
+  'squats',
+  'Five squats to roughly parallel, one every 2 s',
+  record(11, t => frontPose({
+    squat: t > 0.5 && t < 10.5 ? (1 - Math.cos(Math.PI * (t - 0.5))) / 2 : 0,
+    leftArm: 1.4,
+    rightArm: 1.4
+  }), 3)
+));
+
+// Three countermovement jumps, calibrated from a 175 cm athlete
+fixtures.push(fixture(
+  'vertical-jump',
+  'Three countermovement jumps about 35 cm high, camera calibrated from athlete height',
+  record(9, t => {
+    const cycle = (t - 1) % 2.5;
+    if (t < 1 || cycle > 1.2) return frontPose({});
+    if (cycle < 0.4) return frontPose({ squat: 0.5 * Math.sin(Math.PI * cycle / 0.8) });
+    if (cycle < 0.9) {
+      return frontPose({ lift: 60 * Math.sin(Math.PI * (cycle - 0.4) / 0.5), leftArm: 2.6, rightArm: 2.6 });
+    }
+    return frontPose({ squat: 0.3 * Math.sin(Math.PI * (cycle - 0.9) / 0.3) });
+  }, 4),
+  { drillId: 'vertical-jump', calibration: { method: 'height', heightCm: 175 } }
+));
+
+// Shuttle run: three legs across the frame with a turn after each
+fixtures.push(fixture(
+  'shuttle-run',
+  'Shuttle run: three 400 px legs at about 250 px/s with a short turn between legs',
+  record(9, t => {
+    const legTime = 2;
+    const turnTime = 0.6;
+    const period = legTime + turnTime;
+    const leg = Math.min(2, Math.floor(Math.max(0, t - 0.5) / period));
+    const local = Math.max(0, t - 0.5) - leg * period;
+    const direction = leg % 2 === 0 ? 1 : -1;
+    const start = leg % 2 === 0 ? 120 : 520;
+    const x = start + direction * 400 * smoothStep(local / legTime);
+    return sidePose({ x, phase: t * 2 * Math.PI * 2.2, direction: local < legTime ? direction : -direction });
+  }, 5),
+  // Cones 5 m apart at the two turning points, marked 400 px apart in the editor
+  { drillId: 'four-cone-shuttle', calibration: { method: 'marker', lengthCm: 500, pixelLength: 400 } }
+));
+
+// Reaction test: arms go up 300-450 ms after each cue
+const cues = [2000, 5000, 8000];
+const delays = [300, 380, 450];
+fixtures.push(fixture(
+  'reaction-test',
+  'Reaction test with three cues; the arms go up 300, 380 and 450 ms after each cue',
+  record(11, t => {
+    const raise = cues.reduce((sum, cue, i) => {
+      const start = (cue + delays[i]) / 1000;
+      return sum + smoothStep((t - start) / 0.3) - smoothStep((t - start - 0.8) / 0.4);
+    }, 0);
+    return frontPose({ leftArm: 0.15 + 1.6 * raise, rightArm: 0.15 + 1.6 * raise });
+  }, 6),
+  { reactionCues: cues }
+));
+
+/**
+ * One frame per line keeps the fixtures readable in diffs
+ * @param {Object} data - Fixture
+ * @returns {string} JSON text
+ */
+function formatFixture(data) {
+  const { landmarkHistory, ...state } = data.state;
+  const header = JSON.stringify({ ...data, state: { ...state, landmarkHistory: [] } }, null, 2);
+  const frames = landmarkHistory.map(frame => `      ${JSON.stringify(frame)}`).join(',\n');
+  return header.replace('"landmarkHistory": []', `"landmarkHistory": [\n${frames}\n    ]`) + '\n';
+}
+
+for (const data of fixtures) {
+  await writeFile(path.join(OUTPUT_DIR, `${data.name}.json`), formatFixture(data));
+  console.log(`Wrote ${data.name}.json (${data.state.landmarkHistory.length} frames)`);
+}
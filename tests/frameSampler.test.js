@@ -0,0 +1,88 @@
+/**
+ * frameSampler.test.js
+ * Frame sampling driven by a scripted motion sequence, the way the analysis
+ * page drives it from thumbnail differences: dense while moving, sparse while
+ * still, and stepping back to cover a motion onset found in a sparse gap
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FrameSampler from '../src/core/FrameSampler.js';
+
+const ADAPTIVE = { mode: 'adaptive', minFps: 5, maxFps: 20 };
+
+// The athlete moves from 2.1 s to 4 s of a 6 s clip
+const MOVING = { from: 2.1, to: 4 };
+const motionAt = time => (time >= MOVING.from - 1e-6 && time <= MOVING.to + 1e-6 ? 10 : 0);
+
+const round = time => Math.round(time * 1000) / 1000;
+
+/**
+ * Run a sampler over a clip
+ * @param {FrameSampler} sampler - Sampler to drive
+ * @returns {Object} { times: analyzed times, steppedBack: times the sampler refused }
+ */
+function drive(sampler) {
+  const times = [];
+  const steppedBack = [];
+
+  while (sampler.hasNext()) {
+    const time = sampler.time;
+    if (sampler.accept(motionAt(time))) {
+      times.push(round(time));
+    } else {
+      steppedBack.push(round(time));
+    }
+  }
+
+  return { times, steppedBack };
+}
+
+/**
+ * Gaps between consecutive sampled times within a range
+ * @returns {Array<number>} Gaps in seconds
+ */
+function gapsBetween(times, from, to) {
+  const inRange = times.filter(time => time >= from && time <= to);
+  return inRange.slice(1).map((time, i) => round(time - inRange[i]));
+}
+
+test('Fixed sampling keeps a constant rate', () => {
+  const sampler = new FrameSampler({ mode: 'fixed', fps: 10 }, 0, 2);
+  const { times, steppedBack } = drive(sampler);
+
+  assert.equal(times.length, 20);
+  assert.deepStrictEqual(steppedBack, []);
+  assert.deepStrictEqual(new Set(gapsBetween(times, 0, 2)), new Set([0.1]));
+  assert.deepStrictEqual(sampler.getSummary(), { mode: 'fixed', fps: 10, framesSampled: 20, effectiveFps: 10 });
+});
+
+test('Adaptive sampling is sparse while still and dense while moving', () => {
+  const { times } = drive(new FrameSampler(ADAPTIVE, 0, 6));
+
+  assert.deepStrictEqual(new Set(gapsBetween(times, 0, 2)), new Set([0.2]));
+  assert.deepStrictEqual(new Set(gapsBetween(times, MOVING.from, MOVING.to)), new Set([0.05]));
+  // Three still frames at the dense rate, then back to sparse
+  assert.deepStrictEqual(times.filter(time => time > MOVING.to && time < 4.5), [4.05, 4.1, 4.15, 4.35]);
+  assert.deepStrictEqual(new Set(gapsBetween(times, 4.15, 6)), new Set([0.2]));
+});
+
+test('Motion found after a sparse gap steps back to find its onset', () => {
+  const { times, steppedBack } = drive(new FrameSampler(ADAPTIVE, 0, 6));
+
+  // 2.2 s is the first sparse frame that moves; the gap after 2.0 s is resampled densely
+  assert.deepStrictEqual(steppedBack, [2.2]);
+  assert.deepStrictEqual(times.filter(time => time > 2 && time <= 2.2), [2.05, 2.1, 2.15, 2.2]);
+  assert.equal(times.find(time => motionAt(time) > 0), MOVING.from);
+});
+
+test('The summary reports the rate actually achieved', () => {
+  const sampler = new FrameSampler(ADAPTIVE, 0, 6);
+  const { times } = drive(sampler);
+  const summary = sampler.getSummary();
+
+  // 11 sparse frames to 2 s, 40 dense to 4 s, 3 still dense frames, then 9 sparse
+  assert.equal(times.length, 63);
+  assert.deepStrictEqual(summary, { ...ADAPTIVE, framesSampled: 63, effectiveFps: 10.5 });
+  assert.ok(summary.effectiveFps > ADAPTIVE.minFps && summary.effectiveFps < ADAPTIVE.maxFps);
+});
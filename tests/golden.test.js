@@ -0,0 +1,104 @@
+/**
+ * golden.test.js
+ * Golden-output regression suite: every fixture in tests/fixtures is analyzed
+ * by the headless harness and compared with its expected output in
+ * tests/golden. After an intended change to metrics or scoring thresholds,
+ * review the new numbers and regenerate with `npm run test:update`.
+ * The clips scripted with known counts and timings (see fixtures/generate.js)
+ * are also checked against the script, so a golden regenerated with a
+ * regression in it still fails.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createHarness, readFixture } from './harness.js';
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(TESTS_DIR, 'fixtures');
+const GOLDEN_DIR = path.join(TESTS_DIR, 'golden');
+const UPDATE = process.argv.includes('--update');
+
+// Rounding keeps the goldens stable across platforms' floating-point last digits
+const DECIMALS = 4;
+
+/**
+ * Comparable part of an analysis
+ * Drops the run timestamp and the per-frame kinematics series (their
+ * summary is kept), and rounds every number
+ * @param {Object} analysis - Harness output
+ * @returns {Object} Golden snapshot
+ */
+function toGolden(analysis) {
+  const { timestamp, kinematics, ...rest } = analysis;
+  const snapshot = { ...rest, kinematics: kinematics ? { summary: kinematics.summary } : null };
+
+  return JSON.parse(JSON.stringify(snapshot), (key, value) => (
+    typeof value === 'number' ? Math.round(value * 10 ** DECIMALS) / 10 ** DECIMALS : value
+  ));
+}
+
+// Fixtures are sampled at 10 fps, so event times are known to within a frame
+const FRAME_MS = 100;
+
+/**
+ * Checks against what each scripted clip was generated to contain
+ * Keyed by fixture name; each receives the harness output
+ */
+const SCRIPTED = {
+  'jumping-jacks': (analysis) => {
+    // 18 reps at 1.5/s for 12 s, then about 9.6 while slowing to 0.9/s
+    const { count, reps, decline } = analysis.segmentation.repetitions;
+    assert.ok(Math.abs(count - 27) <= 1, `expected about 27 reps, got ${count}`);
+    assert.ok(decline, 'expected a cadence decline');
+    assert.ok(reps[decline.afterRep - 1].start >= 12, 'the decline should start after 12 s');
+    assert.ok(decline.finalCadence < decline.baselineCadence);
+  },
+
+  squats: (analysis) => {
+    assert.equal(analysis.segmentation.repetitions.count, 5);
+    assert.equal(analysis.segmentation.eventCounts.squat, 5);
+  },
+
+  'reaction-test': (analysis) => {
+    // Arms go up 300, 380 and 450 ms after the cues
+    const { trials } = analysis.reactionTest;
+    assert.deepStrictEqual(trials.map(trial => trial.status), ['valid', 'valid', 'valid']);
+    [300, 380, 450].forEach((delay, i) => {
+      assert.ok(
+        trials[i].reactionTime >= delay && trials[i].reactionTime <= delay + FRAME_MS,
+        `trial ${i + 1}: expected ${delay}-${delay + FRAME_MS} ms, got ${trials[i].reactionTime}`
+      );
+    });
+  }
+};
+
+const harness = await createHarness();
+after(() => harness.close());
+
+const fixtureFiles = (await readdir(FIXTURES_DIR)).filter(file => file.endsWith('.json')).sort();
+
+for (const file of fixtureFiles) {
+  const fixture = await readFixture(path.join(FIXTURES_DIR, file));
+  const goldenFile = path.join(GOLDEN_DIR, file);
+
+  test(`${fixture.name}: ${fixture.description}`, async () => {
+    const actual = toGolden(harness.analyze(fixture));
+
+    if (UPDATE) {
+      await mkdir(GOLDEN_DIR, { recursive: true });
+      await writeFile(goldenFile, `${JSON.stringify(actual, null, 2)}\n`);
+      return;
+    }
+
+    const expected = JSON.parse(await readFile(goldenFile, 'utf8'));
+    assert.deepStrictEqual(actual, expected);
+  });
+  if (SCRIPTED[fixture.name]) {
+    test(`${fixture.name}: matches the script it was generated from`, () => {
+      SCRIPTED[fixture.name](harness.analyze(fixture));
+    });
+  }
+}
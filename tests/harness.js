@@ -0,0 +1,112 @@
+/**
+ * harness.js
+ * Headless analysis harness: replays a serialized landmark fixture through
+ * PoseProcessor, QualityAnalyzer and the AnalysisPipeline in plain Node.
+ * Source modules are loaded through Vite's SSR module loader, so no browser,
+ * WebGL or video is needed; the pose detector itself is never initialized.
+ *
+ * Usage: node tests/harness.js <fixture.json>   (prints the analysis as JSON)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createServer } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Empty in-memory localStorage, so preferences (sport profiles, recommender)
+ * fall back to their defaults the same way on every machine
+ */
+function installLocalStorage() {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+/**
+ * Read a fixture file
+ * @param {string} file - Path to a fixture JSON file
+ * @returns {Promise<Object>} Fixture: { name, drillId, athlete, reactionCues,
+ *   calibration, frameStats, state } where state is a PoseProcessor.getState() snapshot
+ */
+export async function readFixture(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+/**
+ * Start the harness
+ * @returns {Promise<Object>} { analyze(fixture), createScoringEngine(), close() }
+ */
+export async function createHarness() {
+  installLocalStorage();
+
+  const server = await createServer({
+    root: ROOT,
+    configFile: false,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+
+  const load = async (file) => (await server.ssrLoadModule(file)).default;
+  const PoseProcessor = await load('/src/core/PoseProcessor.js');
+  const QualityAnalyzer = await load('/src/core/QualityAnalyzer.js');
+  const AnalysisPipeline = await load('/src/core/AnalysisPipeline.js');
+  const ScoringEngine = await load('/src/core/ScoringEngine.js');
+
+  return {
+    /**
+     * Run the app's analysis steps on a fixture
+     * @param {Object} fixture - Fixture from readFixture()
+     * @returns {Object} Analysis as produced by the analysis page (without the recommender)
+     */
+    analyze(fixture) {
+      const poseProcessor = new PoseProcessor();
+      poseProcessor.loadState(fixture.state);
+
+      const quality = new QualityAnalyzer().analyze(
+        poseProcessor,
+        fixture.frameStats || { framesSampled: fixture.state.landmarkHistory.length }
+      );
+
+      return new AnalysisPipeline().run(poseProcessor, {
+        drillId: fixture.drillId ?? null,
+        athlete: fixture.athlete ?? null,
+        reactionCues: fixture.reactionCues ?? null,
+        calibration: fixture.calibration ?? fixture.state.calibration ?? null,
+        quality,
+        sampling: fixture.sampling ?? null
+      });
+    },
+
+    /**
+     * Scoring engine with the bundled sport profiles
+     * @returns {ScoringEngine} Engine
+     */
+    createScoringEngine: () => new ScoringEngine(),
+
+    close: () => server.close()
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node tests/harness.js <fixture.json>');
+    process.exit(1);
+  }
+
+  const harness = await createHarness();
+  try {
+    console.log(JSON.stringify(harness.analyze(await readFixture(file)), null, 2));
+  } finally {
+    await harness.close();
+  }
+}
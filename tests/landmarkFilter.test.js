@@ -0,0 +1,58 @@
+/**
+ * landmarkFilter.test.js
+ * Outlier rejection and dropout filling in the landmark filter
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LandmarkFilter from '../src/core/LandmarkFilter.js';
+
+const BODY_SCALE = 100;
+
+/**
+ * Frames at 10 fps with a single nose keypoint
+ * @param {Array<number>} xs - Nose x per frame
+ * @returns {Array} Landmark history
+ */
+function track(xs) {
+  return xs.map((x, i) => ({ timestamp: i * 100, keypoints: [{ name: 'nose', x, y: 0, score: 0.9 }] }));
+}
+
+// A huge cutoff all but switches smoothing off; positions are compared to 3 decimals
+const round = value => Math.round(value * 1000) / 1000;
+const unsmoothed = new LandmarkFilter({ minCutoff: 1e6 });
+
+test('A single-frame jump is rejected as an outlier', () => {
+  const frames = unsmoothed.filter(track([0, 5, 500, 10, 15]), BODY_SCALE);
+
+  assert.deepStrictEqual(frames.map(frame => Boolean(frame.keypoints[0].outlier)), [false, false, false, false, false]);
+  // The rejected sample is replaced by interpolation between its neighbours
+  assert.equal(round(frames[2].keypoints[0].x), 7.5);
+  assert.equal(frames[2].keypoints[0].interpolated, true);
+});
+
+test('A track that keeps teleporting marks the old anchor as the outlier', () => {
+  const frames = new LandmarkFilter({ minCutoff: 1e6, maxGapMs: 0 })
+    .filter(track([0, 500, 505, 510, 515, 520]), BODY_SCALE);
+
+  assert.deepStrictEqual(
+    frames.map(frame => Boolean(frame.keypoints[0].outlier)),
+    [true, false, false, false, false, false]
+  );
+});
+
+test('Frames with no pose are filled in when the dropout is short', () => {
+  const history = track([0, 10, 20, 30]).filter((frame, i) => i !== 2);
+  const frames = unsmoothed.filter(history, BODY_SCALE, [200]);
+
+  assert.deepStrictEqual(frames.map(frame => frame.timestamp), [0, 100, 200, 300]);
+  assert.equal(round(frames[2].keypoints[0].x), 20);
+  assert.equal(frames[2].interpolated, true);
+});
+
+test('Long dropouts are left out', () => {
+  const history = track([0, 10, 20, 30, 40, 50]).filter((frame, i) => i === 0 || i === 5);
+  const frames = unsmoothed.filter(history, BODY_SCALE, [100, 200, 300, 400]);
+
+  assert.deepStrictEqual(frames.map(frame => frame.timestamp), [0, 500]);
+});
@@ -0,0 +1,102 @@
+/**
+ * landmarkFormats.test.js
+ * Keypoint export round trips: every fixture is exported as JSON, CSV and
+ * COCO keypoints, imported again and analyzed, and must score the same as
+ * the original landmarks
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createHarness, readFixture } from './harness.js';
+import LandmarkFormats from '../src/core/LandmarkFormats.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Exports round coordinates; the fixtures are already on that grid
+const DECIMALS = 4;
+
+/**
+ * Analysis without the run timestamp, with every number rounded
+ * @param {Object} analysis - Harness output
+ * @returns {Object} Comparable analysis
+ */
+function comparable(analysis) {
+  const { timestamp, ...rest } = analysis;
+  return JSON.parse(JSON.stringify(rest), (key, value) => (
+    typeof value === 'number' ? Math.round(value * 10 ** DECIMALS) / 10 ** DECIMALS : value
+  ));
+}
+
+const harness = await createHarness();
+after(() => harness.close());
+
+const formats = new LandmarkFormats();
+const fixtureFiles = (await readdir(FIXTURES_DIR)).filter(file => file.endsWith('.json')).sort();
+
+for (const file of fixtureFiles) {
+  const fixture = await readFixture(path.join(FIXTURES_DIR, file));
+  const expected = comparable(harness.analyze(fixture));
+
+  test(`${fixture.name}: JSON export keeps the whole recording`, () => {
+    const imported = formats.parse(formats.export(fixture, 'json'));
+
+    assert.deepStrictEqual(imported.state, fixture.state);
+    assert.deepStrictEqual(comparable(harness.analyze(imported)), expected);
+  });
+
+  test(`${fixture.name}: CSV export scores the same`, () => {
+    const imported = formats.parse(formats.export(fixture, 'csv'));
+
+    // The options, model and frame size travel in the comment lines above the header
+    assert.equal(imported.drillId, fixture.drillId);
+    assert.deepStrictEqual(imported.calibration, fixture.calibration);
+    assert.deepStrictEqual(imported.reactionCues, fixture.reactionCues);
+    assert.equal(imported.state.modelId, fixture.state.modelId);
+    assert.equal(imported.state.frameWidth, fixture.state.frameWidth);
+    assert.equal(imported.state.landmarkHistory.length, fixture.state.landmarkHistory.length);
+    assert.deepStrictEqual(comparable(harness.analyze(imported)), expected);
+  });
+
+  test(`${fixture.name}: COCO export scores the same`, () => {
+    const coco = formats.toCOCO(fixture);
+    assert.equal(coco.annotations.length, fixture.state.landmarkHistory.length);
+    assert.equal(coco.annotations[0].keypoints.length, 17 * 3);
+
+    const imported = formats.parse(JSON.stringify(coco));
+    assert.equal(imported.drillId, fixture.drillId);
+    assert.deepStrictEqual(imported.calibration, fixture.calibration);
+    assert.deepStrictEqual(
+      comparable(harness.analyze({ ...imported, frameStats: fixture.frameStats })),
+      expected
+    );
+  });
+}
+
+test('CSV without timestamps is spaced at 10 fps', () => {
+  const imported = formats.parse('nose_x,nose_y\n10,20\n11,21\n12,\n');
+
+  assert.deepStrictEqual(imported.state.landmarkHistory.map(frame => frame.timestamp), [0, 100, 200]);
+  assert.deepStrictEqual(imported.state.landmarkHistory[1].keypoints, [{ name: 'nose', x: 11, y: 21, score: 0.9 }]);
+  assert.deepStrictEqual(imported.state.landmarkHistory[2].keypoints, []);
+});
+
+test('CSV rows with an empty timestamp are placed by frame index', () => {
+  const imported = formats.parse('timestamp_ms,nose_x,nose_y\n0,10,20\n,11,21\n200,12,22\n');
+
+  assert.deepStrictEqual(imported.state.landmarkHistory.map(frame => frame.timestamp), [0, 100, 200]);
+});
+
+test('CSV comments from other tools are ignored', () => {
+  const imported = formats.parse('# exported by another tool\n# drillId: not json\nnose_x,nose_y\n10,20\n');
+
+  assert.equal(imported.drillId, null);
+  assert.equal(imported.state.landmarkHistory.length, 1);
+});
+
+test('Unknown files are rejected', () => {
+  assert.throws(() => formats.parse('{"sports": []}'), /Unrecognized keypoint file/);
+  assert.throws(() => formats.parse('a,b\n1,2\n'), /Unrecognized keypoint file/);
+});
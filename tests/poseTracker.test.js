@@ -0,0 +1,80 @@
+/**
+ * poseTracker.test.js
+ * Athlete identity across frames: a second person crossing in front of the
+ * athlete, and re-acquiring the athlete after a dropout
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PoseTracker from '../src/core/PoseTracker.js';
+
+// Keypoint offsets from the hip centre as fractions of standing height
+const BODY = {
+  nose: [0, -0.5],
+  left_shoulder: [-0.12, -0.3],
+  right_shoulder: [0.12, -0.3],
+  left_hip: [-0.08, 0],
+  right_hip: [0.08, 0],
+  left_knee: [-0.08, 0.25],
+  right_knee: [0.08, 0.25],
+  left_ankle: [-0.08, 0.5],
+  right_ankle: [0.08, 0.5]
+};
+
+/**
+ * Detected pose of a person standing upright
+ * @param {number} x - Hip centre x in pixels
+ * @param {number} y - Hip centre y in pixels
+ * @param {number} height - Standing height in pixels
+ * @returns {Object} Pose ({ keypoints, score })
+ */
+function person(x, y, height) {
+  return {
+    score: 0.9,
+    keypoints: Object.entries(BODY).map(([name, [dx, dy]]) => ({
+      name,
+      x: x + dx * height,
+      y: y + dy * height,
+      score: 0.9
+    }))
+  };
+}
+
+test('The athlete is followed while a second person crosses in front', () => {
+  const tracker = new PoseTracker();
+  tracker.setTarget(person(100, 300, 200).keypoints);
+
+  // 10 fps, walking towards each other at 5 px per frame; the passer-by is
+  // nearer the camera and listed first on alternate frames
+  for (let frame = 1; frame <= 80; frame++) {
+    const athlete = person(100 + frame * 5, 300, 200);
+    const passerBy = person(500 - frame * 5, 310, 240);
+    const athleteFirst = frame % 2 === 0;
+    const poses = athleteFirst ? [athlete, passerBy] : [passerBy, athlete];
+
+    assert.equal(tracker.match(poses), athleteFirst ? 0 : 1, `frame ${frame}`);
+  }
+});
+
+test('A lone person is re-acquired only after a long dropout', () => {
+  const tracker = new PoseTracker();
+  tracker.setTarget(person(100, 300, 200).keypoints);
+  const elsewhere = person(500, 300, 200);
+
+  // Someone far from the athlete's last position is not the athlete yet
+  for (let frame = 0; frame < 5; frame++) {
+    tracker.match([]);
+  }
+  assert.equal(tracker.match([elsewhere]), -1);
+
+  while (tracker.missedFrames < 15) {
+    tracker.match([]);
+  }
+  // Two people after the dropout: neither is taken over
+  assert.equal(tracker.match([elsewhere, person(300, 300, 200)]), -1);
+  assert.equal(tracker.match([elsewhere]), 0);
+
+  // The re-acquired athlete is tracked from the new position
+  assert.equal(tracker.missedFrames, 0);
+  assert.equal(tracker.match([person(100, 300, 200), person(505, 300, 200)]), 1);
+});
@@ -0,0 +1,65 @@
+/**
+ * scoringEngine.test.js
+ * Improvement advice: applying the suggested score changes for a sport must
+ * actually make it a qualified recommendation, and weak areas are judged on
+ * peer percentiles whenever the athlete's cohort is known
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { createHarness, readFixture } from './harness.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const harness = await createHarness();
+after(() => harness.close());
+
+const engine = harness.createScoringEngine();
+const fixtureFiles = (await readdir(FIXTURES_DIR)).filter(file => file.endsWith('.json')).sort();
+
+for (const file of fixtureFiles) {
+  const fixture = await readFixture(path.join(FIXTURES_DIR, file));
+
+  test(`${fixture.name}: suggested improvements lead to a recommendation`, () => {
+    const analysis = harness.analyze(fixture);
+    const improvable = analysis.sportsSuitability.filter(sport => sport.improvement);
+    assert.ok(improvable.length > 0);
+
+    for (const sport of improvable) {
+      const improved = { ...analysis.scores };
+      for (const change of sport.improvement.changes) {
+        assert.equal(change.from, analysis.scores[change.metric]);
+        improved[change.metric] = change.to;
+      }
+
+      assert.ok(engine.isRecommended(sport.id, improved), `${sport.id} is not recommended after the improvement`);
+    }
+  });
+}
+
+const LOW_SCORES = {
+  agility: 20, balance: 30, coordination: 40, reactionTime: 50,
+  explosiveness: 55, flexibility: 65, endurance: 75, symmetry: 85
+};
+
+test('A fractional age is scored against its age band', () => {
+  const analysis = engine.scoreAnalysis(LOW_SCORES, { age: 10.5, sex: 'female', level: 'recreational' });
+
+  const metricSuggestions = analysis.suggestions.filter(suggestion => suggestion.metric !== 'general');
+
+  assert.equal(analysis.norms?.ageBand, '8-10');
+  assert.ok(metricSuggestions.length > 0);
+  assert.ok(metricSuggestions.every(suggestion => suggestion.scale === 'percentile' && suggestion.targetScore === 60));
+});
+
+test('Without a cohort, suggestions say they fall back to raw scores', () => {
+  const analysis = engine.scoreAnalysis(LOW_SCORES, null);
+  const metricSuggestions = analysis.suggestions.filter(suggestion => suggestion.metric !== 'general');
+
+  assert.equal(analysis.norms, null);
+  assert.deepStrictEqual(metricSuggestions.map(suggestion => suggestion.metric), ['agility', 'balance', 'coordination']);
+  assert.ok(metricSuggestions.every(suggestion => suggestion.scale === 'raw'));
+});